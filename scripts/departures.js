@@ -0,0 +1,57 @@
+/* eslint-disable no-console, import/no-unresolved, import/no-extraneous-dependencies */
+/**
+ * Example of a Node.js script using the realtime api: it subscribes to the
+ * departures of a station and prints them on each update.
+ *
+ * Usage (from a project where mobility-toolbox-js and ws are installed):
+ *
+ *   GEOPS_API_KEY=yourApiKey node departures.js 8503000
+ */
+const WebSocket = require('ws');
+const { TralisAPI } = require('mobility-toolbox-js/api');
+
+const [uic] = process.argv.slice(2);
+const apiKey = process.env.GEOPS_API_KEY;
+
+if (!uic || !apiKey) {
+  console.log('Usage: GEOPS_API_KEY=yourApiKey node departures.js <uic>');
+  process.exit(1);
+}
+
+const api = new TralisAPI({
+  url: process.env.GEOPS_REALTIME_URL,
+  apiKey,
+  WebSocket,
+});
+
+const formatTime = (time) =>
+  new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+api.on('reconnecting', ({ attempt, delay }) => {
+  console.error(`Connection lost, reconnection #${attempt} in ${delay} ms.`);
+});
+
+api.open();
+api.subscribeDepartures(Number(uic), false, (departures) => {
+  console.log(`\nDepartures at ${uic} (${formatTime(Date.now())}):`);
+  departures
+    .filter((departure) => departure.state !== 'HIDDEN')
+    .forEach((departure) => {
+      console.log(
+        [
+          formatTime(departure.time),
+          (departure.line && departure.line.name) || '',
+          departure.to[0],
+          departure.platform ? `platform ${departure.platform}` : '',
+          departure.cancelled ? 'cancelled' : '',
+        ]
+          .filter((value) => value)
+          .join('  '),
+      );
+    });
+});
+
+process.on('SIGINT', () => {
+  api.close();
+  process.exit(0);
+});
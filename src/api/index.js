@@ -2,3 +2,8 @@
 export { default as StopsAPI } from './stops/StopsAPI';
 export { default as TrajservAPI } from './trajserv/TrajservAPI';
 export { default as TralisAPI, TralisModes } from './tralis/TralisAPI';
+export { default as TralisRecorder } from './tralis/TralisRecorder';
+export { default as TralisPlayer } from './tralis/TralisPlayer';
+export { default as WebSocketTransport } from './tralis/transports/WebSocketTransport';
+export { default as SharedWorkerTransport } from './tralis/transports/SharedWorkerTransport';
+export { default as initSharedWorker } from './tralis/transports/initSharedWorker';
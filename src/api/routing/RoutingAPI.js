@@ -18,6 +18,7 @@ class RoutingAPI extends API {
    * @param {Object} options Options.
    * @param {string} [options.url='https://api.geops.io/routing/v1/'] Service url.
    * @param {string} options.apiKey Access key for [geOps services](https://developer.geops.io/).
+   * @param {function} [options.fetch] The fetch implementation to use. Default to the global fetch.
    * @param {string} options.mot Mean of transport on load.
    */
   constructor(options = {}) {
@@ -34,7 +35,7 @@ class RoutingAPI extends API {
    * @param {AbortController} abortController Abort controller used to cancel the request.
    * @return {Promise<GeoJSONFeatureCollection>} An GeoJSON feature collection with coordinates in [EPSG:4326](http://epsg.io/4326).
    */
-  route(params, abortController = new AbortController()) {
+  route(params, abortController = {}) {
     return this.fetch('', params, {
       signal: abortController.signal,
     });
@@ -1,3 +1,6 @@
+/**
+ * @jest-environment node
+ */
 import fetch from 'jest-fetch-mock';
 import StopsAPI from './StopsAPI';
 
@@ -31,4 +34,15 @@ describe('StopsAPI', () => {
         });
     });
   });
+
+  test('uses the fetch implementation defined in options.', () => {
+    const customFetch = jest.fn(() =>
+      Promise.resolve({ json: () => Promise.resolve({ features: [] }) }),
+    );
+    api = new StopsAPI({ apiKey: 'apiKey', fetch: customFetch });
+    return api.search({ q: 'Bern' }).then(() => {
+      expect(customFetch).toHaveBeenCalledTimes(1);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -23,6 +23,7 @@ class TrajservAPI extends API {
    * @param {Object} options Options.
    * @param {string} [options.url='https://api.geops.io/tracker/v1'] Service url.
    * @param {string} options.apiKey Access key for [geOps services](https://developer.geops.io/).
+   * @param {function} [options.fetch] The fetch implementation to use. Default to the global fetch.
    */
   constructor(options = {}) {
     super({ url: 'https://api.geops.io/tracker/v1', ...options });
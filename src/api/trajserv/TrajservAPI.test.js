@@ -1,3 +1,6 @@
+/**
+ * @jest-environment node
+ */
 import fetch from 'jest-fetch-mock';
 import TrajservAPI from './TrajservAPI';
 
@@ -1,3 +1,6 @@
+/**
+ * @jest-environment node
+ */
 import { translateTrajStationsResp } from './TrajservAPIUtils';
 
 describe('TrajservAPIUtils', () => {
@@ -1,8 +1,12 @@
+import BaseObject from 'ol/Object';
 import WebSocketConnector from './WebSocketConnector';
+import WebSocketTransport from './transports/WebSocketTransport';
 import {
   getModeSuffix,
   cleanStopTime,
   compareDepartures,
+  createSubscriptionIterator,
+  matchTrainType,
 } from './TralisAPIUtils';
 
 /**
@@ -35,8 +39,36 @@ export const TralisModes = {
  * import { TralisAPI } from 'mobility-toolbox-js/api';
  *
  * const api = new TralisAPI("yourUrl");
+ *
+ * @example
+ * import { TralisAPI } from 'mobility-toolbox-js/api';
+ *
+ * const api = new TralisAPI({
+ *   url: "yourUrl",
+ *   apiKey: "yourApiKey",
+ *   maxReconnectAttempts: 10,
+ * });
+ * api.on('offline', () => showBanner('Realtime data unavailable'));
+ * api.on('open', () => hideBanner());
+ *
+ * @example
+ * import { TralisAPI } from 'mobility-toolbox-js/api';
+ *
+ * const api = new TralisAPI({ url: "yourUrl", apiKey: "yourApiKey" });
+ * api.open();
+ *
+ * // Each subscription returns a handle.
+ * const subscription = api.subscribeDisruptions(onDisruption);
+ * subscription.unsubscribe();
+ *
+ * // Or iterate over the messages of a channel.
+ * for await (const trajectory of api.trajectories('topographic')) {
+ *   console.log(trajectory);
+ * }
+ *
+ * @classproperty {TralisConnectionState} state - State of the connection. Read-only.
  */
-class TralisAPI {
+class TralisAPI extends BaseObject {
   /**
    * Constructor
    *
@@ -46,15 +78,38 @@ class TralisAPI {
    * @param {string} [options.prefix=''] Service prefix to specify tenant.
    * @param {string} [options.projection] The epsg code of the projection for features. Default to EPSG:3857.
    * @param {number[4]} [options.bbox=[minX, minY, maxX, maxY, zoom, tenant] The bounding box to receive data from.
+   * @param {Transport} [options.transport=new WebSocketTransport()] Transport used to connect to the api (WebSocket, SharedWorker, ...).
+   * @param {function} [options.WebSocket] The WebSocket class used by the default transport, for example the one of the [ws](https://www.npmjs.com/package/ws) package in Node.js. Default to the global WebSocket.
+   * @param {number} [options.pingIntervalMs=10000] Interval between PING requests in ms. If equal to 0, no PING request are sent.
+   * @param {number} [options.pongTimeoutMs=0] If greater than 0, the connection is considered dead and is closed when no message has been received during this duration after a PING request.
+   * @param {number} [options.reconnectTimeoutMs=100] Delay in ms before the first reconnection attempt. If equal to 0, the api doesn't reconnect.
+   * @param {number} [options.maxReconnectTimeoutMs=30000] Maximal delay in ms between two reconnection attempts.
+   * @param {number} [options.reconnectBackoffFactor=2] Factor applied to the delay after each failed reconnection attempt.
+   * @param {number} [options.reconnectJitter=0.5] Part of the delay (between 0 and 1) randomly removed, to avoid all the clients reconnecting at the same time.
+   * @param {number} [options.maxReconnectAttempts=Infinity] Number of reconnection attempts before giving up.
+   * @param {number} [options.requestTimeoutMs=10000] Delay in ms after which the promises returned by the get* methods are rejected if no response is received. If equal to 0, they never time out.
    */
   constructor(options = {}) {
+    super();
     this.defineProperties(options);
 
+    /** @ignore */
+    this.state = null;
+
+    /** @ignore */
+    this.reconnectAttempts = 0;
+
+    /** @ignore */
+    this.messageReceived = false;
+
     /** @ignore */
     this.subscribedStationUic = null;
 
     /** @ignore */
-    this.departureUpdateTimeout = null;
+    this.subscribedStationUics = [];
+
+    /** @ignore */
+    this.stationSubscription = null;
 
     /** @ignore */
     this.maxDepartureAge = 30;
@@ -67,6 +122,9 @@ class TralisAPI {
 
     /** @ignore */
     this.onOpen = this.onOpen.bind(this);
+
+    /** @ignore */
+    this.onMessage = this.onMessage.bind(this);
   }
 
   defineProperties(options) {
@@ -76,9 +134,11 @@ class TralisAPI {
       opt = { url: options };
     }
 
-    const { apiKey } = opt;
+    const { apiKey, WebSocket } = opt;
     let { url, projection, bbox, buffer = [100, 100] } = opt;
-    const conn = new WebSocketConnector();
+    const transport =
+      opt.transport || (WebSocket && new WebSocketTransport({ WebSocket }));
+    const conn = new WebSocketConnector({ transport });
 
     if (apiKey) {
       url = `${url || 'wss://tralis-tracker-api.geops.io/ws'}?key=${apiKey}`;
@@ -141,21 +201,94 @@ class TralisAPI {
        * @private
        */
       pingIntervalMs: {
-        value: options.pingIntervalMs || 10000,
+        value: opt.pingIntervalMs !== undefined ? opt.pingIntervalMs : 10000,
         writable: true,
       },
       /**
-       * Timeout in ms after an automatic reconnection when the websoscket has been closed by the server.
+       * Duration in ms without message after a PING request, before closing the connection.
+       * If equal to 0, the liveness of the connection is not checked.
+       * @type {number}
+       */
+      pongTimeoutMs: {
+        value: opt.pongTimeoutMs || 0,
+        writable: true,
+      },
+      /**
+       * Timeout in ms before the first automatic reconnection when the websoscket has been closed by the server.
+       * If equal to 0, the api doesn't reconnect.
        * @type {number}
        */
       reconnectTimeoutMs: {
-        value: options.pingIntervalMs || 100,
+        value:
+          opt.reconnectTimeoutMs !== undefined ? opt.reconnectTimeoutMs : 100,
+        writable: true,
+      },
+      /**
+       * Maximal delay in ms between two reconnection attempts.
+       * @type {number}
+       */
+      maxReconnectTimeoutMs: {
+        value: opt.maxReconnectTimeoutMs || 30000,
+        writable: true,
+      },
+      /**
+       * Factor applied to the reconnection delay after each failed attempt.
+       * @type {number}
+       */
+      reconnectBackoffFactor: {
+        value: opt.reconnectBackoffFactor || 2,
+        writable: true,
+      },
+      /**
+       * Part of the reconnection delay (between 0 and 1) randomly removed.
+       * @type {number}
+       */
+      reconnectJitter: {
+        value: opt.reconnectJitter !== undefined ? opt.reconnectJitter : 0.5,
+        writable: true,
+      },
+      /**
+       * Number of reconnection attempts before giving up.
+       * @type {number}
+       */
+      maxReconnectAttempts: {
+        value:
+          opt.maxReconnectAttempts !== undefined
+            ? opt.maxReconnectAttempts
+            : Infinity,
+        writable: true,
+      },
+      /**
+       * Delay in ms after which a GET request without response is rejected.
+       * If equal to 0, requests never time out.
+       * @type {number}
+       */
+      requestTimeoutMs: {
+        value:
+          opt.requestTimeoutMs !== undefined ? opt.requestTimeoutMs : 10000,
         writable: true,
       },
     });
   }
 
+  /**
+   * Open the websocket connection. It will reconnect automatically if the
+   * connection is closed by the server.
+   *
+   * @fires {connecting}
+   */
   open() {
+    this.reconnectAttempts = 0;
+    this.setState('connecting');
+    this.connect();
+  }
+
+  /**
+   * (Re)connect the websocket.
+   *
+   * @private
+   */
+  connect() {
     this.close();
     // Register BBOX and PROJECTION messages must be send before previous subscriptions.
     this.conn.connect(this.url, this.onOpen);
@@ -170,9 +303,31 @@ class TralisAPI {
    * Close the websocket connection without reconnection.
    */
   close() {
+    this.clearTimeouts();
     this.conn.close();
   }
 
+  /**
+   * @private
+   */
+  clearTimeouts() {
+    clearInterval(this.pingInterval);
+    clearTimeout(this.pongTimeout);
+    clearTimeout(this.reconnectTimeout);
+  }
+
+  /**
+   * Set the connection state and dispatch an event of the same type.
+   *
+   * @param {TralisConnectionState} state The new state.
+   * @param {Object} [properties] Properties added to the event.
+   * @private
+   */
+  setState(state, properties = {}) {
+    this.state = state;
+    this.dispatchEvent({ ...properties, type: state, target: this });
+  }
+
   /**
    * Unsubscribe trajectory and deleted_vehicles channels. To resubscribe you have to set a new BBOX.
    */
@@ -198,33 +353,103 @@ class TralisAPI {
       this.conn.send(`BUFFER ${this.buffer.join(' ')}`);
     }
 
+    this.reconnectAttempts = 0;
+    this.conn.websocket.addEventListener('message', this.onMessage);
+
     /**
      * Keep websocket alive
      */
     if (this.pingIntervalMs) {
-      window.clearInterval(this.pingInterval);
+      clearInterval(this.pingInterval);
       /** @ignore */
       this.pingInterval = setInterval(() => {
-        this.conn.send('PING');
+        this.ping();
       }, this.pingIntervalMs);
     }
+
+    this.setState('open');
+  }
+
+  /**
+   * Send a PING request. If pongTimeoutMs is defined and no message (PONG or
+   * any other) is received during this duration, the connection is
+   * considered dead and is closed, then the api tries to reconnect.
+   *
+   * @private
+   */
+  ping() {
+    this.messageReceived = false;
+    this.conn.send('PING');
+
+    if (this.pongTimeoutMs) {
+      clearTimeout(this.pongTimeout);
+      /** @ignore */
+      this.pongTimeout = setTimeout(() => {
+        if (!this.messageReceived && this.conn.websocket) {
+          this.conn.websocket.close();
+        }
+      }, this.pongTimeoutMs);
+    }
+  }
+
+  /**
+   * Callback on each websocket message, used to check the liveness of the connection.
+   *
+   * @private
+   */
+  onMessage() {
+    this.messageReceived = true;
   }
 
   /**
    * Callback when the websocket is closed by the server.
-   * It auto reconnects after a timeout.
+   * It auto reconnects after a delay increasing after each failed attempt.
+   *
+   * @fires {offline}
+   * @fires {reconnecting}
+   * @fires {failed}
    */
   onClose() {
-    window.clearTimeout(this.pingInterval);
-    window.clearTimeout(this.reconnectTimeout);
+    this.clearTimeouts();
 
-    if (this.reconnectTimeoutMs) {
-      /** @ignore */
-      this.reconnectTimeout = window.setTimeout(
-        () => this.open(),
-        this.reconnectTimeoutMs,
-      );
+    if (this.state !== 'reconnecting') {
+      this.setState('offline');
     }
+
+    if (!this.reconnectTimeoutMs) {
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      this.setState('failed', { attempts: this.reconnectAttempts });
+      return;
+    }
+
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts += 1;
+    this.setState('reconnecting', {
+      attempt: this.reconnectAttempts,
+      delay,
+    });
+
+    /** @ignore */
+    this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Returns the delay before a reconnection attempt: an exponential backoff
+   * limited by maxReconnectTimeoutMs, minus a random jitter.
+   *
+   * @param {number} attempt Number of previous failed attempts.
+   * @return {number} A delay in ms.
+   * @private
+   */
+  getReconnectDelay(attempt) {
+    const delay = Math.min(
+      this.maxReconnectTimeoutMs,
+      this.reconnectTimeoutMs * this.reconnectBackoffFactor ** attempt,
+    );
+    return Math.round(delay * (1 - this.reconnectJitter * Math.random()));
   }
 
   /**
@@ -234,10 +459,74 @@ class TralisAPI {
    * @param {function} onSuccess Callback when the subscription succeeds.
    * @param {function} onError Callback when the subscription fails.
    * @param {boolean} [quiet=false] If true avoid to store the subscription in the subscriptions list.
+   * @return {TralisSubscription} The subscription.
    * @private
    */
   subscribe(channel, onSuccess, onError, quiet = false) {
     this.conn.subscribe({ channel }, onSuccess, onError, quiet);
+    return {
+      unsubscribe: () => {
+        this.conn.unsubscribe(channel, onSuccess);
+      },
+    };
+  }
+
+  /**
+   * Send a GET request.
+   *
+   * @param {Object} params Parameters of the request (channel, args, id).
+   * @param {function(data: Object, resolve: function, reject: function)} onMessage Function called on each message of the channel, it must resolve or reject the request.
+   * @param {function(err: Event, resolve: function, reject: function)} [onError] Function called when the connection fails.
+   * @return {Promise} A promise rejected if no response is received before requestTimeoutMs.
+   * @private
+   */
+  request(params, onMessage, onError) {
+    let settled = false;
+    let listeners = null;
+    let timeout = null;
+
+    const removeListeners = () => {
+      if (listeners) {
+        this.conn.removeListeners(listeners);
+        listeners = null;
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      const settle = (fn) => (value) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timeout);
+        removeListeners();
+        fn(value);
+      };
+      const onResolve = settle(resolve);
+      const onReject = settle(reject);
+
+      listeners = this.conn.get(
+        params,
+        (data) => onMessage(data, onResolve, onReject),
+        onError && ((err) => onError(err, onResolve, onReject)),
+      );
+
+      // The response has been received synchronously.
+      if (settled) {
+        removeListeners();
+      } else if (this.requestTimeoutMs) {
+        timeout = setTimeout(() => {
+          const reqStr = [params.channel, params.args, params.id]
+            .filter((p) => p)
+            .join(' ');
+          onReject(
+            new Error(
+              `TralisAPI: no response to GET ${reqStr} after ${this.requestTimeoutMs} ms`,
+            ),
+          );
+        }, this.requestTimeoutMs);
+      }
+    });
   }
 
   /**
@@ -265,31 +554,47 @@ class TralisAPI {
    * Filter departures and return an array.
    *
    * @param {Object} depObject The object containing departures by id.
-   * @param {boolean} [sortByMinArrivalTime=false] If true sort departures by arrival time.
-   * @return {Array<departure>} Return departures array.
+   * @param {DepartureFilterOptions|boolean} [options={}] Filter options. A boolean is used as the sortByMinArrivalTime option.
+   * @return {Array<departure>} Return a new array of frozen departures.
    * @private
    */
-  filterDepartures(depObject, sortByMinArrivalTime = false) {
-    const departures = Object.keys(depObject).map((k) => depObject[k]);
+  filterDepartures(depObject, options = {}) {
+    const {
+      sortByMinArrivalTime = false,
+      lookAhead = this.maxDepartureAge,
+      lookBack = this.maxDepartureAge,
+      maxDepartures = Infinity,
+      platforms,
+      lines,
+      modes,
+      hideCancelled = false,
+    } = typeof options === 'boolean'
+      ? { sortByMinArrivalTime: options }
+      : options || {};
+
+    const departures = Object.keys(depObject)
+      .map((k) => depObject[k])
+      .filter(
+        (d) =>
+          (!platforms || platforms.includes(d.platform)) &&
+          (!lines || (d.line && lines.includes(d.line.name))) &&
+          (!modes || matchTrainType(modes, d.train_type)),
+      );
     departures.sort((a, b) => compareDepartures(a, b, sortByMinArrivalTime));
 
-    let future = new Date();
-    future.setMinutes(future.getMinutes() + this.maxDepartureAge);
-    future = future.getTime();
-
-    let past = new Date();
-    past.setMinutes(past.getMinutes() - this.maxDepartureAge);
-    past = past.getTime();
+    const now = Date.now();
+    const future = now + lookAhead * 60000;
+    const past = now - lookBack * 60000;
 
     const departureArray = [];
     const platformsBoarding = [];
     let previousDeparture = null;
 
     for (let i = departures.length - 1; i >= 0; i -= 1) {
-      const d = departures[i];
+      const d = { ...departures[i] };
       const t = new Date(d.time).getTime();
 
-      // Only show departures within the next 30 minutes
+      // Only show departures within the departure window.
       if (t > past && t < future) {
         // If 2 trains are boarding at the same platform,
         // remove the older one.
@@ -302,7 +607,7 @@ class TralisAPI {
         }
 
         // If two trains with the same line number and destinatin
-        // and a departure difference < 1 minute, hide the second one.
+        // and a departure difference < 1 second, hide the second one.
         if (
           previousDeparture &&
           d.to[0] === previousDeparture.to[0] &&
@@ -316,75 +621,243 @@ class TralisAPI {
           d.cancelled = true;
         }
 
+        d.time = t;
         previousDeparture = d;
-        previousDeparture.time = t;
-        departureArray.unshift(d);
+
+        if (!hideCancelled || !d.cancelled) {
+          departureArray.unshift(Object.freeze(d));
+        }
       }
     }
 
-    return departureArray;
+    // The hidden departures don't count in the max number of departures.
+    let count = 0;
+    return departureArray.filter((d) => {
+      if (count >= maxDepartures) {
+        return false;
+      }
+      if (d.state !== 'HIDDEN') {
+        count += 1;
+      }
+      return true;
+    });
   }
 
   /**
-   * Subscribe to departures channel of a given station.
+   * Subscribe to departures channels of one or several stations.
+   *
+   * A single UIC replaces the station subscribed by the previous call with a
+   * single UIC (see subscribedStationUic). An array of UICs is an independent
+   * subscription, only stopped by its unsubscribe function or by
+   * unsubscribeDepartures.
+   *
+   * With several stations, the departures of all the stations are merged,
+   * sorted and filtered together, unless the merge option is false. Then
+   * onMessage is called with the departures of each station separately.
+   *
+   * @example
+   * // Next 2 hours of departures at the platforms 7 and 8.
+   * api.subscribeDepartures(
+   *   8503000,
+   *   { lookAhead: 120, lookBack: 0, platforms: ['7', '8'] },
+   *   onMessage,
+   * );
    *
-   * @param {number} stationId UIC of the station.
-   * @param {Boolean} sortByMinArrivalTime Sort by minimum arrival time
-   * @param {function(departures:Departure[])} onMessage Function called on each message of the channel.
+   * @example
+   * // Departures of the rail, tram and bus stops of a hub, by station.
+   * const subscription = api.subscribeDepartures(
+   *   [8507000, 8588780, 8576646],
+   *   { merge: false },
+   *   (departures, stationId) => render(stationId, departures),
+   * );
+   * subscription.unsubscribe(8576646);
+   *
+   * @param {number|number[]} stationId UIC of the station, or an array of UICs.
+   * @param {DepartureFilterOptions|boolean} options Filter options. A boolean is used as the sortByMinArrivalTime option.
+   * @param {function(departures:Departure[], stationId:number)} onMessage Function called with the filtered departures. The stationId is only defined if the merge option is false.
+   * @return {DeparturesSubscription} The subscription.
    */
-  subscribeDepartures(stationId, sortByMinArrivalTime, onMessage) {
-    window.clearTimeout(this.departureUpdateTimeout);
-    this.unsubscribeDepartures();
-    this.subscribedStationUic = stationId;
-    const channel = stationId ? `timetable_${stationId}` : null;
-    const departureObject = {};
-    this.subscribe(
-      channel,
-      (data) => {
-        if (data.source === channel) {
-          const content = data.content || {};
-          const tDiff = new Date(content.timestamp).getTime() - Date.now();
-          content.timediff = tDiff;
-          departureObject[content.call_id] = content;
-
-          window.clearTimeout(this.departureUpdateTimeout);
-          this.departureUpdateTimeout = window.setTimeout(() => {
-            const departures = this.filterDepartures(
-              departureObject,
-              sortByMinArrivalTime || false,
-            );
-            onMessage(departures);
-          }, 100);
+  subscribeDepartures(stationId, options, onMessage) {
+    const isSingleStation = !Array.isArray(stationId);
+    if (isSingleStation) {
+      if (this.stationSubscription) {
+        this.stationSubscription.unsubscribe();
+      }
+      this.subscribedStationUic = stationId || null;
+    }
+    // A station subscribed twice would leak the first channel subscription.
+    const stationIds = [...new Set([].concat(stationId))].filter((uic) => uic);
+    const merge = !options || options.merge !== false;
+    const departureObjects = new Map();
+    const subscriptions = new Map();
+    const updateTimeouts = {};
+
+    const update = (uic) => {
+      if (merge) {
+        onMessage(
+          this.filterDepartures(
+            Object.assign({}, ...departureObjects.values()),
+            options,
+          ),
+        );
+      } else {
+        onMessage(
+          this.filterDepartures(departureObjects.get(uic), options),
+          uic,
+        );
+      }
+    };
+
+    // In a merged stream all the stations share the same timeout.
+    const getTimeoutKey = (uic) => (merge ? 'merged' : uic);
+
+    stationIds.forEach((uic) => {
+      const channel = `timetable_${uic}`;
+      departureObjects.set(uic, {});
+      this.subscribedStationUics.push(uic);
+      const subscription = this.subscribe(
+        channel,
+        (data) => {
+          if (data.source === channel && departureObjects.has(uic)) {
+            const { content } = data;
+            // An empty message means there are no departures yet.
+            if (content) {
+              const tDiff = new Date(content.timestamp).getTime() - Date.now();
+              content.timediff = tDiff;
+              departureObjects.get(uic)[`${uic}_${content.call_id}`] = content;
+            }
+
+            const key = getTimeoutKey(uic);
+            clearTimeout(updateTimeouts[key]);
+            updateTimeouts[key] = setTimeout(() => update(uic), 100);
+          }
+        },
+        () => {
+          if (departureObjects.has(uic)) {
+            departureObjects.set(uic, {});
+            update(uic);
+          }
+        },
+      );
+      subscriptions.set(uic, subscription);
+    });
+
+    const unsubscribeStation = (uic) => {
+      if (!subscriptions.has(uic)) {
+        return;
+      }
+      subscriptions.get(uic).unsubscribe();
+      subscriptions.delete(uic);
+      departureObjects.delete(uic);
+      const index = this.subscribedStationUics.indexOf(uic);
+      if (index > -1) {
+        this.subscribedStationUics.splice(index, 1);
+      }
+
+      if (!merge) {
+        clearTimeout(updateTimeouts[uic]);
+      } else if (subscriptions.size) {
+        // Remove the departures of this station from the merged stream.
+        clearTimeout(updateTimeouts.merged);
+        update(uic);
+      } else {
+        clearTimeout(updateTimeouts.merged);
+      }
+    };
+
+    const departuresSubscription = {
+      unsubscribe: (uic) => {
+        if (uic) {
+          unsubscribeStation(uic);
+        } else {
+          [...subscriptions.keys()].forEach(unsubscribeStation);
+        }
+        if (
+          this.stationSubscription === departuresSubscription &&
+          !subscriptions.size
+        ) {
+          this.stationSubscription = null;
+          this.subscribedStationUic = null;
         }
       },
-      () => {
-        onMessage([]);
-      },
+    };
+
+    if (isSingleStation) {
+      this.stationSubscription = departuresSubscription;
+    }
+    return departuresSubscription;
+  }
+
+  /**
+   * Iterate over the departures of one or several stations.
+   * Breaking the loop unsubscribes the channels.
+   *
+   * @param {number|number[]} stationId UIC of the station, or an array of UICs.
+   * @param {DepartureFilterOptions|boolean} options Filter options. A boolean is used as the sortByMinArrivalTime option. The departures of several stations are always merged.
+   * @return {AsyncIterable<Departure[]>} The lists of departures.
+   */
+  departures(stationId, options) {
+    return createSubscriptionIterator((onMessage) =>
+      this.subscribeDepartures(
+        stationId,
+        typeof options === 'boolean'
+          ? { sortByMinArrivalTime: options }
+          : { ...options, merge: true },
+        onMessage,
+      ),
     );
   }
 
   /**
-   * Unsubscribe from current departures channel.
+   * Unsubscribe from departures channels.
+   *
    * @param {function} cb Callback function to unsubscribe. If null all subscriptions for the channel will be unsubscribed.
+   * @param {number} [stationId] UIC of the station to unsubscribe. If not defined, all the stations subscribed with subscribeDepartures are unsubscribed.
    */
-  unsubscribeDepartures(cb) {
-    if (this.subscribedStationUic) {
-      this.unsubscribe(`timetable_${this.subscribedStationUic}`, '', cb);
-      this.subscribedStationUic = null;
+  unsubscribeDepartures(cb, stationId) {
+    const stationIds = stationId
+      ? [stationId]
+      : [...this.subscribedStationUics];
+    stationIds.forEach((uic) => {
+      this.unsubscribe(`timetable_${uic}`, '', cb);
+    });
+    if (!cb) {
+      this.subscribedStationUics = this.subscribedStationUics.filter(
+        (uic) => !stationIds.includes(uic),
+      );
+      if (stationIds.includes(this.subscribedStationUic)) {
+        this.stationSubscription = null;
+        this.subscribedStationUic = null;
+      }
     }
   }
 
   /**
-   * Subscribe to the disruptions channel for tenant.
+   * Subscribe to the disruptions channel (newsticker) for tenant.
+   * Each message contains all the current news, use normalizeNewsticker to
+   * convert them to disruptions.
    *
-   * @param {function} onMessage Function called on each message of the channel.
+   * @param {function(newsticker: Newsticker)} onMessage Function called on each message of the channel.
+   * @return {TralisSubscription} The subscription.
    */
   subscribeDisruptions(onMessage) {
-    this.subscribe(`${this.prefix}newsticker`, (data) => {
+    return this.subscribe(`${this.prefix}newsticker`, (data) => {
       onMessage(data.content);
     });
   }
 
+  /**
+   * Iterate over the messages of the disruptions channel.
+   * Breaking the loop unsubscribes the channel.
+   *
+   * @return {AsyncIterable<Newsticker>} The contents of the messages.
+   */
+  disruptions() {
+    return createSubscriptionIterator((onMessage) =>
+      this.subscribeDisruptions(onMessage),
+    );
+  }
+
   /**
    * Unsubscribe disruptions.
    * @param {function} cb Callback function to unsubscribe. If null all subscriptions for the channel will be unsubscribed.
@@ -406,14 +879,12 @@ class TralisAPI {
       args: uic,
     };
 
-    return new Promise((resolve, reject) => {
-      this.conn.get(params, (data) => {
-        if (data.content) {
-          resolve(data.content);
-        } else {
-          reject();
-        }
-      });
+    return this.request(params, (data, resolve, reject) => {
+      if (data.content) {
+        resolve(data.content);
+      } else {
+        reject();
+      }
     });
   }
 
@@ -428,20 +899,18 @@ class TralisAPI {
     const params = {
       channel: `station${getModeSuffix(mode, TralisModes)}`,
     };
-    window.clearTimeout(this.stationUpdateTimeout);
-    return new Promise((resolve, reject) => {
-      this.conn.get(params, (data) => {
-        if (data.content) {
-          stations.push(data.content);
-          window.clearTimeout(this.stationUpdateTimeout);
-          /** @ignore */
-          this.stationUpdateTimeout = window.setTimeout(() => {
-            resolve(stations);
-          }, 50);
-        } else {
-          reject(data.content);
-        }
-      });
+    clearTimeout(this.stationUpdateTimeout);
+    return this.request(params, (data, resolve, reject) => {
+      if (data.content) {
+        stations.push(data.content);
+        clearTimeout(this.stationUpdateTimeout);
+        /** @ignore */
+        this.stationUpdateTimeout = setTimeout(() => {
+          resolve(stations);
+        }, 50);
+      } else {
+        reject(data.content);
+      }
     });
   }
 
@@ -451,14 +920,31 @@ class TralisAPI {
    *
    * @param {TralisMode} mode Tralis mode.
    * @param {function(station: Station)} onMessage Function called on each message of the channel.
+   * @return {TralisSubscription} The subscription.
    */
   subscribeStations(mode, onMessage) {
     this.unsubscribeStations();
-    this.subscribe(`station${getModeSuffix(mode, TralisModes)}`, (data) => {
-      if (data.content) {
-        onMessage(data.content);
-      }
-    });
+    return this.subscribe(
+      `station${getModeSuffix(mode, TralisModes)}`,
+      (data) => {
+        if (data.content) {
+          onMessage(data.content);
+        }
+      },
+    );
+  }
+
+  /**
+   * Iterate over the messages of the stations channel.
+   * Breaking the loop unsubscribes the channel.
+   *
+   * @param {TralisMode} mode Tralis mode.
+   * @return {AsyncIterable<Station>} The stations.
+   */
+  stations(mode) {
+    return createSubscriptionIterator((onMessage) =>
+      this.subscribeStations(mode, onMessage),
+    );
   }
 
   /**
@@ -466,7 +952,7 @@ class TralisAPI {
    * @param {function} cb The listener callback function to unsubscribe. If null all subscriptions for the channel will be unsubscribe.
    */
   unsubscribeStations(cb) {
-    window.clearTimeout(this.stationUpdateTimeout);
+    clearTimeout(this.stationUpdateTimeout);
     this.unsubscribe('station', '', cb);
   }
 
@@ -474,9 +960,10 @@ class TralisAPI {
    * Subscribe to extra_geoms channel.
    *
    * @param {function(extraGeoms: GeosJSONFeature[])} onMessage Function called on each message of the channel.
+   * @return {TralisSubscription} The subscription.
    */
   subscribeExtraGeoms(onMessage) {
-    this.subscribe('extra_geoms', (data) => {
+    return this.subscribe('extra_geoms', (data) => {
       const extraGeom = data.content;
 
       if (extraGeom) {
@@ -509,10 +996,11 @@ class TralisAPI {
    * @param {TralisMode} mode Tralis mode.
    * @param {function(trajectory: TralisTrajectory)} onMessage Function called on each message of the channel.
    * @param {boolean} quiet If true, the subscription will not send GET and SUB requests to the websocket.
+   * @return {TralisSubscription} The subscription.
    */
   subscribeTrajectory(mode, onMessage, quiet = false) {
     this.unsubscribeTrajectory(onMessage);
-    this.subscribe(
+    return this.subscribe(
       `trajectory${getModeSuffix(mode, TralisModes)}`,
       onMessage,
       null,
@@ -520,6 +1008,24 @@ class TralisAPI {
     );
   }
 
+  /**
+   * Iterate over the messages of the trajectory channel.
+   * Breaking the loop unsubscribes the channel.
+   *
+   * @example
+   * for await (const { content } of api.trajectories('topographic')) {
+   *   console.log(content.properties.train_id);
+   * }
+   *
+   * @param {TralisMode} mode Tralis mode.
+   * @return {AsyncIterable<{ content: TralisTrajectory }>} The websocket messages.
+   */
+  trajectories(mode) {
+    return createSubscriptionIterator((onMessage) =>
+      this.subscribeTrajectory(mode, onMessage),
+    );
+  }
+
   /**
    * Unsubscribe to trajectory channels.
    * @param {function} cb Callback function to unsubscribe. If null all subscriptions for the channel will be unsubscribed.
@@ -534,10 +1040,11 @@ class TralisAPI {
    * @param {TralisMode} mode Tralis mode.
    * @param {function(response: { content: Vehicle })} onMessage Function called on each message of the channel.
    * @param {boolean} quiet If true, the subscription will not send GET and SUB requests to the websocket.
+   * @return {TralisSubscription} The subscription.
    */
   subscribeDeletedVehicles(mode, onMessage, quiet = false) {
     this.unsubscribeDeletedVehicles(onMessage);
-    this.subscribe(
+    return this.subscribe(
       `deleted_vehicles${getModeSuffix(mode, TralisModes)}`,
       onMessage,
       null,
@@ -545,6 +1052,19 @@ class TralisAPI {
     );
   }
 
+  /**
+   * Iterate over the messages of the deleted_vehicles channel.
+   * Breaking the loop unsubscribes the channel.
+   *
+   * @param {TralisMode} mode Tralis mode.
+   * @return {AsyncIterable<{ content: Vehicle }>} The websocket messages.
+   */
+  deletedVehicles(mode) {
+    return createSubscriptionIterator((onMessage) =>
+      this.subscribeDeletedVehicles(mode, onMessage),
+    );
+  }
+
   /**
    * Unsubscribe to deleted_vhicles channels.
    * @param {function} cb Callback function to unsubscribe. If null all subscriptions for the channel will be unsubscribed.
@@ -575,12 +1095,10 @@ class TralisAPI {
       channel: channel.join('_'),
     };
 
-    return new Promise((resolve) => {
-      this.conn.get(params, (data) => {
-        if (data.content) {
-          resolve(data.content);
-        }
-      });
+    return this.request(params, (data, resolve) => {
+      if (data.content) {
+        resolve(data.content);
+      }
     });
   }
 
@@ -604,11 +1122,12 @@ class TralisAPI {
    *
    * @param {string} id A vehicle id.
    * @param {TralisMode} mode Tralis mode.
+   * @return {TralisSubscription} The subscription.
    */
   subscribeFullTrajectory(id, mode) {
-    // window.clearTimeout(this.fullTrajectoryUpdateTimeout);
+    // clearTimeout(this.fullTrajectoryUpdateTimeout);
     this.unsubscribeFullTrajectory(id);
-    this.subscribe(
+    return this.subscribe(
       `full_trajectory${getModeSuffix(mode, TralisModes)}_${id}`,
       (data) => {
         // eslint-disable-next-line no-console
@@ -641,25 +1160,23 @@ class TralisAPI {
     const params = {
       channel: `stopsequence_${id}`,
     };
-    return new Promise((resolve, reject) => {
-      this.conn.get(
-        params,
-        (data) => {
-          if (data.content && data.content.length) {
-            const content = data.content.map((stopSequence) =>
-              cleanStopTime(stopSequence),
-            );
+    return this.request(
+      params,
+      (data, resolve) => {
+        if (data.content && data.content.length) {
+          const content = data.content.map((stopSequence) =>
+            cleanStopTime(stopSequence),
+          );
 
-            // Remove the delay from arrivalTime and departureTime
-            resolve(content);
-          }
-          resolve([]);
-        },
-        (err) => {
-          reject(err);
-        },
-      );
-    });
+          // Remove the delay from arrivalTime and departureTime
+          resolve(content);
+        }
+        resolve([]);
+      },
+      (err, resolve, reject) => {
+        reject(err);
+      },
+    );
   }
 
   /**
@@ -678,12 +1195,13 @@ class TralisAPI {
    *
    * @param {string} id A vehicle id.
    * @param {function(stopSequence: StopSequence)} onMessage Function called on each message of the channel.
+   * @return {TralisSubscription} The subscription.
    */
   subscribeStopSequence(id, onMessage) {
-    window.clearTimeout(this.fullTrajectoryUpdateTimeout);
+    clearTimeout(this.fullTrajectoryUpdateTimeout);
     this.unsubscribeStopSequence(id);
 
-    this.subscribe(
+    return this.subscribe(
       `stopsequence_${id}`,
       (data) => {
         if (data.content && data.content.length) {
@@ -715,10 +1233,11 @@ class TralisAPI {
   /**
    * Subscribe to healthcheck channel.
    * @param {function} onMessage Callback when the subscribe to healthcheck channel succeeds.
+   * @return {TralisSubscription} The subscription.
    */
   subscribeHealthCheck(onMessage) {
     this.unsubscribeHealthCheck();
-    this.subscribe('healthcheck', onMessage);
+    return this.subscribe('healthcheck', onMessage);
   }
 
   /**
@@ -1,4 +1,9 @@
+/**
+ * @jest-environment node
+ */
 import { TralisAPI, TralisModes } from '..';
+import FakeTralisServer from './testUtils/FakeTralisServer';
+import TransportSocket from './transports/TransportSocket';
 
 describe('TralisAPI', () => {
   let tralisAPI;
@@ -72,4 +77,543 @@ describe('TralisAPI', () => {
       });
     });
   });
+
+  describe('#filterDepartures()', () => {
+    const minutes = (min) => Date.now() + min * 60000;
+    const createDeparture = (callId, min, props = {}) => ({
+      call_id: callId,
+      time: minutes(min),
+      to: [`To ${callId}`],
+      line: { name: 'S1' },
+      platform: '1',
+      train_type: 10,
+      ...props,
+    });
+    let departures;
+
+    beforeEach(() => {
+      departures = {
+        1: createDeparture(1, -40),
+        2: createDeparture(2, 5),
+        3: createDeparture(3, 10, { platform: '2', line: { name: 'IC 1' } }),
+        4: createDeparture(4, 20, { state: 'JOURNEY_CANCELLED' }),
+        5: createDeparture(5, 60, { train_type: 3 }),
+      };
+    });
+
+    const callIds = (deps) => deps.map((d) => d.call_id);
+
+    test('returns the departures of the next and last 30 minutes by default.', () => {
+      expect(callIds(tralisAPI.filterDepartures(departures))).toEqual([
+        2, 3, 4,
+      ]);
+      expect(callIds(tralisAPI.filterDepartures(departures, true))).toEqual([
+        2, 3, 4,
+      ]);
+    });
+
+    test('uses the look-ahead and look-back options.', () => {
+      const filtered = tralisAPI.filterDepartures(departures, {
+        lookAhead: 120,
+        lookBack: 60,
+      });
+      expect(callIds(filtered)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('filters by platform, line and mode.', () => {
+      const options = { lookAhead: 120 };
+      expect(
+        callIds(
+          tralisAPI.filterDepartures(departures, {
+            ...options,
+            platforms: ['2'],
+          }),
+        ),
+      ).toEqual([3]);
+      expect(
+        callIds(
+          tralisAPI.filterDepartures(departures, { ...options, lines: ['S1'] }),
+        ),
+      ).toEqual([2, 4, 5]);
+      expect(
+        callIds(
+          tralisAPI.filterDepartures(departures, {
+            ...options,
+            modes: ['bus'],
+          }),
+        ),
+      ).toEqual([5]);
+      expect(
+        callIds(
+          tralisAPI.filterDepartures(departures, {
+            ...options,
+            modes: (trainType) => trainType !== 3,
+          }),
+        ),
+      ).toEqual([2, 3, 4]);
+    });
+
+    test('hides the cancelled departures and limits their number.', () => {
+      const options = { lookAhead: 120 };
+      const filtered = tralisAPI.filterDepartures(departures, options);
+      expect(filtered[2].cancelled).toBe(true);
+      expect(
+        callIds(
+          tralisAPI.filterDepartures(departures, {
+            ...options,
+            hideCancelled: true,
+          }),
+        ),
+      ).toEqual([2, 3, 5]);
+      expect(
+        callIds(
+          tralisAPI.filterDepartures(departures, {
+            ...options,
+            maxDepartures: 2,
+          }),
+        ),
+      ).toEqual([2, 3]);
+    });
+
+    test("doesn't count the hidden departures in the max number.", () => {
+      departures[6] = createDeparture(6, 5, { to: ['To 2'] });
+      const filtered = tralisAPI.filterDepartures(departures, {
+        maxDepartures: 2,
+      });
+      expect(filtered.map((d) => d.state)).toEqual([
+        'HIDDEN',
+        undefined,
+        undefined,
+      ]);
+    });
+
+    test("returns frozen copies and doesn't modify the departures.", () => {
+      const filtered = tralisAPI.filterDepartures(departures);
+      expect(Object.isFrozen(filtered[2])).toBe(true);
+      expect(filtered[2]).not.toBe(departures[4]);
+      expect(departures[4].cancelled).toBe(undefined);
+    });
+  });
+
+  describe('reconnection', () => {
+    let server;
+    let api;
+    let events;
+
+    const listenStates = () => {
+      events = [];
+      ['connecting', 'open', 'offline', 'reconnecting', 'failed'].forEach(
+        (type) => {
+          api.on(type, (evt) => events.push(evt));
+        },
+      );
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      server = new FakeTralisServer();
+    });
+
+    afterEach(() => {
+      api.close();
+      jest.useRealTimers();
+    });
+
+    test('reads reconnectTimeoutMs from its own option.', () => {
+      api = new TralisAPI({ pingIntervalMs: 5000, reconnectTimeoutMs: 300 });
+      expect(api.pingIntervalMs).toBe(5000);
+      expect(api.reconnectTimeoutMs).toBe(300);
+    });
+
+    test('dispatches connection state events.', async () => {
+      api = new TralisAPI({ url: 'ws://fake', transport: server });
+      listenStates();
+      api.open();
+      expect(api.state).toBe('connecting');
+      await server.flush();
+      expect(api.state).toBe('open');
+      await server.close();
+      expect(api.state).toBe('reconnecting');
+      expect(events.map((evt) => evt.type)).toEqual([
+        'connecting',
+        'open',
+        'offline',
+        'reconnecting',
+      ]);
+      expect(events[3].attempt).toBe(1);
+      jest.runOnlyPendingTimers();
+      await server.flush();
+      expect(api.state).toBe('open');
+      expect(server.clients.length).toBe(1);
+    });
+
+    test('replays subscriptions after a reconnection.', async () => {
+      api = new TralisAPI({ url: 'ws://fake', transport: server });
+      const onMessage = jest.fn();
+      api.open();
+      api.subscribeTrajectory(TralisModes.TOPOGRAPHIC, onMessage);
+      await server.flush();
+      await server.close();
+      jest.runOnlyPendingTimers();
+      await server.flush();
+      onMessage.mockClear();
+      await server.publish('trajectory', { properties: {} });
+      expect(onMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('increases the delay exponentially until maxReconnectTimeoutMs.', () => {
+      api = new TralisAPI({
+        reconnectTimeoutMs: 100,
+        maxReconnectTimeoutMs: 1000,
+        reconnectJitter: 0,
+      });
+      expect(
+        [0, 1, 2, 3, 4, 5].map((attempt) => api.getReconnectDelay(attempt)),
+      ).toEqual([100, 200, 400, 800, 1000, 1000]);
+    });
+
+    test('removes a random part of the delay.', () => {
+      const spy = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      api = new TralisAPI({ reconnectTimeoutMs: 100, reconnectJitter: 0.5 });
+      expect(api.getReconnectDelay(1)).toBe(150);
+      spy.mockRestore();
+    });
+
+    test('dispatches failed after maxReconnectAttempts.', async () => {
+      const refusingServer = {
+        connect: (url) => {
+          const socket = new TransportSocket(url);
+          Promise.resolve().then(() => socket.setClosed());
+          return socket;
+        },
+      };
+      api = new TralisAPI({
+        url: 'ws://fake',
+        transport: refusingServer,
+        maxReconnectAttempts: 2,
+        reconnectJitter: 0,
+      });
+      listenStates();
+      api.open();
+      await Promise.resolve();
+      jest.runOnlyPendingTimers();
+      await Promise.resolve();
+      jest.runOnlyPendingTimers();
+      await Promise.resolve();
+      expect(events.map((evt) => evt.type)).toEqual([
+        'connecting',
+        'offline',
+        'reconnecting',
+        'reconnecting',
+        'failed',
+      ]);
+      expect(events.slice(2, 4).map((evt) => evt.delay)).toEqual([100, 200]);
+      expect(api.state).toBe('failed');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('closes the connection if no message is received after a PING.', async () => {
+      api = new TralisAPI({
+        url: 'ws://fake',
+        transport: server,
+        pingIntervalMs: 1000,
+        pongTimeoutMs: 500,
+      });
+      listenStates();
+      api.open();
+      await server.flush();
+
+      // The server answers to the PING.
+      jest.advanceTimersByTime(1000);
+      await server.flush();
+      jest.advanceTimersByTime(500);
+      await server.flush();
+      expect(api.state).toBe('open');
+
+      // The server doesn't answer anymore.
+      server.onClientMessage = () => {};
+      jest.advanceTimersByTime(1500);
+      await server.flush();
+      expect(server.clients.length).toBe(0);
+      expect(events.map((evt) => evt.type)).toContain('offline');
+      expect(api.state).toBe('reconnecting');
+    });
+
+    test("doesn't reconnect after close().", async () => {
+      api = new TralisAPI({ url: 'ws://fake', transport: server });
+      listenStates();
+      api.open();
+      await server.flush();
+      api.close();
+      await server.flush();
+      expect(jest.getTimerCount()).toBe(0);
+      expect(events.map((evt) => evt.type)).toEqual(['connecting', 'open']);
+    });
+  });
+
+  test('uses the WebSocket class defined in options.', () => {
+    const socket = {
+      readyState: 0,
+      CONNECTING: 0,
+      OPEN: 1,
+      CLOSING: 2,
+      CLOSED: 3,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+      close: jest.fn(),
+    };
+    const WebSocket = jest.fn(() => socket);
+    const api = new TralisAPI({ url: 'ws://foo', WebSocket });
+    api.open();
+    expect(WebSocket).toHaveBeenCalledWith('ws://foo');
+    expect(api.conn.websocket).toBe(socket);
+    api.close();
+  });
+
+  describe('subscriptions', () => {
+    let server;
+    let api;
+
+    beforeEach(() => {
+      server = new FakeTralisServer();
+      api = new TralisAPI({ url: 'ws://fake', transport: server });
+      api.open();
+    });
+
+    afterEach(() => {
+      api.close();
+    });
+
+    test('return a handle to unsubscribe.', async () => {
+      const onMessage = jest.fn();
+      const subscription = api.subscribeDisruptions(onMessage);
+      await server.flush();
+      await server.publish('newsticker', { id: 1 });
+      expect(onMessage).toHaveBeenLastCalledWith({ id: 1 });
+      onMessage.mockClear();
+      subscription.unsubscribe();
+      await server.publish('newsticker', { id: 2 });
+      expect(onMessage).not.toHaveBeenCalled();
+      expect(server.messages).toContain('DEL newsticker');
+    });
+
+    test("handle doesn't remove the other callbacks of the channel.", async () => {
+      const onMessage = jest.fn();
+      const onMessage2 = jest.fn();
+      const subscription = api.subscribeTrajectory(
+        TralisModes.TOPOGRAPHIC,
+        onMessage,
+      );
+      api.subscribeTrajectory(TralisModes.TOPOGRAPHIC, onMessage2);
+      await server.flush();
+      subscription.unsubscribe();
+      onMessage2.mockClear();
+      await server.publish('trajectory', { properties: {} });
+      expect(onMessage).not.toHaveBeenCalledWith(
+        expect.objectContaining({ content: { properties: {} } }),
+      );
+      expect(onMessage2).toHaveBeenCalledTimes(1);
+      expect(server.messages).not.toContain('DEL trajectory');
+    });
+
+    test('can be iterated asynchronously.', async () => {
+      await server.flush();
+      const received = [];
+      const iterate = async () => {
+        // eslint-disable-next-line no-restricted-syntax
+        for await (const disruption of api.disruptions()) {
+          if (disruption) {
+            received.push(disruption);
+          }
+          if (received.length === 2) {
+            break;
+          }
+        }
+      };
+      const promise = iterate();
+      await server.flush();
+      server.publish('newsticker', { id: 1 });
+      server.publish('newsticker', { id: 2 });
+      server.publish('newsticker', { id: 3 });
+      await server.flush();
+      await promise;
+      expect(received).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(server.messages).toContain('DEL newsticker');
+    });
+  });
+
+  describe('departures subscriptions', () => {
+    let server;
+    let api;
+    const departure = (callId, props = {}) => ({
+      call_id: callId,
+      time: Date.now() + callId * 60000,
+      to: [`To ${callId}`],
+      line: { name: 'S1' },
+      ...props,
+    });
+    const callIds = (deps) => deps.map((d) => d.call_id);
+    const lastCallIds = (onMessage) =>
+      callIds(onMessage.mock.calls[onMessage.mock.calls.length - 1][0]);
+
+    beforeEach(async () => {
+      jest.useFakeTimers();
+      server = new FakeTralisServer();
+      api = new TralisAPI({ url: 'ws://fake', transport: server });
+      api.open();
+      await server.flush();
+    });
+
+    afterEach(() => {
+      api.close();
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    const publish = async (uic, content) => {
+      await server.publish(`timetable_${uic}`, content);
+      jest.advanceTimersByTime(100);
+    };
+
+    test('a single station replaces the previous one.', async () => {
+      const onMessage = jest.fn();
+      const onMessage2 = jest.fn();
+      api.subscribeDepartures(1, {}, onMessage);
+      expect(api.subscribedStationUic).toBe(1);
+      api.subscribeDepartures(2, {}, onMessage2);
+      expect(api.subscribedStationUic).toBe(2);
+      expect(api.subscribedStationUics).toEqual([2]);
+      await server.flush();
+      expect(server.messages).toContain('DEL timetable_1');
+      await publish(1, departure(1));
+      await publish(2, departure(2));
+      expect(onMessage).not.toHaveBeenCalled();
+      expect(lastCallIds(onMessage2)).toEqual([2]);
+
+      api.unsubscribeDepartures();
+      expect(api.subscribedStationUic).toBe(null);
+    });
+
+    test("doesn't replace the stations subscribed with an array.", async () => {
+      const onMessage = jest.fn();
+      const onMessage2 = jest.fn();
+      api.subscribeDepartures([1], {}, onMessage);
+      api.subscribeDepartures(2, {}, onMessage2);
+      api.subscribeDepartures(3, {}, onMessage2);
+      await server.flush();
+      await publish(1, departure(1));
+      expect(lastCallIds(onMessage)).toEqual([1]);
+      expect(server.messages).not.toContain('DEL timetable_1');
+      expect(api.subscribedStationUics).toEqual([1, 3]);
+    });
+
+    test('subscribes a station listed twice only once.', async () => {
+      const onMessage = jest.fn();
+      const subscription = api.subscribeDepartures([1, 1], {}, onMessage);
+      expect(api.subscribedStationUics).toEqual([1]);
+      subscription.unsubscribe();
+      await server.flush();
+      expect(server.clients[0].subscriptions).toEqual({});
+    });
+
+    test('merges the departures of several stations.', async () => {
+      const onMessage = jest.fn();
+      const subscription = api.subscribeDepartures([1, 2], {}, onMessage);
+      await server.flush();
+      await server.publish('timetable_1', departure(3));
+      await server.publish('timetable_2', departure(1));
+      jest.advanceTimersByTime(100);
+      expect(onMessage).toHaveBeenCalledTimes(1);
+      expect(callIds(onMessage.mock.calls[0][0])).toEqual([1, 3]);
+
+      // Unsubscribing a station removes its departures.
+      subscription.unsubscribe(2);
+      expect(server.messages).toContain('DEL timetable_2');
+      expect(callIds(onMessage.mock.calls[1][0])).toEqual([3]);
+      await publish(2, departure(2));
+      expect(onMessage).toHaveBeenCalledTimes(2);
+
+      subscription.unsubscribe();
+      expect(server.messages).toContain('DEL timetable_1');
+      expect(api.subscribedStationUics).toEqual([]);
+    });
+
+    test('sends the departures of each station separately.', async () => {
+      const onMessage = jest.fn();
+      const subscription = api.subscribeDepartures(
+        [1, 2],
+        { merge: false },
+        onMessage,
+      );
+      await server.flush();
+      await server.publish('timetable_1', departure(1));
+      await server.publish('timetable_2', departure(2));
+      jest.advanceTimersByTime(100);
+      expect(onMessage).toHaveBeenCalledTimes(2);
+      expect(callIds(onMessage.mock.calls[0][0])).toEqual([1]);
+      expect(onMessage.mock.calls[0][1]).toBe(1);
+      expect(callIds(onMessage.mock.calls[1][0])).toEqual([2]);
+      expect(onMessage.mock.calls[1][1]).toBe(2);
+
+      subscription.unsubscribe(1);
+      await publish(1, departure(3));
+      await publish(2, departure(4));
+      expect(onMessage).toHaveBeenCalledTimes(3);
+      expect(callIds(onMessage.mock.calls[2][0])).toEqual([2, 4]);
+    });
+
+    test('unsubscribeDepartures unsubscribes one or all the stations.', async () => {
+      api.subscribeDepartures([1, 2, 3], {}, () => {});
+      await server.flush();
+      api.unsubscribeDepartures(null, 2);
+      expect(server.messages).toContain('DEL timetable_2');
+      expect(api.subscribedStationUics).toEqual([1, 3]);
+      api.unsubscribeDepartures();
+      expect(server.messages).toContain('DEL timetable_1');
+      expect(server.messages).toContain('DEL timetable_3');
+      expect(api.subscribedStationUics).toEqual([]);
+    });
+  });
+
+  describe('get requests', () => {
+    let server;
+    let api;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      server = new FakeTralisServer();
+      api = new TralisAPI({
+        url: 'ws://fake',
+        transport: server,
+        pingIntervalMs: 0,
+        requestTimeoutMs: 1000,
+      });
+      api.open();
+    });
+
+    afterEach(() => {
+      api.close();
+      jest.useRealTimers();
+    });
+
+    test('resolve when the server answers.', async () => {
+      const station = { properties: { uic: 8500010 } };
+      server.setData('station 8500010', station);
+      const promise = api.getStation(8500010);
+      await server.flush();
+      await expect(promise).resolves.toEqual(station);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('reject when the server never answers.', async () => {
+      // The server ignores all the requests.
+      server.onClientMessage = () => {};
+      await server.flush();
+      const promise = api.getStopSequence('foo');
+      jest.advanceTimersByTime(1000);
+      await expect(promise).rejects.toThrow(
+        'no response to GET stopsequence_foo after 1000 ms',
+      );
+    });
+  });
 });
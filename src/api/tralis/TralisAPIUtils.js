@@ -44,6 +44,41 @@ export const compareDepartures = (a, b, sortByMinArrivalTime = false) => {
   return aDuration - bDuration;
 };
 
+/**
+ * Names of the modes of transport, by train_type of the departures.
+ * @private
+ */
+export const trainTypes = [
+  'tram',
+  'subway',
+  'train',
+  'bus',
+  'ferry',
+  'cablecar',
+  'gondola',
+  'funicular',
+  'coach',
+  'rail',
+];
+
+/**
+ * Returns true if the train_type of a departure is one of the modes.
+ * @param {Array<string|number>|function(trainType: number|string): boolean} modes Names or train types of the modes, or a function matching a train type.
+ * @param {number|string} trainType The train_type of a departure.
+ * @private
+ */
+export const matchTrainType = (modes, trainType) => {
+  if (typeof modes === 'function') {
+    return modes(trainType);
+  }
+  const name = `${trainTypes[trainType] || trainType}`.toLowerCase();
+  return modes.some(
+    (mode) =>
+      mode === trainType ||
+      (typeof mode === 'string' && mode.toLowerCase() === name),
+  );
+};
+
 /**
  * Remove the delay from arrivalTime and departureTime
  * @private
@@ -71,3 +106,63 @@ export const cleanStopTime = (content) => {
   // eslint-disable-next-line consistent-return
   return content;
 };
+
+/**
+ * Create an async iterator from a subscription function.
+ * Messages received while the consumer is busy are queued.
+ * The subscription is removed when the iteration ends (break, return or throw).
+ *
+ * @param {function(onMessage: function): TralisSubscription} subscribe Function subscribing to a channel.
+ * @return {AsyncIterableIterator} An async iterator over the messages.
+ * @private
+ */
+export const createSubscriptionIterator = (subscribe) => {
+  const queue = [];
+  const pending = [];
+  let done = false;
+
+  const subscription = subscribe((value) => {
+    if (done) {
+      return;
+    }
+    if (pending.length) {
+      pending.shift()({ value, done: false });
+    } else {
+      queue.push(value);
+    }
+  });
+
+  const end = () => {
+    if (!done) {
+      done = true;
+      queue.length = 0;
+      subscription.unsubscribe();
+      pending.splice(0).forEach((resolve) => {
+        resolve({ value: undefined, done: true });
+      });
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  };
+
+  return {
+    next() {
+      if (queue.length) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve) => {
+        pending.push(resolve);
+      });
+    },
+    return: end,
+    throw(err) {
+      end();
+      return Promise.reject(err);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
@@ -0,0 +1,251 @@
+/**
+ * Replay messages recorded by a TralisRecorder on a TralisLayer.
+ *
+ * While the player is attached, the layer is unsubscribed from the live
+ * vehicles and uses its own clock (`live: false`). The live connection is
+ * kept open for the other requests, like the full trajectory of a vehicle. The recorded messages are sent to
+ * the layer's onTrajectoryMessage and onDeleteTrajectoryMessage callbacks
+ * when the layer's time reaches their timestamp.
+ *
+ * @example
+ * import { TralisPlayer } from 'mobility-toolbox-js/api';
+ *
+ * const player = new TralisPlayer({
+ *   layer,
+ *   recorder,
+ * });
+ * player.seek(new Date('2022-02-14T07:42:00'));
+ * player.play();
+ * player.speed = 10;
+ *
+ * @classproperty {TralisLayer} layer - The layer where the messages are replayed.
+ * @classproperty {Array<RecordedMessage>} messages - Messages to replay, sorted by timestamp.
+ * @classproperty {boolean} playing - True if the player is playing. Read-only.
+ * @classproperty {number} speed - Speed of the replay.
+ */
+class TralisPlayer {
+  /**
+   * Constructor
+   *
+   * @param {Object} options
+   * @param {TralisLayer} options.layer The layer where the messages are replayed.
+   * @param {TralisRecorder} [options.recorder] The recorder to replay.
+   * @param {Array<RecordedMessage>} [options.messages] The messages to replay, if no recorder is defined.
+   * @param {number} [options.speed=1] Speed of the replay.
+   * @param {number} [options.tickMs=100] Interval in ms between two dispatches of messages.
+   */
+  constructor(options = {}) {
+    const { layer, recorder, messages } = options;
+
+    /** @ignore */
+    this.layer = layer;
+
+    /** @ignore */
+    this.messages = [...((recorder ? recorder.messages : messages) || [])].sort(
+      (a, b) => a.timestamp - b.timestamp,
+    );
+
+    /** @ignore */
+    this.tickMs = options.tickMs || 100;
+
+    /** @ignore */
+    this.cursor = 0;
+
+    /** @ignore */
+    this.liveApi = null;
+
+    let speed = options.speed || 1;
+    Object.defineProperties(this, {
+      playing: {
+        get: () => !!this.tickInterval,
+      },
+      speed: {
+        get: () => speed,
+        set: (newSpeed) => {
+          speed = newSpeed;
+          if (this.playing) {
+            this.layer.speed = speed;
+          }
+        },
+      },
+    });
+  }
+
+  /**
+   * Disconnect the layer from its live api and replace it by a replay api.
+   *
+   * @private
+   */
+  attach() {
+    if (this.liveApi) {
+      return;
+    }
+    const { layer } = this;
+    this.liveApi = layer.api;
+    this.liveApi.unsubscribeTrajectory(layer.onTrajectoryMessage);
+    this.liveApi.unsubscribeDeletedVehicles(layer.onDeleteTrajectoryMessage);
+
+    // The live connection stays open: requests unrelated to the vehicles
+    // positions (full trajectory, stop sequence, ...) are still delegated
+    // to the live api.
+    const replayApi = Object.create(this.liveApi);
+    ['bbox', 'buffer', 'projection'].forEach((name) => {
+      Object.defineProperty(replayApi, name, {
+        value: this.liveApi[name],
+        writable: true,
+      });
+    });
+    [
+      'open',
+      'close',
+      'reset',
+      'subscribeTrajectory',
+      'unsubscribeTrajectory',
+      'subscribeDeletedVehicles',
+      'unsubscribeDeletedVehicles',
+    ].forEach((name) => {
+      replayApi[name] = () => {};
+    });
+    layer.api = replayApi;
+    layer.live = false;
+    layer.trajectories = {};
+    this.cursor = 0;
+
+    if (this.messages.length) {
+      layer.time = this.messages[0].timestamp;
+    }
+  }
+
+  /**
+   * Reconnect the layer to its live api.
+   */
+  detach() {
+    if (!this.liveApi) {
+      return;
+    }
+    this.pause();
+    const { layer } = this;
+    layer.api = this.liveApi;
+    layer.live = true;
+    layer.trajectories = {};
+    this.liveApi = null;
+
+    if (layer.visible && layer.map) {
+      layer.start();
+    }
+  }
+
+  /**
+   * Start or resume the replay at the current time of the layer.
+   */
+  play() {
+    this.attach();
+    this.stopTick();
+    // The speed setter of the layer (re)starts its clock.
+    this.layer.speed = this.speed;
+    this.tickInterval = setInterval(() => {
+      this.tick();
+    }, this.tickMs);
+    this.tick();
+  }
+
+  /**
+   * Pause the replay. The vehicles stay at their current position.
+   */
+  pause() {
+    this.stopTick();
+    this.layer.stopUpdateTime();
+  }
+
+  /**
+   * Move the replay to a given time. Vehicles displayed are the ones known
+   * at this time.
+   *
+   * @param {Date|number} time The time to move to.
+   */
+  seek(time) {
+    this.attach();
+    const { layer } = this;
+    const timeMs = time && time.getTime ? time.getTime() : time;
+
+    // Only the last message of each vehicle before the given time matters.
+    const lastMessages = {};
+    let idx = 0;
+    for (; idx < this.messages.length; idx += 1) {
+      const message = this.messages[idx];
+      if (message.timestamp > timeMs) {
+        break;
+      }
+      const { source, content } = message.data;
+      if (/^deleted_vehicles/.test(source)) {
+        delete lastMessages[content];
+      } else {
+        lastMessages[content.properties.train_id] = message;
+      }
+    }
+
+    layer.trajectories = {};
+    Object.values(lastMessages)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach((message) => {
+        this.dispatch(message);
+      });
+    this.cursor = idx;
+    layer.time = timeMs;
+  }
+
+  /**
+   * Send to the layer all the messages between the last message sent and
+   * the current time of the layer. The player is paused at the end of
+   * the record.
+   *
+   * @private
+   */
+  tick() {
+    const time = this.layer.time.getTime();
+    while (
+      this.cursor < this.messages.length &&
+      this.messages[this.cursor].timestamp <= time
+    ) {
+      this.dispatch(this.messages[this.cursor]);
+      this.cursor += 1;
+    }
+
+    if (this.cursor >= this.messages.length) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Send a message to the proper callback of the layer.
+   *
+   * @private
+   */
+  dispatch(message) {
+    const { timestamp, receivedAt, data } = message;
+    // The layer modifies the content of the message, so we use a copy.
+    const copy = JSON.parse(JSON.stringify(data));
+
+    if (/^deleted_vehicles/.test(copy.source)) {
+      this.layer.onDeleteTrajectoryMessage(copy);
+      return;
+    }
+
+    // The layer computes the time offset of the trajectory using the
+    // timestamp, we keep the one observed at record time.
+    copy.timestamp = Date.now() - (receivedAt - timestamp);
+    this.layer.onTrajectoryMessage(copy);
+  }
+
+  /**
+   * @private
+   */
+  stopTick() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+}
+
+export default TralisPlayer;
@@ -0,0 +1,188 @@
+/**
+ * @jest-environment node
+ */
+import { TralisAPI, TralisModes, TralisPlayer } from '..';
+import FakeTralisServer from './testUtils/FakeTralisServer';
+
+const trajectoryMessage = (id, timestamp) => ({
+  timestamp,
+  receivedAt: timestamp + 100,
+  data: {
+    source: 'trajectory',
+    timestamp,
+    content: { properties: { train_id: id } },
+  },
+});
+
+const deletedMessage = (id, timestamp) => ({
+  timestamp,
+  receivedAt: timestamp,
+  data: { source: 'deleted_vehicles', timestamp, content: id },
+});
+
+describe('TralisPlayer', () => {
+  let layer;
+  let liveApi;
+  let messages;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    liveApi = {
+      bbox: [0, 0, 1, 1],
+      close: jest.fn(),
+      unsubscribeTrajectory: jest.fn(),
+      unsubscribeDeletedVehicles: jest.fn(),
+      getFullTrajectory: jest.fn(),
+    };
+    let time = new Date(0);
+    layer = {
+      api: liveApi,
+      live: true,
+      trajectories: {},
+      stopUpdateTime: jest.fn(),
+      start: jest.fn(),
+      onTrajectoryMessage: jest.fn((data) => {
+        layer.trajectories[data.content.properties.train_id] = data.content;
+      }),
+      onDeleteTrajectoryMessage: jest.fn((data) => {
+        delete layer.trajectories[data.content];
+      }),
+    };
+    Object.defineProperty(layer, 'time', {
+      get: () => time,
+      set: (newTime) => {
+        time = new Date(newTime);
+      },
+    });
+    messages = [
+      trajectoryMessage('foo', 1000),
+      trajectoryMessage('bar', 2000),
+      deletedMessage('foo', 3000),
+      trajectoryMessage('bar', 4000),
+    ];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('disconnects the layer from the live api.', () => {
+    const player = new TralisPlayer({ layer, messages });
+    player.seek(1000);
+    expect(liveApi.close).not.toHaveBeenCalled();
+    expect(liveApi.unsubscribeTrajectory).toHaveBeenCalledWith(
+      layer.onTrajectoryMessage,
+    );
+    expect(layer.api).not.toBe(liveApi);
+    expect(layer.live).toBe(false);
+
+    // Other requests are still sent to the live api.
+    layer.api.bbox = [1, 1, 2, 2];
+    expect(liveApi.bbox).toEqual([0, 0, 1, 1]);
+    layer.api.getFullTrajectory('foo');
+    expect(liveApi.getFullTrajectory).toHaveBeenCalledWith('foo');
+
+    player.detach();
+    expect(layer.api).toBe(liveApi);
+    expect(layer.live).toBe(true);
+  });
+
+  test('#seek() displays the vehicles known at a given time.', () => {
+    const player = new TralisPlayer({ layer, messages });
+    player.seek(2500);
+    expect(Object.keys(layer.trajectories)).toEqual(['foo', 'bar']);
+    expect(layer.time.getTime()).toBe(2500);
+
+    player.seek(3500);
+    expect(Object.keys(layer.trajectories)).toEqual(['bar']);
+    expect(layer.onDeleteTrajectoryMessage).not.toHaveBeenCalled();
+  });
+
+  test('#seek() keeps the time offset observed at record time.', () => {
+    const player = new TralisPlayer({ layer, messages });
+    player.seek(1000);
+    const [data] = layer.onTrajectoryMessage.mock.calls[0];
+    expect(Date.now() - data.timestamp).toBeGreaterThanOrEqual(100);
+    expect(messages[0].data.timestamp).toBe(1000);
+  });
+
+  test('#play() sends messages following the time of the layer.', () => {
+    const player = new TralisPlayer({ layer, messages, speed: 5 });
+    player.seek(1000);
+    layer.onTrajectoryMessage.mockClear();
+    player.play();
+    expect(player.playing).toBe(true);
+    expect(layer.speed).toBe(5);
+
+    layer.time = 3000;
+    jest.advanceTimersByTime(100);
+    expect(layer.onTrajectoryMessage).toHaveBeenCalledTimes(1);
+    expect(layer.onDeleteTrajectoryMessage).toHaveBeenCalledTimes(1);
+
+    player.speed = 2;
+    expect(layer.speed).toBe(2);
+
+    layer.time = 5000;
+    jest.advanceTimersByTime(100);
+    expect(layer.onTrajectoryMessage).toHaveBeenCalledTimes(2);
+
+    // End of the record.
+    expect(player.playing).toBe(false);
+    expect(layer.stopUpdateTime).toHaveBeenCalled();
+  });
+
+  test('#pause() stops the clock of the layer.', () => {
+    const player = new TralisPlayer({ layer, messages });
+    player.play();
+    player.pause();
+    expect(player.playing).toBe(false);
+    expect(layer.stopUpdateTime).toHaveBeenCalled();
+    player.speed = 3;
+    expect(layer.speed).toBe(1);
+  });
+});
+
+describe('TralisPlayer with a live connection', () => {
+  let server;
+  let api;
+  let layer;
+
+  beforeEach(() => {
+    server = new FakeTralisServer();
+    api = new TralisAPI({ url: 'ws://fake', transport: server });
+    layer = {
+      api,
+      live: true,
+      trajectories: {},
+      stopUpdateTime: () => {},
+      onTrajectoryMessage: jest.fn(),
+      onDeleteTrajectoryMessage: jest.fn(),
+    };
+    api.open();
+    api.subscribeTrajectory(TralisModes.TOPOGRAPHIC, layer.onTrajectoryMessage);
+  });
+
+  afterEach(() => {
+    api.close();
+  });
+
+  test('still answers the full trajectory requests while replaying.', async () => {
+    const fullTrajectory = { type: 'FeatureCollection', features: [] };
+    server.setData('full_trajectory_foo', fullTrajectory);
+    await server.flush();
+    layer.onTrajectoryMessage.mockClear();
+
+    const player = new TralisPlayer({ layer, messages: [] });
+    player.seek(1000);
+    expect(server.messages).toContain('DEL trajectory');
+    expect(api.conn.open).toBe(true);
+
+    const promise = layer.api.getFullTrajectory('foo');
+    await server.flush();
+    await expect(promise).resolves.toEqual(fullTrajectory);
+
+    // The live vehicles are not received anymore.
+    await server.publish('trajectory', { properties: { train_id: 'bar' } });
+    expect(layer.onTrajectoryMessage).not.toHaveBeenCalled();
+  });
+});
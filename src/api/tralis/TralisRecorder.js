@@ -0,0 +1,152 @@
+import { TralisModes } from './TralisAPI';
+
+/**
+ * Record the trajectory and deleted_vehicles messages received by a TralisAPI,
+ * so they can be replayed later using a TralisPlayer.
+ *
+ * The recorder registers quiet subscriptions, so it never sends GET or SUB
+ * requests itself, it only listens to the messages requested by the layers
+ * using the same api.
+ *
+ * @example
+ * import { TralisAPI, TralisRecorder } from 'mobility-toolbox-js/api';
+ *
+ * const recorder = new TralisRecorder({
+ *   api: layer.api,
+ *   maxAgeMs: 2 * 60 * 60 * 1000,
+ * });
+ * recorder.start();
+ * ...
+ * const log = JSON.stringify(recorder);
+ *
+ * @classproperty {Array<RecordedMessage>} messages - List of recorded messages, sorted by timestamp.
+ */
+class TralisRecorder {
+  /**
+   * Constructor
+   *
+   * @param {Object} options
+   * @param {TralisAPI} options.api The api to record messages from.
+   * @param {TralisMode} [options.mode=TralisModes.TOPOGRAPHIC] Tralis mode to record.
+   * @param {number} [options.maxAgeMs] If defined, messages older than this duration are removed from the log.
+   * @param {Array<RecordedMessage>} [options.messages=[]] Messages of a previous record.
+   */
+  constructor(options = {}) {
+    /** @ignore */
+    this.api = options.api;
+
+    /** @ignore */
+    this.mode = options.mode || TralisModes.TOPOGRAPHIC;
+
+    /** @ignore */
+    this.maxAgeMs = options.maxAgeMs;
+
+    /** @ignore */
+    this.messages = [...(options.messages || [])];
+
+    /** @ignore */
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  /**
+   * Start recording.
+   */
+  start() {
+    this.stop();
+    this.api.subscribeTrajectory(this.mode, this.onMessage, true);
+    this.api.subscribeDeletedVehicles(this.mode, this.onMessage, true);
+  }
+
+  /**
+   * Stop recording. Recorded messages are kept.
+   */
+  stop() {
+    this.api.unsubscribeTrajectory(this.onMessage);
+    this.api.unsubscribeDeletedVehicles(this.onMessage);
+  }
+
+  /**
+   * Remove all the recorded messages.
+   */
+  clear() {
+    this.messages = [];
+  }
+
+  /**
+   * Callback on websocket's trajectory and deleted_vehicles channels.
+   *
+   * @private
+   */
+  onMessage(data) {
+    if (!data || !data.content) {
+      return;
+    }
+    const receivedAt = Date.now();
+    this.messages.push({
+      timestamp: data.timestamp || receivedAt,
+      receivedAt,
+      // The message is shared with the other subscribers (layers add
+      // properties to it), so we store a copy.
+      data: JSON.parse(JSON.stringify(data)),
+    });
+
+    if (this.maxAgeMs) {
+      const minTimestamp = receivedAt - this.maxAgeMs;
+      let idx = 0;
+      while (
+        idx < this.messages.length &&
+        this.messages[idx].timestamp < minTimestamp
+      ) {
+        idx += 1;
+      }
+      if (idx) {
+        this.messages.splice(0, idx);
+      }
+    }
+  }
+
+  /**
+   * Returns the time range covered by the record.
+   *
+   * @return {Array<number>} [start, end] in ms, or null if nothing was recorded.
+   */
+  getTimeRange() {
+    if (!this.messages.length) {
+      return null;
+    }
+    return [
+      this.messages[0].timestamp,
+      this.messages[this.messages.length - 1].timestamp,
+    ];
+  }
+
+  /**
+   * Serializable representation of the record, used by JSON.stringify.
+   *
+   * @return {Object} An object containing the mode and the messages.
+   */
+  toJSON() {
+    return {
+      mode: this.mode,
+      messages: this.messages,
+    };
+  }
+
+  /**
+   * Create a recorder from a serialized record.
+   *
+   * @param {Object|string} json A record, or its string representation.
+   * @param {Object} [options] Other options of the recorder, see constructor.
+   * @return {TralisRecorder} A recorder.
+   */
+  static fromJSON(json, options = {}) {
+    const record = typeof json === 'string' ? JSON.parse(json) : json;
+    return new TralisRecorder({
+      ...options,
+      mode: record.mode,
+      messages: [...record.messages].sort((a, b) => a.timestamp - b.timestamp),
+    });
+  }
+}
+
+export default TralisRecorder;
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import { TralisRecorder, TralisModes } from '..';
+
+const trajectoryMessage = (id, timestamp) => ({
+  source: 'trajectory',
+  timestamp,
+  content: { properties: { train_id: id } },
+});
+
+describe('TralisRecorder', () => {
+  let api;
+
+  beforeEach(() => {
+    api = {
+      subscribeTrajectory: jest.fn(),
+      subscribeDeletedVehicles: jest.fn(),
+      unsubscribeTrajectory: jest.fn(),
+      unsubscribeDeletedVehicles: jest.fn(),
+    };
+  });
+
+  test('subscribes quietly to trajectory and deleted_vehicles channels.', () => {
+    const recorder = new TralisRecorder({
+      api,
+      mode: TralisModes.SCHEMATIC,
+    });
+    recorder.start();
+    expect(api.subscribeTrajectory).toHaveBeenCalledWith(
+      TralisModes.SCHEMATIC,
+      recorder.onMessage,
+      true,
+    );
+    expect(api.subscribeDeletedVehicles).toHaveBeenCalledWith(
+      TralisModes.SCHEMATIC,
+      recorder.onMessage,
+      true,
+    );
+    recorder.stop();
+    expect(api.unsubscribeTrajectory).toHaveBeenCalledWith(recorder.onMessage);
+    expect(api.unsubscribeDeletedVehicles).toHaveBeenCalledWith(
+      recorder.onMessage,
+    );
+  });
+
+  test('records messages with their timestamp.', () => {
+    const recorder = new TralisRecorder({ api });
+    const message = trajectoryMessage('foo', 1000);
+    recorder.onMessage(message);
+    recorder.onMessage({ source: 'trajectory', content: null });
+    expect(recorder.messages.length).toBe(1);
+    expect(recorder.messages[0].timestamp).toBe(1000);
+    expect(recorder.messages[0].data).toEqual(message);
+    // The message is shared with the other subscribers.
+    expect(recorder.messages[0].data).not.toBe(message);
+    expect(recorder.getTimeRange()).toEqual([1000, 1000]);
+  });
+
+  test('removes messages older than maxAgeMs.', () => {
+    const now = Date.now();
+    const recorder = new TralisRecorder({ api, maxAgeMs: 1000 });
+    recorder.onMessage(trajectoryMessage('foo', now - 2000));
+    recorder.onMessage(trajectoryMessage('bar', now - 500));
+    expect(recorder.messages.length).toBe(1);
+    expect(recorder.messages[0].data.content.properties.train_id).toBe('bar');
+  });
+
+  test('serializes and deserializes a record.', () => {
+    const recorder = new TralisRecorder({ api });
+    recorder.onMessage(trajectoryMessage('foo', 2000));
+    recorder.onMessage(trajectoryMessage('bar', 1000));
+    const copy = TralisRecorder.fromJSON(JSON.stringify(recorder), { api });
+    expect(copy.mode).toBe(TralisModes.TOPOGRAPHIC);
+    expect(copy.api).toBe(api);
+    expect(copy.messages.map((m) => m.timestamp)).toEqual([1000, 2000]);
+  });
+});
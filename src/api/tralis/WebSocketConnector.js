@@ -1,3 +1,5 @@
+import WebSocketTransport from './transports/WebSocketTransport';
+
 /**
  * Class used to facilitate connection to a WebSocket and
  * also to manage properly messages send to the WebSocket.
@@ -6,12 +8,27 @@
  * @private
  */
 class WebSocketConnector {
-  constructor() {
-    this.defineProperties();
+  /**
+   * Constructor
+   *
+   * @param {Object} [options]
+   * @param {Transport} [options.transport=new WebSocketTransport()] Transport used to open the connection.
+   */
+  constructor(options = {}) {
+    this.defineProperties(options);
   }
 
-  defineProperties() {
+  defineProperties(options = {}) {
     Object.defineProperties(this, {
+      /**
+       * Transport used to open the connection.
+       * @type {Transport}
+       * @private
+       */
+      transport: {
+        value: options.transport || new WebSocketTransport(),
+        writable: true,
+      },
       closed: {
         get: () =>
           !!(
@@ -67,7 +84,21 @@ class WebSocketConnector {
         value: {},
         writable: true,
       },
+
+      /**
+       * Message handlers by source. All the messages are dispatched
+       * by one websocket listener using this lookup table.
+       * @type {Object<string, Array<handler>>}
+       * @private
+       */
+      handlers: {
+        value: {},
+        writable: true,
+      },
     });
+
+    /** @ignore */
+    this.onMessage = this.onMessage.bind(this);
   }
 
   /**
@@ -101,7 +132,11 @@ class WebSocketConnector {
     }
 
     /** @ignore */
-    this.websocket = new WebSocket(url);
+    this.websocket = this.transport.connect(url);
+    this.websocket.addEventListener('message', this.onMessage);
+
+    // Handlers are registered again by subscribePreviousSubscriptions.
+    this.handlers = {};
 
     if (!this.open) {
       this.websocket.addEventListener('open', () => {
@@ -158,53 +193,61 @@ class WebSocketConnector {
     }
   }
 
+  /**
+   * Parse a websocket message and dispatch it to the handlers of its source.
+   *
+   * @param {MessageEvent} evt Websocket message event.
+   * @private
+   */
+  onMessage(evt) {
+    let data = {};
+    try {
+      data = JSON.parse(evt.data);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('WebSocket: unable to parse JSON data', err, evt.data);
+    }
+
+    // Buffer channel message return a list of other channels to propagate to proper callbacks.
+    const contents = data.source === 'buffer' ? data.content : [data];
+    contents.forEach((content) => {
+      // Because of backend optimization, the last content is null.
+      const handlers = content && this.handlers[content.source];
+      if (!handlers) {
+        return;
+      }
+      [...handlers].forEach((handler) => {
+        if (!handler.id || handler.id === data.client_reference) {
+          handler.cb(content);
+        }
+      });
+    });
+  }
+
   /**
    * Listen to websocket messages.
    *
    * @param {Object} params Parameters for the websocket get request
    * @param {function} cb callback on listen
    * @param {function} errorCb Callback on error
-   * @return {{onMessage: function, errorCb: function}} Object with onMessage and error callbacks
+   * @return {{onMessageCb: handler, onErrorCb: function}} Object with the message handler and error callback
    * @private
    */
   listen(params, cb, errorCb) {
     // Remove the previous identical callback
     this.unlisten(params, cb);
 
-    const onMessage = (evt) => {
-      let data = {};
-      try {
-        data = JSON.parse(evt.data);
-      } catch (err) {
-        // eslint-disable-next-line no-console
-        console.error('WebSocket: unable to parse JSON data', err, evt.data);
-      }
-      let source = params.channel;
-      source += params.args ? ` ${params.args}` : '';
-
-      // Buffer channel message return a list of other channels to propagate to proper callbacks.
-      const contents = data.source === 'buffer' ? data.content : [data];
-      contents.forEach((content) => {
-        // Because of backend optimization, the last content is null.
-        if (
-          content?.source === source &&
-          (!params.id || params.id === data.client_reference)
-        ) {
-          cb(content);
-        }
-      });
-    };
-
-    if (this.websocket) {
-      this.websocket.addEventListener('message', onMessage);
+    let source = params.channel;
+    source += params.args ? ` ${params.args}` : '';
+    const handler = { source, id: params.id, cb };
+    this.handlers[source] = [...(this.handlers[source] || []), handler];
 
-      if (errorCb) {
-        this.websocket.addEventListener('error', errorCb);
-        this.websocket.addEventListener('close', errorCb);
-      }
+    if (this.websocket && errorCb) {
+      this.websocket.addEventListener('error', errorCb);
+      this.websocket.addEventListener('close', errorCb);
     }
 
-    return { onMessageCb: onMessage, onErrorCb: errorCb };
+    return { onMessageCb: handler, onErrorCb: errorCb };
   }
 
   /**
@@ -215,22 +258,33 @@ class WebSocketConnector {
    * @private
    */
   unlisten(params, cb) {
-    if (!this.websocket) {
-      return;
-    }
     this.subscriptions
       .filter(
         (s) => s.params.channel === params.channel && (!cb || s.cb === cb),
       )
-      .forEach(({ onMessageCb, onErrorCb }) => {
-        if (this.websocket) {
-          this.websocket.removeEventListener('message', onMessageCb);
-          if (onErrorCb) {
-            this.websocket.removeEventListener('error', onErrorCb);
-            this.websocket.removeEventListener('close', onErrorCb);
-          }
-        }
-      });
+      .forEach((listeners) => this.removeListeners(listeners));
+  }
+
+  /**
+   * Remove the websocket listeners returned by listen.
+   *
+   * @param {{onMessageCb: handler, onErrorCb: function}} listeners Listeners to remove.
+   * @private
+   */
+  removeListeners({ onMessageCb, onErrorCb }) {
+    const handlers = onMessageCb && this.handlers[onMessageCb.source];
+    if (handlers) {
+      const remaining = handlers.filter((h) => h !== onMessageCb);
+      if (remaining.length) {
+        this.handlers[onMessageCb.source] = remaining;
+      } else {
+        delete this.handlers[onMessageCb.source];
+      }
+    }
+    if (this.websocket && onErrorCb) {
+      this.websocket.removeEventListener('error', onErrorCb);
+      this.websocket.removeEventListener('close', onErrorCb);
+    }
   }
 
   /**
@@ -239,12 +293,13 @@ class WebSocketConnector {
    * @param {Object} params Parameters for the websocket get request
    * @param {function} cb callback on listen
    * @param {function} errorCb Callback on error
+   * @return {{onMessageCb: handler, onErrorCb: function}} Listeners registered, to remove with removeListeners once the response is received.
    * @private
    */
   get(params, cb, errorCb) {
     const reqStr = WebSocketConnector.getRequestString('GET', params);
     this.send(reqStr);
-    this.listen(params, cb, errorCb);
+    return this.listen(params, cb, errorCb);
   }
 
   /**
@@ -290,15 +345,7 @@ class WebSocketConnector {
       (s) => s.params.channel === source && (!cb || s.cb === cb),
     );
 
-    toRemove.forEach(({ onMessageCb, onErrorCb }) => {
-      if (this.websocket) {
-        this.websocket.removeEventListener('message', onMessageCb);
-        if (onErrorCb) {
-          this.websocket.removeEventListener('error', onErrorCb);
-          this.websocket.removeEventListener('close', onErrorCb);
-        }
-      }
-    });
+    toRemove.forEach((listeners) => this.removeListeners(listeners));
 
     this.subscriptions = this.subscriptions.filter(
       (s) => s.params.channel !== source || (cb && s.cb !== cb),
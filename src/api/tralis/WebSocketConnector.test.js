@@ -1,356 +1,383 @@
-import WS from 'jest-websocket-mock';
 import Connector from './WebSocketConnector';
+import TransportSocket from './transports/TransportSocket';
+import FakeTralisServer from './testUtils/FakeTralisServer';
 
 describe('WebSocketConnector', () => {
+  let server;
+
+  // Send a message to the last client connected.
+  const send = (message) => {
+    server.sendToClient(server.clients[server.clients.length - 1], message);
+  };
+
+  beforeEach(() => {
+    server = new FakeTralisServer();
+  });
+
+  afterEach(() => server.close());
+
   describe('#constructor', () => {
-    let server;
-    let server2;
+    test("doesn't connect.", async () => {
+      const client = new Connector({ transport: server });
+      expect(client.websocket).toBe();
+      expect(client.closed).toBe(false);
+      expect(client.closing).toBe(false);
+      expect(client.connecting).toBe(false);
+      expect(client.open).toBe(false);
+      expect(server.clients).toEqual([]);
+    });
+  });
 
-    beforeEach(() => {
-      server = new WS(`ws://foo:1234`);
-      server2 = new WS(`ws://foo:12345`);
+  describe('#close', () => {
+    test('should close the websocket and clear some property', async () => {
+      const client = new Connector({ transport: server });
+      client.messagesOnOpen = ['GET foo'];
+      client.connect(`ws://foo:1234`);
+      expect(client.websocket).toBeDefined();
+      expect(client.messagesOnOpen).toEqual(['GET foo']);
+      client.close();
+      expect(client.messagesOnOpen).toEqual([]);
+      expect(client.websocket).toBeNull();
+      await server.flush();
+      expect(server.clients).toEqual([]);
+      expect(server.messages).toEqual([]);
     });
+  });
 
-    afterEach(() => {
-      server.close();
-      server2.close();
-      WS.clean();
+  describe('#connect', () => {
+    test('create a new WebSocket.', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      client.send('hello');
+      expect(server.messages).toEqual(['hello']);
     });
 
-    describe('#constructor', () => {
-      test("doesn't connect.", async () => {
-        const client = new Connector();
-        expect(client.websocket).toBe();
-        expect(client.closed).toBe(false);
-        expect(client.closing).toBe(false);
-        expect(client.connecting).toBe(false);
-        expect(client.open).toBe(false);
-      });
+    test('sends the messages once the connection is opened.', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      client.send('hello');
+      client.send('hello');
+      expect(server.messages).toEqual([]);
+      await server.flush();
+      expect(server.messages).toEqual(['hello']);
     });
 
-    describe('#close', () => {
-      test('should close the websocket and clear some property', async () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        const subsc2 = {
-          params: 'foo',
-          cb: () => {},
-          errorCb: () => {},
-          quiet: false,
-        };
-        client.subscriptions = [subsc2];
-        client.messagesOnOpen = ['GET foo'];
-        client.connect(`ws://foo:1234`);
-        client.websocket.addEventListener = jest.fn();
-        client.websocket.removeEventListener = jest.fn();
-        client.websocket.close = jest.fn();
-        await server.connected;
-        expect(client.websocket).toBeDefined();
-        expect(client.messagesOnOpen).toEqual(['GET foo']);
-        client.close();
-        expect(client.messagesOnOpen).toEqual([]);
-        expect(client.websocket).toBeNull();
-      });
+    test('close previous connection.', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      expect(client.websocket).toBeDefined();
+      const old = client.websocket;
+      expect(old.readyState).toBe(TransportSocket.OPEN);
+      client.connect(`ws://foo:12345`);
+      expect(old.readyState).toBe(TransportSocket.CLOSING);
+      expect(client.websocket.readyState).toBe(TransportSocket.CONNECTING);
+      await server.flush();
+      expect(old.readyState).toBe(TransportSocket.CLOSED);
+      expect(server.clients).toEqual([client.websocket]);
     });
 
-    describe('#connect', () => {
-      test('create a new WebSocket.', async () => {
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        await server.connected;
-        client.send('hello');
-        await expect(server).toReceiveMessage('hello');
-        expect(server).toHaveReceivedMessages(['hello']);
-      });
+    test('call onOpen function', async () => {
+      const onOpen = jest.fn();
+      const client = new Connector({ transport: server });
+      client.subscribe = jest.fn();
+      client.connect(`ws://foo:1234`, onOpen);
+      expect(onOpen).toHaveBeenCalledTimes(0);
+      await server.flush();
+      expect(client.websocket.readyState).toBe(TransportSocket.OPEN);
+      expect(onOpen).toHaveBeenCalledTimes(1);
+    });
 
-      test('close previous connection.', async () => {
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        await server.connected;
-        expect(client.websocket).toBeDefined();
-        const old = client.websocket;
-        expect(old.readyState).toBe(WebSocket.OPEN);
-        client.connect(`ws://foo:12345`);
-        expect(old.readyState).toBe(WebSocket.CLOSING);
-        expect(client.websocket.readyState).toBe(WebSocket.CONNECTING);
-      });
+    test('subscribe previous subscriptions on open (quiet or not)', async () => {
+      const client = new Connector({ transport: server });
+      client.subscribe = jest.fn();
+      client.send = jest.fn();
+      const subsc = {
+        params: 'foo',
+        cb: () => {},
+        errorCb: () => {},
+        quiet: true,
+      };
+      const subsc2 = {
+        params: 'foo',
+        cb: () => {},
+        errorCb: () => {},
+        quiet: false,
+      };
+      client.subscriptions = [subsc, subsc2];
+
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      expect(client.websocket.readyState).toBe(TransportSocket.OPEN);
+      expect(client.subscribe).toHaveBeenCalledTimes(2);
+      client.subscribe.mockReset();
+
+      client.connect(`ws://foo:12345`);
+      await server.flush();
+      expect(client.websocket.readyState).toBe(TransportSocket.OPEN);
+      expect(client.subscribe).toHaveBeenCalledTimes(2);
+      expect(client.subscribe).toHaveBeenCalledWith(
+        subsc.params,
+        subsc.cb,
+        subsc.errorCb,
+        subsc.quiet,
+      );
+    });
 
-      test('call onOpen function', async () => {
-        const onOpen = jest.fn();
-        const client = new Connector();
-        client.subscribe = jest.fn();
-        client.connect(`ws://foo:1234`, onOpen);
-        await server.connected;
-        expect(client.websocket.readyState).toBe(WebSocket.OPEN);
-        expect(onOpen).toHaveBeenCalledTimes(1);
-      });
+    test('send GET and SUB for not quiet previous subscriptions', async () => {
+      const client = new Connector({ transport: server });
+      const subsc = {
+        params: { channel: 'foo' },
+        cb: () => {},
+        errorCb: () => {},
+        quiet: false,
+      };
+      client.subscriptions = [subsc];
+
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      expect(client.websocket.readyState).toBe(TransportSocket.OPEN);
+      expect(server.messages).toEqual(['GET foo', 'SUB foo']);
+      expect(server.clients[0].subscriptions).toEqual({ foo: true });
+
+      client.connect(`ws://foo:12345`);
+      await server.flush();
+      expect(client.websocket.readyState).toBe(TransportSocket.OPEN);
+      // not quiet subscriptions will send GET and SUB requests.
+      expect(server.messages).toEqual([
+        'GET foo',
+        'SUB foo',
+        'GET foo',
+        'SUB foo',
+      ]);
+      expect(server.clients.length).toBe(1);
+      expect(server.clients[0].subscriptions).toEqual({ foo: true });
+    });
 
-      test('subscribe previous subscriptions on open (quiet or not)', async () => {
-        const client = new Connector();
-        client.subscribe = jest.fn();
-        client.send = jest.fn();
-        const subsc = {
-          params: 'foo',
-          cb: () => {},
-          errorCb: () => {},
-          quiet: true,
-        };
-        const subsc2 = {
-          params: 'foo',
-          cb: () => {},
-          errorCb: () => {},
-          quiet: false,
-        };
-        client.subscriptions = [subsc, subsc2];
-
-        client.connect(`ws://foo:1234`);
-        await server.connected;
-        expect(client.websocket.readyState).toBe(WebSocket.OPEN);
-        expect(client.subscribe).toHaveBeenCalledTimes(2);
-        client.subscribe.mockReset();
-
-        client.connect(`ws://foo:12345`);
-        await server2.connected;
-        expect(client.websocket.readyState).toBe(WebSocket.OPEN);
-        expect(client.subscribe).toHaveBeenCalledTimes(2);
-        expect(client.subscribe).toHaveBeenCalledWith(
-          subsc.params,
-          subsc.cb,
-          subsc.errorCb,
-          subsc.quiet,
-        );
-      });
+    test("doesn't send GET and SUB for quiet previous subscriptions", async () => {
+      const client = new Connector({ transport: server });
+      const subsc = {
+        params: { channel: 'foo' },
+        cb: () => {},
+        errorCb: () => {},
+        quiet: true,
+      };
+      client.subscriptions = [subsc];
+
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      expect(client.websocket.readyState).toBe(TransportSocket.OPEN);
+      expect(server.messages).toEqual([]);
+
+      client.connect(`ws://foo:12345`);
+      await server.flush();
+      expect(client.websocket.readyState).toBe(TransportSocket.OPEN);
+      expect(server.messages).toEqual([]);
+    });
+  });
 
-      test('send GET and SUB for not quiet previous subscriptions', async () => {
-        const client = new Connector();
-        client.send = jest.fn();
-        const subsc = {
-          params: { channel: 'foo' },
-          cb: () => {},
-          errorCb: () => {},
-          quiet: false,
-        };
-        client.subscriptions = [subsc];
-
-        client.connect(`ws://foo:1234`);
-        client.websocket.addEventListener = jest.fn();
-        client.websocket.removeEventListener = jest.fn();
-        await server.connected;
-        expect(client.websocket.readyState).toBe(WebSocket.OPEN);
-        expect(client.send).toHaveBeenCalledTimes(2);
-        expect(client.send.mock.calls[0]).toEqual(['GET foo']);
-        expect(client.send.mock.calls[1]).toEqual(['SUB foo']);
-        client.send.mockReset();
-
-        client.connect(`ws://foo:12345`);
-        client.websocket.addEventListener = jest.fn();
-        client.websocket.removeEventListener = jest.fn();
-        await server2.connected;
-        expect(client.websocket.readyState).toBe(WebSocket.OPEN);
-        // not quiet subscriptions will send GET and SUB requests.
-        expect(client.send).toHaveBeenCalledTimes(2);
-        expect(client.send.mock.calls[0]).toEqual(['GET foo']);
-        expect(client.send.mock.calls[1]).toEqual(['SUB foo']);
-      });
+  describe('#subscribe', () => {
+    test('adds subscription to subscriptions array', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      const params = { channel: 'bar', args: ['baz'], id: 'id' };
+      const cb = jest.fn();
+      const errorCb = jest.fn();
+      client.subscribe(params, cb, errorCb);
+      expect(client.subscriptions.length).toBe(1);
+      expect(client.subscriptions[0].params).toBe(params);
+      expect(client.subscriptions[0].cb).toBe(cb);
+      expect(client.subscriptions[0].errorCb).toBe(errorCb);
+      expect(client.subscriptions[0].quiet).toBe(false);
+
+      const obj = { source: 'bar baz', client_reference: 'id' };
+      send(obj);
+
+      expect(cb).toHaveBeenCalledTimes(1);
+      expect(cb).toHaveBeenCalledWith(expect.objectContaining(obj));
+    });
 
-      test('doesn\t send GET and SUB for quiet previous subscriptions', async () => {
-        const client = new Connector();
-        client.send = jest.fn();
-        const subsc = {
-          params: { channel: 'foo' },
-          cb: () => {},
-          errorCb: () => {},
-          quiet: true,
-        };
-        client.subscriptions = [subsc];
-
-        client.connect(`ws://foo:1234`);
-        client.websocket.addEventListener = jest.fn();
-        client.websocket.removeEventListener = jest.fn();
-        await server.connected;
-        expect(client.websocket.readyState).toBe(WebSocket.OPEN);
-        expect(client.send).toHaveBeenCalledTimes(0);
-        client.send.mockReset();
-
-        client.connect(`ws://foo:12345`);
-        client.websocket.addEventListener = jest.fn();
-        client.websocket.removeEventListener = jest.fn();
-        await server2.connected;
-        expect(client.websocket.readyState).toBe(WebSocket.OPEN);
-        // not quiet subscriptions will send GET and SUB requests.
-        expect(client.send).toHaveBeenCalledTimes(0);
-      });
+    test("doesn't duplicate subscriptions", async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      const params = { channel: 'bar', args: ['baz'], id: 'id' };
+      const cb = jest.fn();
+      const errorCb = jest.fn();
+      client.subscribe(params, cb, errorCb, true);
+      client.subscribe(params, cb, errorCb, true);
+      expect(client.subscriptions.length).toBe(1);
+
+      const obj = { source: 'bar baz', client_reference: 'id' };
+      send(obj);
+
+      expect(cb).toHaveBeenCalledTimes(1);
+      expect(cb).toHaveBeenCalledWith(expect.objectContaining(obj));
     });
 
-    describe('#subscribe', () => {
-      test('adds subscription to subscriptions array', async () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        await server.connected;
-        const params = { channel: 'bar', args: ['baz'], id: 'id' };
-        const cb = jest.fn();
-        const errorCb = jest.fn();
-        client.subscribe(params, cb, errorCb);
-        expect(client.subscriptions.length).toBe(1);
-        expect(client.subscriptions[0].params).toBe(params);
-        expect(client.subscriptions[0].cb).toBe(cb);
-        expect(client.subscriptions[0].errorCb).toBe(errorCb);
-        expect(client.subscriptions[0].quiet).toBe(false);
-
-        const obj = { source: 'bar baz', client_reference: 'id' };
-        server.send(JSON.stringify(obj));
-
-        expect(cb).toHaveBeenCalledTimes(1);
-        expect(cb).toHaveBeenCalledWith(obj);
-      });
+    test('send GET and SUB requests.', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      const params = { channel: 'bar', args: ['baz'], id: 'id' };
+      const cb = jest.fn();
+      const errorCb = jest.fn();
+      client.subscribe(params, cb, errorCb);
+      await server.flush();
+      expect(server.messages).toEqual(['GET bar baz id', 'SUB bar baz id']);
+    });
 
-      test("doesn't duplicate subscriptions", async () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        await server.connected;
-        const params = { channel: 'bar', args: ['baz'], id: 'id' };
-        const cb = jest.fn();
-        const errorCb = jest.fn();
-        client.subscribe(params, cb, errorCb, true);
-        client.subscribe(params, cb, errorCb, true);
-        expect(client.subscriptions.length).toBe(1);
-
-        const obj = { source: 'bar baz', client_reference: 'id' };
-        server.send(JSON.stringify(obj));
-
-        expect(cb).toHaveBeenCalledTimes(1);
-        expect(cb).toHaveBeenCalledWith(obj);
-      });
+    test('should register callback without sending GET and SUB requests (quiet=true).', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      const params = { channel: 'bar', args: ['baz'], id: 'id' };
+      const cb = jest.fn();
+      const errorCb = jest.fn();
+      client.subscribe(params, cb, errorCb, true);
+      expect(client.subscriptions.length).toBe(1);
+      expect(client.subscriptions[0].params).toBe(params);
+      expect(client.subscriptions[0].cb).toBe(cb);
+      expect(client.subscriptions[0].errorCb).toBe(errorCb);
+      expect(client.subscriptions[0].quiet).toBe(true);
+      await server.flush();
+      expect(server.messages).toEqual([]);
+    });
+  });
 
-      test('send GET and SUB requests.', async () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        client.send = jest.fn();
-        const params = { channel: 'bar', args: ['baz'], id: 'id' };
-        const cb = jest.fn();
-        const errorCb = jest.fn();
-        client.subscribe(params, cb, errorCb);
-        expect(client.send).toHaveBeenCalledTimes(2);
-        expect(client.send).toHaveBeenCalledWith('GET bar baz id');
-        expect(client.send).toHaveBeenCalledWith('SUB bar baz id');
-        client.send.mockRestore();
-      });
+  describe('#onMessage', () => {
+    test('parses each message once and dispatches it by source and client reference.', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      const parse = jest.spyOn(JSON, 'parse');
+      const cb = jest.fn();
+      const cb2 = jest.fn();
+      const cb3 = jest.fn();
+      client.subscribe({ channel: 'foo' }, cb);
+      client.subscribe({ channel: 'foo' }, cb2);
+      client.get({ channel: 'bar', id: 'id' }, cb3);
+
+      send({ source: 'foo', content: 1 });
+      send({ source: 'bar', client_reference: 'id2', content: 2 });
+      send({ source: 'bar', client_reference: 'id', content: 3 });
+      expect(parse).toHaveBeenCalledTimes(3);
+      parse.mockRestore();
+      expect(cb).toHaveBeenCalledTimes(1);
+      expect(cb2).toHaveBeenCalledTimes(1);
+      expect(cb3).toHaveBeenCalledTimes(1);
+      expect(cb3.mock.calls[0][0].content).toBe(3);
+    });
 
-      test('should register callback without sending GET and SUB requests (quiet=true).', async () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        await server.connected;
-        const params = { channel: 'bar', args: ['baz'], id: 'id' };
-        const cb = jest.fn();
-        const errorCb = jest.fn();
-        client.send = jest.fn();
-        client.subscribe(params, cb, errorCb, true);
-        expect(client.subscriptions.length).toBe(1);
-        expect(client.subscriptions[0].params).toBe(params);
-        expect(client.subscriptions[0].cb).toBe(cb);
-        expect(client.subscriptions[0].errorCb).toBe(errorCb);
-        expect(client.subscriptions[0].quiet).toBe(true);
-        expect(client.send).toBeCalledTimes(0);
-        client.send.mockRestore();
+    test('dispatches the contents of buffer messages.', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      const cb = jest.fn();
+      const cb2 = jest.fn();
+      client.subscribe({ channel: 'foo' }, cb);
+      client.subscribe({ channel: 'bar' }, cb2);
+      send({
+        source: 'buffer',
+        content: [
+          { source: 'foo', content: 1 },
+          { source: 'bar', content: 2 },
+          { source: 'foo', content: 3 },
+          null,
+        ],
       });
+      expect(cb.mock.calls.map(([data]) => data.content)).toEqual([1, 3]);
+      expect(cb2.mock.calls.map(([data]) => data.content)).toEqual([2]);
     });
+  });
 
-    describe('#unsubscribe', () => {
-      test('should only unsubscribe the subscription using the good cb', async () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        await server.connected;
-        const params = { channel: 'foo', id: 'id' };
-        const cb = jest.fn();
-        const cb2 = jest.fn();
-        client.subscribe(params, cb);
-        client.subscribe(params, cb2);
-        expect(client.subscriptions.length).toBe(2);
-        expect(client.subscriptions[0].params).toBe(params);
-        expect(client.subscriptions[0].cb).toBe(cb);
-        expect(client.subscriptions[1].params).toBe(params);
-        expect(client.subscriptions[1].cb).toBe(cb2);
-
-        client.unsubscribe('foo', cb);
-        expect(client.subscriptions.length).toBe(1);
-
-        expect(cb).toHaveBeenCalledTimes(0);
-        expect(cb2).toHaveBeenCalledTimes(0);
-        const obj = { source: 'foo', client_reference: 'id' };
-        server.send(JSON.stringify(obj));
-
-        expect(cb2).toHaveBeenCalledTimes(1);
-        expect(cb).toHaveBeenCalledTimes(0);
-      });
+  describe('#unsubscribe', () => {
+    test('should only unsubscribe the subscription using the good cb', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      const params = { channel: 'foo', id: 'id' };
+      const cb = jest.fn();
+      const cb2 = jest.fn();
+      client.subscribe(params, cb);
+      client.subscribe(params, cb2);
+      expect(client.subscriptions.length).toBe(2);
+      expect(client.subscriptions[0].params).toBe(params);
+      expect(client.subscriptions[0].cb).toBe(cb);
+      expect(client.subscriptions[1].params).toBe(params);
+      expect(client.subscriptions[1].cb).toBe(cb2);
+
+      client.unsubscribe('foo', cb);
+      expect(client.subscriptions.length).toBe(1);
+
+      expect(cb).toHaveBeenCalledTimes(0);
+      expect(cb2).toHaveBeenCalledTimes(0);
+      send({ source: 'foo', client_reference: 'id' });
+
+      expect(cb2).toHaveBeenCalledTimes(1);
+      expect(cb).toHaveBeenCalledTimes(0);
+      expect(server.messages).not.toContain('DEL foo');
+    });
 
-      test('should unsubscribe all subscriptions related to a channel', () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        client.websocket.removeEventListener = jest.fn();
-        client.websocket.addEventListener = jest.fn();
-        const params = { channel: 'foo' };
-        const params2 = { channel: 'bar' };
-        const cb = jest.fn();
-        const cb2 = jest.fn();
-        client.subscribe(params, cb);
-        client.subscribe(params, cb);
-        client.subscribe(params, cb);
-        client.subscribe(params, cb2);
-        client.subscribe(params2, cb2);
-        expect(client.subscriptions.length).toBe(3);
-        expect(client.websocket.removeEventListener).toBeCalledTimes(2);
-        expect(
-          client.websocket.addEventListener.mock.calls.filter(
-            (c) => c[0] === 'message',
-          ).length,
-        ).toBe(5);
-
-        client.unsubscribe('foo');
-        expect(client.subscriptions.length).toBe(1);
-        expect(client.subscriptions[0].params).toBe(params2);
-        expect(client.subscriptions[0].cb).toBe(cb2);
-      });
+    test('should unsubscribe all subscriptions related to a channel', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      const addEventListener = jest.spyOn(client.websocket, 'addEventListener');
+      const params = { channel: 'foo' };
+      const params2 = { channel: 'bar' };
+      const cb = jest.fn();
+      const cb2 = jest.fn();
+      client.subscribe(params, cb);
+      client.subscribe(params, cb);
+      client.subscribe(params, cb);
+      client.subscribe(params, cb2);
+      client.subscribe(params2, cb2);
+      expect(client.subscriptions.length).toBe(3);
+      // Messages are dispatched by one listener using a lookup table.
+      expect(
+        addEventListener.mock.calls.filter((c) => c[0] === 'message').length,
+      ).toBe(0);
+      expect(client.handlers.foo.map((h) => h.cb)).toEqual([cb, cb2]);
+      expect(client.handlers.bar.map((h) => h.cb)).toEqual([cb2]);
+
+      client.unsubscribe('foo');
+      expect(client.subscriptions.length).toBe(1);
+      expect(client.subscriptions[0].params).toBe(params2);
+      expect(client.subscriptions[0].cb).toBe(cb2);
+      expect(client.handlers.foo).toBeUndefined();
+      expect(client.handlers.bar.length).toBe(1);
+      await server.flush();
+      expect(server.clients[0].subscriptions).toEqual({ bar: true });
+    });
 
-      test('send DEL when there is no more unquiet subscriptions on the channel', async () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        await server.connected;
-        client.send = jest.fn();
-        client.websocket.removeEventListener = jest.fn();
-        client.websocket.addEventListener = jest.fn();
-        const params = { channel: 'foo' };
-        const cb = jest.fn();
-        client.subscribe(params, cb);
-        expect(client.send).toHaveBeenCalledWith('GET foo');
-        expect(client.send).toHaveBeenCalledWith('SUB foo');
-
-        client.unsubscribe('foo');
-        expect(client.send).toHaveBeenCalledWith('DEL foo');
-      });
+    test('send DEL when there is no more unquiet subscriptions on the channel', async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      await server.flush();
+      const params = { channel: 'foo' };
+      const cb = jest.fn();
+      client.subscribe(params, cb);
+      expect(server.messages).toEqual(['GET foo', 'SUB foo']);
+
+      client.unsubscribe('foo');
+      expect(server.messages).toEqual(['GET foo', 'SUB foo', 'DEL foo']);
+      expect(server.clients[0].subscriptions).toEqual({});
+    });
 
-      test("doesn't send DEL when we unsubscribe a quiet channel", () => {
-        // eslint-disable-next-line no-unused-vars
-        const client = new Connector();
-        client.connect(`ws://foo:1234`);
-        client.send = jest.fn();
-        client.websocket.removeEventListener = jest.fn();
-        client.websocket.addEventListener = jest.fn();
-        const params = { channel: 'foo' };
-        const cb = jest.fn();
-        client.subscribe(params, cb, null, true);
-        expect(cb).toHaveBeenCalledTimes(0);
-
-        client.unsubscribe('foo');
-        expect(cb).toHaveBeenCalledTimes(0);
-        client.send.mockRestore();
-      });
+    test("doesn't send DEL when we unsubscribe a quiet channel", async () => {
+      const client = new Connector({ transport: server });
+      client.connect(`ws://foo:1234`);
+      const params = { channel: 'foo' };
+      const cb = jest.fn();
+      client.subscribe(params, cb, null, true);
+      expect(cb).toHaveBeenCalledTimes(0);
+
+      client.unsubscribe('foo');
+      expect(cb).toHaveBeenCalledTimes(0);
+      await server.flush();
+      expect(server.messages).toEqual([]);
     });
   });
 });
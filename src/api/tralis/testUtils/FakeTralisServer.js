@@ -0,0 +1,269 @@
+/* eslint-disable max-classes-per-file */
+import TransportSocket from '../transports/TransportSocket';
+
+/**
+ * Returns true if a subscription key (channel, arguments and optional client
+ * reference) concerns a source.
+ *
+ * @private
+ */
+const isSameChannel = (key, source) =>
+  key === source || key.indexOf(`${source} `) === 0;
+
+/**
+ * Socket connected to a FakeTralisServer.
+ *
+ * @private
+ */
+class FakeTralisSocket extends TransportSocket {
+  constructor(url, server) {
+    super(url);
+
+    /** @ignore */
+    this.server = server;
+
+    /**
+     * State of the connection on server side.
+     * @ignore
+     */
+    this.subscriptions = {};
+  }
+
+  send(message) {
+    if (this.readyState !== TransportSocket.OPEN) {
+      throw new Error(`FakeTralisSocket: unable to send ${message}`);
+    }
+    this.server.onClientMessage(this, message);
+  }
+
+  close() {
+    if (this.readyState === TransportSocket.CLOSED) {
+      return;
+    }
+    this.server.removeClient(this);
+    this.readyState = TransportSocket.CLOSING;
+    this.server.defer(() => this.setClosed());
+  }
+}
+
+/**
+ * In-memory implementation of the [geOps realtime api](https://developer.geops.io/apis/realtime/)
+ * websocket protocol (GET, SUB, DEL, BBOX, PROJECTION, BUFFER, RESET, PING).
+ * It's a transport, so it can be used by a TralisAPI instead of a real WebSocket,
+ * for unit tests. It's not part of the public api.
+ *
+ * Like a real server, messages are delivered asynchronously, use `flush()`
+ * to wait for them.
+ *
+ * @example
+ * import { TralisAPI } from '../..';
+ * import FakeTralisServer from './FakeTralisServer';
+ *
+ * const server = new FakeTralisServer();
+ * server.setData('station', [station1, station2]);
+ *
+ * const api = new TralisAPI({ url: 'ws://fake', transport: server });
+ * api.open();
+ * api.subscribeTrajectory('topographic', onMessage);
+ * await server.flush();
+ * server.publish('trajectory', trajectory);
+ *
+ * @classproperty {Array<FakeTralisSocket>} clients - Sockets currently connected.
+ * @classproperty {Array<string>} messages - All the messages received from the clients.
+ */
+class FakeTralisServer {
+  constructor() {
+    /** @ignore */
+    this.clients = [];
+
+    /** @ignore */
+    this.messages = [];
+
+    /** @ignore */
+    this.data = {};
+
+    /** @ignore */
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Implements the transport interface.
+   *
+   * @param {string} url Url of the connection.
+   * @return {FakeTralisSocket} A socket connected to this server.
+   */
+  connect(url) {
+    const client = new FakeTralisSocket(url, this);
+    this.clients.push(client);
+    this.defer(() => client.setOpen());
+    return client;
+  }
+
+  /**
+   * Execute a function asynchronously, in the order of the calls.
+   *
+   * @private
+   */
+  defer(fn) {
+    this.pending = this.pending.then(fn);
+    return this.pending;
+  }
+
+  /**
+   * Returns a promise resolved once all pending events and messages are delivered.
+   *
+   * @return {Promise}
+   */
+  flush() {
+    const { pending } = this;
+    return pending.then(() => (pending === this.pending ? null : this.flush()));
+  }
+
+  /**
+   * Define the contents returned by a GET request on a channel.
+   *
+   * @param {string} source Channel name with its arguments (ex: 'station', 'stopsequence_123').
+   * @param {Object|Array<Object>} contents One content or a list of contents, one message is sent per content.
+   */
+  setData(source, contents) {
+    this.data[source] = Array.isArray(contents) ? contents : [contents];
+  }
+
+  /**
+   * Send a message to all the clients subscribed to a channel.
+   *
+   * @param {string} source Channel name with its arguments.
+   * @param {Object} content Content of the message.
+   * @return {Promise} Resolved when the message is delivered.
+   */
+  publish(source, content) {
+    return this.defer(() => {
+      this.clients
+        .filter((client) =>
+          Object.keys(client.subscriptions).some((key) =>
+            isSameChannel(key, source),
+          ),
+        )
+        .forEach((client) => {
+          this.sendToClient(client, { source, content });
+        });
+    });
+  }
+
+  /**
+   * Close all the connections, like a server restart.
+   *
+   * @return {Promise} Resolved when the connections are closed.
+   */
+  close() {
+    const clients = [...this.clients];
+    this.clients = [];
+    return this.defer(() => {
+      clients.forEach((client) => client.setClosed());
+    });
+  }
+
+  /**
+   * @private
+   */
+  removeClient(client) {
+    this.clients = this.clients.filter((c) => c !== client);
+  }
+
+  /**
+   * Send a message to a client synchronously, for the messages not produced
+   * by the requests (buffer messages, client references, ...).
+   *
+   * @param {FakeTralisSocket} client A client connected to this server.
+   * @param {Object} message The message, timestamp and client_reference are added if not defined.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  sendToClient(client, message) {
+    if (client.readyState !== TransportSocket.OPEN) {
+      return;
+    }
+    client.dispatchEvent({
+      type: 'message',
+      data: JSON.stringify({
+        timestamp: Date.now(),
+        client_reference: null,
+        ...message,
+      }),
+    });
+  }
+
+  /**
+   * Interpret a request sent by a client.
+   *
+   * @private
+   */
+  onClientMessage(client, message) {
+    this.messages.push(message);
+    const [method, ...params] = message.split(' ');
+    const source = params.join(' ');
+
+    switch (method) {
+      case 'GET': {
+        // The last parameter could be a client reference.
+        let id = null;
+        let dataSource = source;
+        if (!this.data[source] && params.length > 1) {
+          const withoutId = params.slice(0, -1).join(' ');
+          if (this.data[withoutId]) {
+            id = params[params.length - 1];
+            dataSource = withoutId;
+          }
+        }
+        const contents = this.data[dataSource] || [null];
+        this.defer(() => {
+          contents.forEach((content) => {
+            this.sendToClient(client, {
+              source: dataSource,
+              content,
+              client_reference: id,
+            });
+          });
+        });
+        break;
+      }
+      case 'SUB':
+        // eslint-disable-next-line no-param-reassign
+        client.subscriptions[source] = true;
+        break;
+      case 'DEL':
+        Object.keys(client.subscriptions)
+          .filter((key) => isSameChannel(key, source))
+          .forEach((key) => {
+            // eslint-disable-next-line no-param-reassign
+            delete client.subscriptions[key];
+          });
+        break;
+      case 'BBOX':
+      case 'BUFFER':
+        // eslint-disable-next-line no-param-reassign
+        client[method.toLowerCase()] = params;
+        break;
+      case 'PROJECTION':
+        // eslint-disable-next-line no-param-reassign
+        [client.projection] = params;
+        break;
+      case 'RESET':
+        Object.keys(client.subscriptions)
+          .filter((key) => /^(trajectory|deleted_vehicles)/.test(key))
+          .forEach((key) => {
+            // eslint-disable-next-line no-param-reassign
+            delete client.subscriptions[key];
+          });
+        break;
+      case 'PING':
+        this.defer(() => {
+          this.sendToClient(client, { source: 'websocket', content: 'PONG' });
+        });
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+export default FakeTralisServer;
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+import { TralisAPI, TralisModes } from '../..';
+import FakeTralisServer from './FakeTralisServer';
+
+describe('FakeTralisServer', () => {
+  let server;
+  let api;
+
+  beforeEach(() => {
+    server = new FakeTralisServer();
+    api = new TralisAPI({
+      url: 'ws://fake',
+      transport: server,
+      projection: 'EPSG:3857',
+      bbox: [0, 0, 10, 10, 5],
+    });
+  });
+
+  afterEach(() => {
+    api.close();
+  });
+
+  test('opens a connection and receives the bbox and projection.', async () => {
+    api.open();
+    expect(api.conn.connecting).toBe(true);
+    await server.flush();
+    expect(api.conn.open).toBe(true);
+    expect(server.clients.length).toBe(1);
+    const [client] = server.clients;
+    expect(client.projection).toBe('EPSG:3857');
+    expect(client.bbox).toEqual(['0', '0', '10', '10', '5']);
+  });
+
+  test('sends GET responses.', async () => {
+    const station = { properties: { uic: 8500010 } };
+    server.setData('station 8500010', station);
+    api.open();
+    const promise = api.getStation(8500010, TralisModes.TOPOGRAPHIC);
+    await server.flush();
+    await expect(promise).resolves.toEqual(station);
+  });
+
+  test('publishes messages to subscribed clients only.', async () => {
+    const onMessage = jest.fn();
+    api.open();
+    api.subscribeTrajectory(TralisModes.TOPOGRAPHIC, onMessage);
+    await server.flush();
+    expect(server.messages).toContain('SUB trajectory');
+
+    // Response of the GET request.
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    onMessage.mockClear();
+
+    await server.publish('trajectory', { properties: { train_id: 'foo' } });
+    await server.publish('trajectory_schematic', { properties: {} });
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage.mock.calls[0][0].content).toEqual({
+      properties: { train_id: 'foo' },
+    });
+
+    api.unsubscribeTrajectory(onMessage);
+    expect(server.messages).toContain('DEL trajectory');
+    await server.publish('trajectory', { properties: { train_id: 'foo' } });
+    expect(onMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers to PING.', async () => {
+    const onMessage = jest.fn();
+    api.open();
+    await server.flush();
+    api.conn.websocket.addEventListener('message', onMessage);
+    api.conn.send('PING');
+    await server.flush();
+    expect(JSON.parse(onMessage.mock.calls[0][0].data).content).toBe('PONG');
+  });
+
+  test('closes all the connections.', async () => {
+    api.open();
+    await server.flush();
+    const { websocket } = api.conn;
+    await server.close();
+    expect(websocket.readyState).toBe(websocket.CLOSED);
+    expect(server.clients.length).toBe(0);
+  });
+});
@@ -0,0 +1,101 @@
+/* eslint-disable max-classes-per-file */
+import TransportSocket from './TransportSocket';
+
+/**
+ * Socket communicating with a shared worker, which owns the real WebSocket.
+ *
+ * @private
+ */
+class SharedWorkerSocket extends TransportSocket {
+  constructor(url, worker) {
+    super(url);
+    const channel = new MessageChannel();
+
+    /** @ignore */
+    this.port = channel.port1;
+    this.port.onmessage = ({ data }) => {
+      switch (data.type) {
+        case 'open':
+          this.setOpen();
+          break;
+        case 'message':
+          this.dispatchEvent({ type: 'message', data: data.data });
+          break;
+        case 'error':
+          this.dispatchEvent({ type: 'error' });
+          break;
+        case 'close':
+          this.setClosed();
+          this.port.close();
+          break;
+        default:
+          break;
+      }
+    };
+    worker.port.postMessage({ type: 'connect', url }, [channel.port2]);
+  }
+
+  send(message) {
+    this.port.postMessage({ type: 'send', message });
+  }
+
+  close() {
+    if (this.readyState === TransportSocket.CLOSED) {
+      return;
+    }
+    this.port.postMessage({ type: 'close' });
+    this.port.close();
+    this.setClosed();
+  }
+}
+
+/**
+ * Transport sharing one WebSocket connection between all the browser tabs
+ * of an application, using a [SharedWorker](https://developer.mozilla.org/en-US/docs/Web/API/SharedWorker).
+ *
+ * The shared worker script must call `initSharedWorker`. Subscriptions are
+ * multiplexed, but the BBOX, BUFFER and PROJECTION of the connection are
+ * shared by all the tabs: the last one sent is applied.
+ *
+ * @example
+ * // tralis.worker.js
+ * import { initSharedWorker } from 'mobility-toolbox-js/api';
+ *
+ * initSharedWorker(self);
+ *
+ * // app.js
+ * import { TralisAPI, SharedWorkerTransport } from 'mobility-toolbox-js/api';
+ *
+ * const api = new TralisAPI({
+ *   url: 'yourUrl',
+ *   apiKey: 'yourApiKey',
+ *   transport: new SharedWorkerTransport({
+ *     worker: new SharedWorker('tralis.worker.js'),
+ *   }),
+ * });
+ */
+class SharedWorkerTransport {
+  /**
+   * Constructor
+   *
+   * @param {Object} options
+   * @param {SharedWorker} options.worker A shared worker initialized with `initSharedWorker`.
+   */
+  constructor(options = {}) {
+    /** @ignore */
+    this.worker = options.worker;
+    this.worker.port.start();
+  }
+
+  /**
+   * Open a connection.
+   *
+   * @param {string} url Url of the websocket.
+   * @return {TransportSocket} A socket.
+   */
+  connect(url) {
+    return new SharedWorkerSocket(url, this.worker);
+  }
+}
+
+export default SharedWorkerTransport;
@@ -0,0 +1,106 @@
+/**
+ * Base class of the sockets returned by non WebSocket transports.
+ * It implements the subset of the WebSocket interface used by the
+ * WebSocketConnector: readyState, send, close, event listeners and
+ * on[open|message|close|error] handlers.
+ *
+ * @private
+ */
+class TransportSocket {
+  constructor(url) {
+    /** @ignore */
+    this.url = url;
+
+    /** @ignore */
+    this.readyState = TransportSocket.CONNECTING;
+
+    /** @ignore */
+    this.listeners = {};
+
+    /** @ignore */
+    this.onopen = null;
+
+    /** @ignore */
+    this.onmessage = null;
+
+    /** @ignore */
+    this.onclose = null;
+
+    /** @ignore */
+    this.onerror = null;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = this.listeners[type] || [];
+    if (!this.listeners[type].includes(listener)) {
+      this.listeners[type].push(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    if (!this.listeners[type]) {
+      return;
+    }
+    this.listeners[type] = this.listeners[type].filter((l) => l !== listener);
+  }
+
+  /**
+   * Call listeners and handler registered for the event's type.
+   *
+   * @param {Object} evt An event with a type property.
+   */
+  dispatchEvent(evt) {
+    const event = { target: this, ...evt };
+    [...(this.listeners[event.type] || [])].forEach((listener) => {
+      listener(event);
+    });
+    const handler = this[`on${event.type}`];
+    if (handler) {
+      handler(event);
+    }
+  }
+
+  /**
+   * Set the socket as opened and dispatch the open event.
+   */
+  setOpen() {
+    if (this.readyState !== TransportSocket.CONNECTING) {
+      return;
+    }
+    this.readyState = TransportSocket.OPEN;
+    this.dispatchEvent({ type: 'open' });
+  }
+
+  /**
+   * Set the socket as closed and dispatch the close event.
+   */
+  setClosed() {
+    if (this.readyState === TransportSocket.CLOSED) {
+      return;
+    }
+    this.readyState = TransportSocket.CLOSED;
+    this.dispatchEvent({ type: 'close' });
+  }
+
+  /**
+   * To be defined in inherited classes.
+   */
+  // eslint-disable-next-line class-methods-use-this,no-unused-vars
+  send(message) {}
+
+  close() {
+    this.setClosed();
+  }
+}
+
+TransportSocket.CONNECTING = 0;
+TransportSocket.OPEN = 1;
+TransportSocket.CLOSING = 2;
+TransportSocket.CLOSED = 3;
+
+// The WebSocketConnector reads the constants on the instance like for a WebSocket.
+['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach((state) => {
+  TransportSocket.prototype[state] = TransportSocket[state];
+});
+
+export default TransportSocket;
@@ -0,0 +1,37 @@
+/**
+ * Default transport used by the TralisAPI: a WebSocket connection.
+ *
+ * @example
+ * import { TralisAPI, WebSocketTransport } from 'mobility-toolbox-js/api';
+ *
+ * const api = new TralisAPI({
+ *   url: 'yourUrl',
+ *   apiKey: 'yourApiKey',
+ *   transport: new WebSocketTransport(),
+ * });
+ */
+class WebSocketTransport {
+  /**
+   * Constructor
+   *
+   * @param {Object} [options]
+   * @param {function} [options.WebSocket] The WebSocket class to use. Default to the global WebSocket.
+   */
+  constructor(options = {}) {
+    /** @ignore */
+    this.WebSocket = options.WebSocket;
+  }
+
+  /**
+   * Open a connection.
+   *
+   * @param {string} url Url of the websocket.
+   * @return {WebSocket} A WebSocket.
+   */
+  connect(url) {
+    const WebSocketClass = this.WebSocket || WebSocket;
+    return new WebSocketClass(url);
+  }
+}
+
+export default WebSocketTransport;
@@ -0,0 +1,122 @@
+import WebSocketTransport from './WebSocketTransport';
+
+/**
+ * Returns true if a subscription key concerns a channel.
+ *
+ * @private
+ */
+const isSameChannel = (key, channel) =>
+  key === channel || key.indexOf(`${channel} `) === 0;
+
+/**
+ * Initialize a shared worker used by a SharedWorkerTransport.
+ * The worker opens one connection per url and dispatches the messages
+ * received to all the connected clients. A DEL request is only sent to the
+ * server when no other client is subscribed to the channel.
+ *
+ * @param {SharedWorkerGlobalScope} scope The global scope of the shared worker (self).
+ * @param {Object} [options]
+ * @param {Transport} [options.transport=new WebSocketTransport()] Transport used by the worker.
+ */
+const initSharedWorker = (scope, options = {}) => {
+  const transport = options.transport || new WebSocketTransport();
+  const connections = {};
+
+  const removeClient = (connection, client) => {
+    // eslint-disable-next-line no-param-reassign
+    connection.clients = connection.clients.filter((c) => c !== client);
+    Object.keys(client.subscriptions).forEach((key) => {
+      if (!connection.clients.find((c) => c.subscriptions[key])) {
+        connection.socket.send(`DEL ${key.split(' ')[0]}`);
+      }
+    });
+
+    if (!connection.clients.length) {
+      connection.socket.close();
+      delete connections[connection.url];
+    }
+  };
+
+  const onClientMessage = (connection, client, data) => {
+    if (data.type === 'close') {
+      removeClient(connection, client);
+      return;
+    }
+
+    if (data.type !== 'send') {
+      return;
+    }
+
+    const [method, ...params] = data.message.split(' ');
+    const key = params.join(' ');
+
+    if (method === 'SUB') {
+      // eslint-disable-next-line no-param-reassign
+      client.subscriptions[key] = true;
+    } else if (method === 'DEL') {
+      Object.keys(client.subscriptions)
+        .filter((k) => isSameChannel(k, key))
+        .forEach((k) => {
+          // eslint-disable-next-line no-param-reassign
+          delete client.subscriptions[k];
+        });
+      const isUsed = connection.clients.find((c) =>
+        Object.keys(c.subscriptions).some((k) => isSameChannel(k, key)),
+      );
+      if (isUsed) {
+        return;
+      }
+    }
+    connection.socket.send(data.message);
+  };
+
+  const getConnection = (url) => {
+    if (!connections[url]) {
+      const socket = transport.connect(url);
+      const connection = { url, socket, clients: [] };
+      const broadcast = (message) => {
+        connection.clients.forEach((client) => {
+          client.port.postMessage(message);
+        });
+      };
+      socket.addEventListener('open', () => broadcast({ type: 'open' }));
+      socket.addEventListener('message', (evt) =>
+        broadcast({ type: 'message', data: evt.data }),
+      );
+      socket.addEventListener('error', () => broadcast({ type: 'error' }));
+      socket.addEventListener('close', () => {
+        if (connections[url] === connection) {
+          delete connections[url];
+        }
+        broadcast({ type: 'close' });
+      });
+      connections[url] = connection;
+    }
+    return connections[url];
+  };
+
+  const addClient = (port, url) => {
+    const connection = getConnection(url);
+    const client = { port, subscriptions: {} };
+    connection.clients.push(client);
+    // eslint-disable-next-line no-param-reassign
+    port.onmessage = ({ data }) => onClientMessage(connection, client, data);
+
+    if (connection.socket.readyState === connection.socket.OPEN) {
+      port.postMessage({ type: 'open' });
+    }
+  };
+
+  // eslint-disable-next-line no-param-reassign
+  scope.onconnect = (evt) => {
+    const [port] = evt.ports;
+    port.onmessage = ({ data, ports }) => {
+      if (data.type === 'connect') {
+        addClient(ports[0], data.url);
+      }
+    };
+    port.start();
+  };
+};
+
+export default initSharedWorker;
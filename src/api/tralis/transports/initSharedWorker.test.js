@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+import { initSharedWorker } from '../..';
+import FakeTralisServer from '../testUtils/FakeTralisServer';
+
+const createPort = () => ({
+  start: jest.fn(),
+  postMessage: jest.fn(),
+});
+
+describe('initSharedWorker', () => {
+  let server;
+  let scope;
+
+  const connectClient = (url = 'ws://foo') => {
+    const port = createPort();
+    const clientPort = createPort();
+    scope.onconnect({ ports: [port] });
+    port.onmessage({ data: { type: 'connect', url }, ports: [clientPort] });
+    return clientPort;
+  };
+
+  beforeEach(() => {
+    server = new FakeTralisServer();
+    scope = {};
+    initSharedWorker(scope, { transport: server });
+  });
+
+  test('uses one connection for all the clients.', async () => {
+    const client1 = connectClient();
+    const client2 = connectClient();
+    await server.flush();
+    expect(server.clients.length).toBe(1);
+    expect(client1.postMessage).toHaveBeenCalledWith({ type: 'open' });
+    expect(client2.postMessage).toHaveBeenCalledWith({ type: 'open' });
+
+    // Open immediately a client connected after the socket's opening.
+    const client3 = connectClient();
+    expect(client3.postMessage).toHaveBeenCalledWith({ type: 'open' });
+  });
+
+  test('dispatches messages to all the clients.', async () => {
+    const client1 = connectClient();
+    const client2 = connectClient();
+    await server.flush();
+    client1.onmessage({ data: { type: 'send', message: 'SUB healthcheck' } });
+    await server.publish('healthcheck', 'ok');
+    [client1, client2].forEach((client) => {
+      const [message] = client.postMessage.mock.calls[1];
+      expect(message.type).toBe('message');
+      expect(JSON.parse(message.data).content).toBe('ok');
+    });
+  });
+
+  test('sends DEL only when no other client uses the channel.', async () => {
+    const client1 = connectClient();
+    const client2 = connectClient();
+    await server.flush();
+    client1.onmessage({ data: { type: 'send', message: 'SUB trajectory' } });
+    client2.onmessage({ data: { type: 'send', message: 'SUB trajectory' } });
+    client1.onmessage({ data: { type: 'send', message: 'DEL trajectory' } });
+    expect(server.messages).not.toContain('DEL trajectory');
+
+    client2.onmessage({ data: { type: 'close' } });
+    expect(server.messages).toContain('DEL trajectory');
+
+    client1.onmessage({ data: { type: 'close' } });
+    await server.flush();
+    expect(server.clients.length).toBe(0);
+  });
+});
@@ -45,6 +45,19 @@
  * @property {string} type
  */
 
+/**
+ * @typedef {Object} DepartureFilterOptions
+ * @property {boolean} [sortByMinArrivalTime=false] Sort the departures by minimum arrival time.
+ * @property {number} [lookAhead=30] Number of minutes after now during which the departures are returned.
+ * @property {number} [lookBack=30] Number of minutes before now during which the departures are returned.
+ * @property {number} [maxDepartures=Infinity] Maximal number of departures returned. Hidden departures are not counted.
+ * @property {string[]} [platforms] Only return the departures from these platforms.
+ * @property {string[]} [lines] Only return the departures of these lines (ex: ["IC 1", "S3"]).
+ * @property {Array<string|number>|function(trainType: number): boolean} [modes] Only return the departures of these modes of transport: names (ex: "bus", "tram") or train_type values, or a function returning true for the train_type of the departures to return.
+ * @property {boolean} [hideCancelled=false] If true, the cancelled departures are not returned.
+ * @property {boolean} [merge=true] If true, the departures of several stations are merged in one list. Otherwise each station has its own list. Only used by TralisAPI.subscribeDepartures.
+ */
+
 /**
  * @typedef {Object} NetworkLine
  * @property {number} id Identifier of the line.
@@ -79,3 +92,107 @@
 /**
  * @typedef {GeoJSONFeature} ExtraGeom
  */
+
+/**
+ * Content of a message of the newsticker channel. Each message contains all
+ * the current news of the tenant: a news missing from a message is closed.
+ *
+ * @typedef {Object} Newsticker
+ * @property {boolean} incident_program If true, the operator applies an incident program, the traffic is heavily disrupted.
+ * @property {NewstickerMessage[]} messages The current news.
+ */
+
+/**
+ * @typedef {Object} NewstickerMessage
+ * @property {string} title Title of the news.
+ * @property {string} content Text of the news, it may contain HTML.
+ * @property {NetworkLine[]} lines Affected lines.
+ * @property {string} updated Date of the last update, ISO 8601 string.
+ */
+
+/**
+ * Severity of a disruption: "info", "warning" or "severe".
+ *
+ * @typedef {string} DisruptionSeverity
+ */
+
+/**
+ * Disruption displayed by a DisruptionLayer. The messages of the newsticker
+ * channel are converted with normalizeNewsticker.
+ *
+ * @typedef {Object} Disruption
+ * @property {string|number} id Identifier of the disruption.
+ * @property {DisruptionSeverity} severity Severity of the disruption.
+ * @property {string|Object<string,string>} title Title of the disruption, or titles by language (ex: { de: "Unterbruch", fr: "Interruption" }).
+ * @property {string|Object<string,string>} text Description of the disruption, or descriptions by language.
+ * @property {number} [updated] Timestamp in ms of the last update.
+ * @property {DisruptionValidity[]} validity Periods when the disruption applies. If empty, the disruption always applies.
+ * @property {NetworkLine[]} lines Affected lines.
+ * @property {DisruptionStation[]} stations Affected stations.
+ * @property {DisruptionSegment[]} segments Affected line segments.
+ */
+
+/**
+ * @typedef {Object} DisruptionValidity
+ * @property {number} from Start of the period, timestamp in ms.
+ * @property {number} [to] End of the period, timestamp in ms. If not defined, the period has no end.
+ */
+
+/**
+ * @typedef {Object} DisruptionStation
+ * @property {number} uic UIC of the station.
+ * @property {string} name Name of the station.
+ * @property {number[2]} [coordinate] Coordinate of the station in [EPSG:4326](http://epsg.io/4326). Stations without coordinate are not displayed on the map.
+ */
+
+/**
+ * @typedef {Object} DisruptionSegment
+ * @property {string} line Name of the affected line.
+ * @property {number} from UIC of the first station of the segment.
+ * @property {number} to UIC of the last station of the segment.
+ * @property {GeoJSONGeometry} geometry LineString or MultiLineString in [EPSG:4326](http://epsg.io/4326).
+ */
+
+/**
+ * @typedef {Object} RecordedMessage
+ * @property {number} timestamp Timestamp in ms of the message, as sent by the server.
+ * @property {number} receivedAt Timestamp in ms when the message has been received.
+ * @property {Object} data The websocket message (source, content, timestamp, ...).
+ */
+
+/**
+ * Object used to open a connection to the realtime api. The connection
+ * returned must implement the subset of the WebSocket interface used by the
+ * TralisAPI: readyState (and its constants), send, close, addEventListener,
+ * removeEventListener and onclose.
+ *
+ * @typedef {Object} Transport
+ * @property {function(url: string): WebSocket} connect Open a connection.
+ */
+
+/**
+ * State of the TralisAPI connection. An event of the same type is dispatched
+ * on each change.
+ *
+ * - connecting: the connection is being opened for the first time.
+ * - open: the connection is opened, subscriptions are sent.
+ * - offline: the connection has been lost.
+ * - reconnecting: a reconnection attempt is scheduled, the event has `attempt` and `delay` properties.
+ * - failed: the maximum number of reconnection attempts is reached, the api doesn't reconnect anymore.
+ *
+ * @typedef {string} TralisConnectionState
+ */
+
+/**
+ * Object returned by TralisAPI.subscribeDepartures.
+ *
+ * @typedef {Object} DeparturesSubscription
+ * @property {function(stationId: number)} unsubscribe Unsubscribe the callback from the departures channel of a station. If no station is defined, all the stations are unsubscribed.
+ */
+
+/**
+ * Object returned by the subscribe* methods of the TralisAPI.
+ *
+ * @typedef {Object} TralisSubscription
+ * @property {function} unsubscribe Unsubscribe the callback from the channel.
+ */
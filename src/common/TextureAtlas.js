@@ -0,0 +1,84 @@
+/**
+ * Texture atlas storing the canvases returned by the style function.
+ * Images are packed in rows, when the atlas is full it is emptied and
+ * filled again with the images of the current rendering.
+ *
+ * @class
+ * @param {number} [size=2048] Width and height of the atlas in pixels.
+ * @private
+ */
+export default class TextureAtlas {
+  constructor(size = 2048) {
+    /**
+     * Width and height of the atlas.
+     * @type {number}
+     */
+    this.size = size;
+
+    /**
+     * Canvas containing the packed images.
+     * @type {Canvas}
+     */
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = size;
+    this.canvas.height = size;
+
+    /**
+     * True if the canvas has changed since the last texture upload.
+     * @type {boolean}
+     */
+    this.dirty = false;
+
+    this.clear();
+  }
+
+  /**
+   * Remove all the images from the atlas.
+   */
+  clear() {
+    this.rects = new Map();
+    this.x = 0;
+    this.y = 0;
+    this.rowHeight = 0;
+    this.canvas
+      .getContext('2d')
+      .clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.dirty = true;
+  }
+
+  /**
+   * Get the texture coordinates of an image, the image is added to the atlas if needed.
+   *
+   * @param {Canvas} image A canvas returned by the style function.
+   * @return {Array<number>} Texture coordinates: [u0, v0, u1, v1], null if the atlas is full.
+   */
+  getRect(image) {
+    if (this.rects.has(image)) {
+      return this.rects.get(image);
+    }
+    const { width, height } = image;
+    if (width > this.size || height > this.size) {
+      return null;
+    }
+    if (this.x + width > this.size) {
+      this.x = 0;
+      this.y += this.rowHeight;
+      this.rowHeight = 0;
+    }
+    if (this.y + height > this.size) {
+      return null;
+    }
+    this.canvas.getContext('2d').drawImage(image, this.x, this.y);
+    const rect = [
+      this.x / this.size,
+      this.y / this.size,
+      (this.x + width) / this.size,
+      (this.y + height) / this.size,
+    ];
+    this.rects.set(image, rect);
+    this.x += width;
+    this.rowHeight = Math.max(this.rowHeight, height);
+    this.dirty = true;
+    return rect;
+  }
+}
@@ -1,6 +1,14 @@
 /* eslint-disable no-param-reassign */
 import { compose, apply, create } from 'ol/transform';
 import getVehiclePosition from './utils/getVehiclePosition';
+import addTrailPosition from './utils/addTrailPosition';
+import { getBgColor } from './trackerConfig';
+import clusterVehicles from './utils/clusterVehicles';
+import clusterTrackerStyle from './utils/clusterTrackerStyle';
+import labelTrackerStyle, { getLabelPriority } from './utils/labelTrackerStyle';
+import { getVehicleRadius } from './utils/delayTrackerStyle';
+import placeLabels from './utils/placeLabels';
+import VehicleHitIndex from './VehicleHitIndex';
 
 /**
  * Tracker. This class stores and allows to draw trajectories on a canvas.
@@ -19,12 +27,36 @@ export default class Tracker {
      */
     this.style = options.style;
 
+    /**
+     * Function use to style the clusters of vehicles.
+     * @type {function}
+     */
+    this.clusterStyle = options.clusterStyle || clusterTrackerStyle;
+
+    /**
+     * Function use to style the labels drawn next to the vehicles.
+     * @type {function}
+     */
+    this.labelStyle = options.labelStyle || labelTrackerStyle;
+
     // we draw directly on the canvas since openlayers is too slow.
     /**
      * HTML <canvas> element.
      * @type {Canvas}
      */
     this.canvas = options.canvas || document.createElement('canvas');
+
+    /**
+     * Spatial index of the vehicles drawn, used to find the vehicles at a coordinate.
+     * @type {VehicleHitIndex}
+     */
+    this.hitIndex = new VehicleHitIndex();
+
+    /**
+     * Positions rendered during the last trailDuration ms, by vehicle id.
+     * @type {Object<string, Array<{time: number, coord: Array<number>}>>}
+     */
+    this.trails = {};
   }
 
   /**
@@ -33,6 +65,15 @@ export default class Tracker {
    * @param {ViewState} viewState The view state of the map.
    * @param {boolean} options.hoverVehicleId The id of the vehicle to highlight.
    * @param {boolean} options.selectedVehicleId The id of the vehicle to select.
+   * @param {number} [options.clusterDistance] If set, the vehicles closer than this distance
+   *   in css pixels are grouped in a cluster. The hovered and selected vehicles are never grouped.
+   * @param {number} [options.trailDuration] If set, a fading trail of the positions rendered during
+   *   the last `trailDuration` ms is drawn behind each vehicle.
+   * @param {number} [options.extrapolationDuration] Maximal time in ms during which the position
+   *   of a vehicle is extrapolated after the end of its trajectory.
+   * @param {Array<TrackerMode>} [options.modes] The modes of transport used by the styles and the trails.
+   * @param {boolean} [options.labels] If true, labels are drawn next to the vehicles,
+   *   without overlapping each other. The clustered vehicles have no label.
    * @param {boolean} options.noInterpolate If true trajectories are not interpolated but
    *   drawn at the last known coordinate. Use this for performance optimization
    *   during map navigation.
@@ -51,6 +92,11 @@ export default class Tracker {
       noInterpolate = false,
       hoverVehicleId,
       selectedVehicleId,
+      extrapolationDuration,
+      clusterDistance,
+      trailDuration,
+      modes,
+      labels,
     } = options;
 
     const { canvas } = this;
@@ -76,6 +122,7 @@ export default class Tracker {
       -center[0],
       -center[1],
     );
+    this.hitIndex.clear(coordinateToPixelTransform, pixelRatio);
 
     // Offscreen canvas has not style attribute
     if (canvas.style) {
@@ -83,15 +130,24 @@ export default class Tracker {
       canvas.style.height = `${canvas.height / pixelRatio}px`;
     }
 
+    // The trails are only updated when the positions are interpolated.
+    const isTrailUpdated = !!trailDuration && !noInterpolate;
+    const trails = {};
+
+    let hoverVehicle;
     let hoverVehicleImg;
     let hoverVehiclePx;
     let hoverVehicleWidth;
     let hoverVehicleHeight;
+    let selectedVehicle;
     let selectedVehicleImg;
     let selectedVehiclePx;
     let selectedVehicleWidth;
     let selectedVehicleHeight;
     let nbRendered = 0;
+    const vehiclesToCluster = [];
+    const vehiclesToLabel = [];
+    const clustersExtents = [];
 
     for (let i = trajectories.length - 1; i >= 0; i -= 1) {
       const trajectory = trajectories[i];
@@ -105,6 +161,7 @@ export default class Tracker {
         time - (timeOffset || 0),
         trajectory,
         noInterpolate,
+        extrapolationDuration,
       );
 
       // We store  the current vehicle position to the trajectory.
@@ -116,6 +173,15 @@ export default class Tracker {
         continue;
       }
 
+      if (isTrailUpdated) {
+        trails[id] = addTrailPosition(
+          this.trails[id] || [],
+          time,
+          coord,
+          trailDuration,
+        );
+      }
+
       let px = apply(coordinateToPixelTransform, [...coord]);
       if (!px) {
         // eslint-disable-next-line no-continue
@@ -134,6 +200,16 @@ export default class Tracker {
         continue;
       }
 
+      if (
+        clusterDistance &&
+        hoverVehicleId !== id &&
+        selectedVehicleId !== id
+      ) {
+        vehiclesToCluster.push({ trajectory, px });
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
       const vehicleImg = this.style(trajectory, viewState, options);
       if (!vehicleImg) {
         // eslint-disable-next-line no-continue
@@ -142,6 +218,10 @@ export default class Tracker {
 
       nbRendered += 1;
 
+      if (labels) {
+        vehiclesToLabel.push({ trajectory, px });
+      }
+
       const imgWidth = vehicleImg.width;
       const imgHeight = vehicleImg.height;
 
@@ -153,11 +233,13 @@ export default class Tracker {
           imgWidth,
           imgHeight,
         );
+        this.hitIndex.add(trajectory, px, imgWidth, imgHeight);
       }
 
       if (hoverVehicleId && hoverVehicleId === id) {
         // Store the canvas to draw it at the end
         hoverVehicleImg = vehicleImg;
+        hoverVehicle = trajectory;
         hoverVehiclePx = px;
         hoverVehicleWidth = imgWidth;
         hoverVehicleHeight = imgHeight;
@@ -166,12 +248,57 @@ export default class Tracker {
       if (selectedVehicleId && selectedVehicleId === id) {
         // Store the canvas to draw it at the end
         selectedVehicleImg = vehicleImg;
+        selectedVehicle = trajectory;
         selectedVehiclePx = px;
         selectedVehicleWidth = imgWidth;
         selectedVehicleHeight = imgHeight;
       }
     }
 
+    if (isTrailUpdated) {
+      this.trails = trails;
+      this.renderTrails(
+        trajectories,
+        coordinateToPixelTransform,
+        viewState,
+        modes,
+      );
+    }
+
+    clusterVehicles(vehiclesToCluster, clusterDistance * pixelRatio).forEach(
+      ({ px, trajectories: members }) => {
+        const img =
+          members.length === 1
+            ? this.style(members[0], viewState, options)
+            : this.clusterStyle(members, viewState, options);
+        if (!img) {
+          return;
+        }
+        nbRendered += members.length;
+        if (labels && members.length === 1) {
+          vehiclesToLabel.push({ trajectory: members[0], px });
+        } else if (labels) {
+          clustersExtents.push([
+            px[0] - img.width / 2,
+            px[1] - img.height / 2,
+            px[0] + img.width / 2,
+            px[1] + img.height / 2,
+          ]);
+        }
+        context.drawImage(
+          img,
+          px[0] - img.width / 2,
+          px[1] - img.height / 2,
+          img.width,
+          img.height,
+        );
+        // A click on a cluster returns all its vehicles.
+        members.forEach((member) => {
+          this.hitIndex.add(member, px, img.width, img.height);
+        });
+      },
+    );
+
     if (selectedVehicleImg) {
       context.drawImage(
         selectedVehicleImg,
@@ -180,6 +307,12 @@ export default class Tracker {
         selectedVehicleWidth,
         selectedVehicleHeight,
       );
+      this.hitIndex.add(
+        selectedVehicle,
+        selectedVehiclePx,
+        selectedVehicleWidth,
+        selectedVehicleHeight,
+      );
     }
 
     if (hoverVehicleImg) {
@@ -190,9 +323,141 @@ export default class Tracker {
         hoverVehicleWidth,
         hoverVehicleHeight,
       );
+      this.hitIndex.add(
+        hoverVehicle,
+        hoverVehiclePx,
+        hoverVehicleWidth,
+        hoverVehicleHeight,
+      );
+    }
+
+    if (labels) {
+      this.renderLabels(vehiclesToLabel, clustersExtents, viewState, options);
     }
+
+    this.hitIndex.commit();
     return {
       nbTrajectoriesRendered: nbRendered,
     };
   }
+
+  /**
+   * Draw the trails of the vehicles, under the vehicles already drawn.
+   * Each trail fades out from the vehicle position and uses the color
+   * of the vehicle's mode of transport.
+   *
+   * @param {Array<TralisTrajectory>} trajectories An array of trajectories.
+   * @param {ol/transform~Transform} coordinateToPixelTransform Transform from map coordinates to css pixels.
+   * @param {ViewState} viewState The view state of the map.
+   * @param {Array<TrackerMode>} [modes] The modes of transport.
+   * @private
+   */
+  renderTrails(trajectories, coordinateToPixelTransform, viewState, modes) {
+    const { pixelRatio } = viewState;
+    const context = this.canvas.getContext('2d');
+    context.save();
+    context.globalCompositeOperation = 'destination-over';
+    context.lineWidth = 4 * pixelRatio;
+    context.lineCap = 'round';
+
+    trajectories.forEach((trajectory) => {
+      const { train_id: id, type } = trajectory.properties;
+      const trail = this.trails[id];
+      if (!trail || trail.length < 2) {
+        return;
+      }
+      const pixels = trail.map(({ coord }) =>
+        apply(coordinateToPixelTransform, [...coord]).map(
+          (p) => p * pixelRatio,
+        ),
+      );
+      context.strokeStyle = getBgColor(type || 'Rail', modes);
+      for (let i = 1; i < pixels.length; i += 1) {
+        context.globalAlpha = i / (pixels.length - 1);
+        context.beginPath();
+        context.moveTo(...pixels[i - 1]);
+        context.lineTo(...pixels[i]);
+        context.stroke();
+      }
+    });
+
+    context.restore();
+  }
+
+  /**
+   * Clear the canvas.
+   * @private
+   */
+  clear() {
+    const { canvas } = this;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  /**
+   * Clear the canvas and release the resources of the tracker.
+   * @private
+   */
+  destroy() {
+    this.clear();
+  }
+
+  /**
+   * Draw the labels of the vehicles, above the vehicles icons.
+   * The labels are placed by priority (selected, hovered, then the most
+   * delayed vehicles), a label overlapping another label or a vehicle
+   * is not drawn.
+   *
+   * @param {Array<Object>} vehicles Vehicles drawn: { trajectory, px }.
+   * @param {Array<Array<number>>} obstacles Extents of the clusters, in canvas pixels.
+   * @param {ViewState} viewState The view state of the map.
+   * @param {Object} options Same options as renderTrajectories.
+   * @private
+   */
+  renderLabels(vehicles, obstacles, viewState, options) {
+    const { zoom, pixelRatio } = viewState;
+    const { hoverVehicleId, selectedVehicleId, modes } = options;
+    const z = Math.min(Math.floor(zoom || 1), 16);
+    const vehiclesExtents = [];
+    const labels = [];
+
+    vehicles.forEach(({ trajectory, px }) => {
+      const { train_id: id, type } = trajectory.properties;
+      const radius = getVehicleRadius(
+        type || 'Rail',
+        z,
+        pixelRatio,
+        (hoverVehicleId && hoverVehicleId === id) ||
+          (selectedVehicleId && selectedVehicleId === id),
+        modes,
+      );
+      vehiclesExtents.push([
+        px[0] - radius,
+        px[1] - radius,
+        px[0] + radius,
+        px[1] + radius,
+      ]);
+      const img = this.labelStyle(trajectory, viewState, options);
+      if (img) {
+        labels.push({
+          img,
+          px,
+          distance: radius + 2 * pixelRatio,
+          width: img.width,
+          height: img.height,
+          priority: getLabelPriority(trajectory, options),
+        });
+      }
+    });
+    labels.sort((a, b) => b.priority - a.priority);
+
+    const context = this.canvas.getContext('2d');
+    placeLabels(
+      labels,
+      [...obstacles, ...vehiclesExtents],
+      [0, 0, this.canvas.width, this.canvas.height],
+    ).forEach(({ img, box }) => {
+      context.drawImage(img, box[0], box[1]);
+    });
+  }
 }
@@ -0,0 +1,98 @@
+import RBush from 'ol/structs/RBush';
+import { apply } from 'ol/transform';
+
+/**
+ * Spatial index of the vehicles drawn on the canvas. Each vehicle is
+ * stored with the pixel box of its icon, in the drawing order, so the
+ * vehicles returned at a coordinate are the ones visible on the map,
+ * the top-most first.
+ *
+ * @class
+ * @private
+ */
+export default class VehicleHitIndex {
+  constructor() {
+    /**
+     * Index of the icons boxes, in canvas pixels.
+     * @type {ol/structs/RBush~RBush}
+     */
+    this.rbush = new RBush();
+
+    /**
+     * Transform from map coordinates to css pixels used by the last rendering.
+     * @type {ol/transform~Transform}
+     */
+    this.coordinateToPixelTransform = null;
+
+    /**
+     * Pixel ratio used by the last rendering.
+     * @type {number}
+     */
+    this.pixelRatio = 1;
+
+    this.extents = [];
+    this.values = [];
+  }
+
+  /**
+   * Start a new rendering: empties the index.
+   *
+   * @param {ol/transform~Transform} coordinateToPixelTransform Transform from map coordinates to css pixels.
+   * @param {number} [pixelRatio=1] Pixel ratio of the canvas.
+   */
+  clear(coordinateToPixelTransform, pixelRatio = 1) {
+    this.rbush.clear();
+    this.coordinateToPixelTransform = coordinateToPixelTransform;
+    this.pixelRatio = pixelRatio;
+    this.extents = [];
+    this.values = [];
+  }
+
+  /**
+   * Add a drawn vehicle. Vehicles must be added in the drawing order.
+   *
+   * @param {TralisTrajectory} trajectory The trajectory of the vehicle.
+   * @param {Array<number>} px Center of the icon, in canvas pixels.
+   * @param {number} width Width of the icon, in canvas pixels.
+   * @param {number} height Height of the icon, in canvas pixels.
+   */
+  add(trajectory, px, width, height) {
+    this.extents.push([
+      px[0] - width / 2,
+      px[1] - height / 2,
+      px[0] + width / 2,
+      px[1] + height / 2,
+    ]);
+    this.values.push({ trajectory, zIndex: this.values.length });
+  }
+
+  /**
+   * Load the vehicles added since the last clear in the index.
+   */
+  commit() {
+    this.rbush.load(this.extents, this.values);
+    this.extents = [];
+    this.values = [];
+  }
+
+  /**
+   * Returns the vehicles whose icon contains the coordinate, the top-most first.
+   *
+   * @param {number[2]} coordinate A coordinate ([x,y]).
+   * @param {number} [nb=Infinity] The max number of vehicles to return.
+   * @return {Array<TralisTrajectory>} Array of trajectories.
+   */
+  getVehiclesAtCoordinate(coordinate, nb = Infinity) {
+    if (!this.coordinateToPixelTransform) {
+      return [];
+    }
+    const [x, y] = apply(this.coordinateToPixelTransform, [...coordinate]).map(
+      (p) => p * this.pixelRatio,
+    );
+    return this.rbush
+      .getInExtent([x, y, x, y])
+      .sort((a, b) => b.zIndex - a.zIndex)
+      .slice(0, nb)
+      .map(({ trajectory }) => trajectory);
+  }
+}
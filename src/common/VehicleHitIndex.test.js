@@ -0,0 +1,94 @@
+import Point from 'ol/geom/Point';
+import Tracker from './Tracker';
+
+const createImage = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const createTrajectory = (id, coordinate) => ({
+  properties: { train_id: id, olGeometry: new Point(coordinate) },
+});
+
+const viewState = {
+  size: [100, 100],
+  center: [50, 50],
+  resolution: 1,
+  pixelRatio: 2,
+};
+
+describe('VehicleHitIndex', () => {
+  let tracker;
+  let trajectories;
+
+  beforeEach(() => {
+    tracker = new Tracker({
+      style: ({ properties }) =>
+        properties.train_id === 'big'
+          ? createImage(40, 40)
+          : createImage(10, 10),
+    });
+    trajectories = [
+      createTrajectory('small', [50, 50]),
+      createTrajectory('big', [60, 60]),
+      createTrajectory('outside', [500, 500]),
+    ];
+  });
+
+  test('uses the icons sizes to find the vehicles.', () => {
+    tracker.renderTrajectories(trajectories, viewState, {});
+    const { hitIndex } = tracker;
+
+    // The big icon is 20 css pixels wide.
+    expect(hitIndex.getVehiclesAtCoordinate([69, 69])).toEqual([
+      trajectories[1],
+    ]);
+    expect(hitIndex.getVehiclesAtCoordinate([71, 71])).toEqual([]);
+
+    // The small icon is 5 css pixels wide.
+    expect(hitIndex.getVehiclesAtCoordinate([52, 48])).toEqual([
+      trajectories[0],
+    ]);
+    expect(hitIndex.getVehiclesAtCoordinate([51, 51])).toEqual([
+      trajectories[0],
+      trajectories[1],
+    ]);
+    expect(hitIndex.getVehiclesAtCoordinate([47, 47])).toEqual([]);
+    expect(hitIndex.getVehiclesAtCoordinate([500, 500])).toEqual([]);
+  });
+
+  test('returns the top-most vehicle first.', () => {
+    tracker.renderTrajectories(trajectories, viewState, {});
+    expect(tracker.hitIndex.getVehiclesAtCoordinate([51, 51], 1)).toEqual([
+      trajectories[0],
+    ]);
+
+    tracker.renderTrajectories(trajectories, viewState, {
+      hoverVehicleId: 'big',
+    });
+    expect(tracker.hitIndex.getVehiclesAtCoordinate([51, 51])).toEqual([
+      trajectories[1],
+      trajectories[0],
+    ]);
+  });
+
+  test('is emptied on each rendering.', () => {
+    tracker.renderTrajectories(trajectories, viewState, {});
+    tracker.renderTrajectories([trajectories[1]], viewState, {});
+    expect(tracker.hitIndex.getVehiclesAtCoordinate([51, 51])).toEqual([
+      trajectories[1],
+    ]);
+  });
+
+  test('returns all the vehicles of a cluster.', () => {
+    tracker.renderTrajectories(trajectories, viewState, {
+      clusterDistance: 100,
+    });
+    expect(tracker.hitIndex.getVehiclesAtCoordinate([55, 55])).toEqual([
+      trajectories[0],
+      trajectories[1],
+    ]);
+  });
+});
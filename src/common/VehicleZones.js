@@ -0,0 +1,101 @@
+import { readGeofence, containsGeofenceCoordinate } from './utils/geofence';
+
+/**
+ * Registered zones (depots, station areas, construction sites, ...) and
+ * the vehicles located inside each of them. On each update, the positions
+ * of the vehicles are compared to their previous state to find the
+ * vehicles entering and leaving the zones.
+ *
+ * @class
+ * @private
+ */
+export default class VehicleZones {
+  constructor() {
+    /**
+     * Zones read with readGeofence, by id.
+     * @type {Object<string, Object>}
+     */
+    this.zones = {};
+
+    /**
+     * Ids of the vehicles inside each zone.
+     * @type {Object<string, Set<string>>}
+     */
+    this.vehiclesInZones = {};
+  }
+
+  /**
+   * Add a zone, or replace the zone with the same id.
+   *
+   * @param {string} id Identifier of the zone.
+   * @param {GeoJSONFeature|GeoJSONGeometry} geojson A polygon or a corridor, see readGeofence.
+   */
+  addZone(id, geojson) {
+    this.zones[id] = readGeofence(geojson);
+    this.vehiclesInZones[id] = new Set();
+  }
+
+  /**
+   * Remove a zone. No exit event is emitted for the vehicles inside.
+   *
+   * @param {string} id Identifier of the zone.
+   */
+  removeZone(id) {
+    delete this.zones[id];
+    delete this.vehiclesInZones[id];
+  }
+
+  /**
+   * Returns true if at least one zone is registered.
+   *
+   * @return {boolean}
+   */
+  hasZones() {
+    return !!Object.keys(this.zones).length;
+  }
+
+  /**
+   * Compare the current positions of the vehicles to the previous ones.
+   * The vehicles without position are ignored. A vehicle no longer in the
+   * list is forgotten without exit event, it's most likely out of the map.
+   *
+   * @param {Array<TralisTrajectory>} trajectories Trajectories with their current coordinate.
+   * @param {function} [getCoordinate] Returns the current coordinate of a trajectory. Default to its coordinate property.
+   * @return {Array<Object>} Events: { type: 'zoneenter' or 'zoneexit', zoneId, trajectory }.
+   */
+  update(
+    trajectories,
+    getCoordinate = (trajectory) => trajectory.properties.coordinate,
+  ) {
+    const events = [];
+    const ids = new Set();
+    Object.entries(this.zones).forEach(([zoneId, zone]) => {
+      const inside = this.vehiclesInZones[zoneId];
+      trajectories.forEach((trajectory) => {
+        const { train_id: id } = trajectory.properties;
+        const coordinate = getCoordinate(trajectory);
+        ids.add(id);
+        if (!coordinate) {
+          return;
+        }
+        const isInside = containsGeofenceCoordinate(zone, coordinate);
+        if (isInside && !inside.has(id)) {
+          inside.add(id);
+          events.push({ type: 'zoneenter', zoneId, trajectory });
+        } else if (!isInside && inside.has(id)) {
+          inside.delete(id);
+          events.push({ type: 'zoneexit', zoneId, trajectory });
+        }
+      });
+    });
+
+    Object.values(this.vehiclesInZones).forEach((inside) => {
+      inside.forEach((id) => {
+        if (!ids.has(id)) {
+          inside.delete(id);
+        }
+      });
+    });
+    return events;
+  }
+}
@@ -0,0 +1,61 @@
+import { fromLonLat } from 'ol/proj';
+import VehicleZones from './VehicleZones';
+
+const depot = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [7, 46],
+      [8, 46],
+      [8, 47],
+      [7, 47],
+      [7, 46],
+    ],
+  ],
+};
+
+const createTrajectory = (id, lonLat) => ({
+  properties: { train_id: id, coordinate: lonLat && fromLonLat(lonLat) },
+});
+
+describe('VehicleZones', () => {
+  let zones;
+
+  beforeEach(() => {
+    zones = new VehicleZones();
+    zones.addZone('depot', depot);
+  });
+
+  test('returns the vehicles entering and leaving the zones.', () => {
+    const outside = createTrajectory('a', [9, 46.5]);
+    expect(zones.update([outside])).toEqual([]);
+
+    const inside = createTrajectory('a', [7.5, 46.5]);
+    expect(zones.update([inside])).toEqual([
+      { type: 'zoneenter', zoneId: 'depot', trajectory: inside },
+    ]);
+    // No event while the vehicle stays in the zone.
+    expect(zones.update([inside])).toEqual([]);
+
+    expect(zones.update([outside])).toEqual([
+      { type: 'zoneexit', zoneId: 'depot', trajectory: outside },
+    ]);
+  });
+
+  test('ignores the vehicles without position.', () => {
+    zones.update([createTrajectory('a', [7.5, 46.5])]);
+    expect(zones.update([createTrajectory('a')])).toEqual([]);
+    expect(zones.update([createTrajectory('a', [7.5, 46.5])])).toEqual([]);
+  });
+
+  test('forgets the vehicles removed and the zones removed.', () => {
+    const inside = createTrajectory('a', [7.5, 46.5]);
+    zones.update([inside]);
+    expect(zones.update([])).toEqual([]);
+    expect(zones.update([inside])).toHaveLength(1);
+
+    zones.removeZone('depot');
+    expect(zones.hasZones()).toBe(false);
+    expect(zones.update([createTrajectory('a', [9, 46.5])])).toEqual([]);
+  });
+});
@@ -0,0 +1,398 @@
+/* eslint-disable no-param-reassign */
+import { compose, apply, create } from 'ol/transform';
+import getVehiclePosition from './utils/getVehiclePosition';
+import TextureAtlas from './TextureAtlas';
+import VehicleHitIndex from './VehicleHitIndex';
+
+const VERTEX_SHADER = `
+  attribute vec2 a_corner;
+  attribute vec2 a_center;
+  attribute vec2 a_size;
+  attribute vec4 a_texRect;
+  attribute float a_rotation;
+  uniform vec2 u_resolution;
+  varying vec2 v_texCoord;
+
+  void main() {
+    vec2 offset = a_corner * a_size;
+    float c = cos(a_rotation);
+    float s = sin(a_rotation);
+    vec2 px = a_center + vec2(offset.x * c - offset.y * s, offset.x * s + offset.y * c);
+    vec2 clip = px / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_texCoord = mix(a_texRect.xy, a_texRect.zw, a_corner + 0.5);
+  }
+`;
+
+const FRAGMENT_SHADER = `
+  precision mediump float;
+  uniform sampler2D u_atlas;
+  varying vec2 v_texCoord;
+
+  void main() {
+    gl_FragColor = texture2D(u_atlas, v_texCoord);
+  }
+`;
+
+// Number of floats per instance: center (2), size (2), texRect (4), rotation (1).
+const INSTANCE_SIZE = 9;
+
+const createShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(`WebGLTracker: ${gl.getShaderInfoLog(shader)}`);
+  }
+  return shader;
+};
+
+/**
+ * Tracker drawing the trajectories with WebGL. It has the same interface
+ * as the Tracker. The canvases returned by the style function are packed
+ * in a texture atlas and all the vehicles are drawn in one call, using
+ * instanced quads.
+ *
+ * A style function can set a `rotation` property (in radians) on the
+ * returned canvas to rotate the vehicle icon.
+ *
+ * @class
+ * @param {Object} options
+ * @private
+ */
+export default class WebGLTracker {
+  /**
+   * @private
+   */
+  constructor(options) {
+    /**
+     * Function use to style the features displayed.
+     * @type {function}
+     */
+    this.style = options.style;
+
+    /**
+     * HTML <canvas> element.
+     * @type {Canvas}
+     */
+    this.canvas = options.canvas || document.createElement('canvas');
+
+    /**
+     * Texture atlas of the styled vehicles.
+     * @type {TextureAtlas}
+     */
+    this.atlas = new TextureAtlas(options.atlasSize);
+
+    /**
+     * Spatial index of the vehicles drawn, used to find the vehicles at a coordinate.
+     * @type {VehicleHitIndex}
+     */
+    this.hitIndex = new VehicleHitIndex();
+
+    /**
+     * WebGL context. The drawing buffer is preserved because the canvas
+     * is also read by Mapbox as a canvas source.
+     * @type {WebGLRenderingContext}
+     */
+    this.gl = this.canvas.getContext('webgl', {
+      premultipliedAlpha: false,
+      preserveDrawingBuffer: true,
+    });
+    if (!this.gl) {
+      throw new Error('WebGLTracker: WebGL is not supported.');
+    }
+
+    /**
+     * Extension used to draw instanced quads.
+     * @type {ANGLE_instanced_arrays}
+     */
+    this.instancing = this.gl.getExtension('ANGLE_instanced_arrays');
+    if (!this.instancing) {
+      throw new Error('WebGLTracker: ANGLE_instanced_arrays is not supported.');
+    }
+
+    this.initProgram();
+  }
+
+  /**
+   * Compile the shaders and create the buffers.
+   * @private
+   */
+  initProgram() {
+    const { gl } = this;
+    const program = gl.createProgram();
+    gl.attachShader(program, createShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+    gl.attachShader(
+      program,
+      createShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER),
+    );
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`WebGLTracker: ${gl.getProgramInfoLog(program)}`);
+    }
+    this.program = program;
+    this.locations = {
+      corner: gl.getAttribLocation(program, 'a_corner'),
+      center: gl.getAttribLocation(program, 'a_center'),
+      size: gl.getAttribLocation(program, 'a_size'),
+      texRect: gl.getAttribLocation(program, 'a_texRect'),
+      rotation: gl.getAttribLocation(program, 'a_rotation'),
+      resolution: gl.getUniformLocation(program, 'u_resolution'),
+      atlas: gl.getUniformLocation(program, 'u_atlas'),
+    };
+
+    // Two triangles forming a quad centered on the vehicle.
+    this.cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      new Float32Array([
+        -0.5, -0.5, 0.5, -0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5, 0.5,
+      ]),
+      gl.STATIC_DRAW,
+    );
+
+    this.instanceBuffer = gl.createBuffer();
+
+    this.texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  }
+
+  /**
+   * Compute the instances to draw: one per vehicle visible in the canvas.
+   * Hovered and selected vehicles are added last so they are drawn on top.
+   *
+   * @param {Array<TralisTrajectory>} trajectories An array of trajectories.
+   * @param {ViewState} viewState The view state of the map.
+   * @param {Object} options Same options as Tracker.renderTrajectories.
+   * @param {boolean} [isAtlasCleared=false] True if the atlas has been emptied for this rendering.
+   * @return {Float32Array} The instances data.
+   * @private
+   */
+  getInstances(trajectories, viewState, options, isAtlasCleared = false) {
+    const {
+      time = Date.now(),
+      size = [],
+      center,
+      resolution,
+      rotation = 0,
+      pixelRatio,
+    } = viewState;
+    const {
+      noInterpolate = false,
+      hoverVehicleId,
+      selectedVehicleId,
+      extrapolationDuration,
+    } = options;
+    const { canvas } = this;
+
+    const coordinateToPixelTransform = compose(
+      create(),
+      size[0] / 2,
+      size[1] / 2,
+      1 / resolution,
+      -1 / resolution,
+      -rotation,
+      -center[0],
+      -center[1],
+    );
+
+    const instances = [];
+    const onTop = [];
+
+    for (let i = trajectories.length - 1; i >= 0; i -= 1) {
+      const trajectory = trajectories[i];
+      const { train_id: id, timeOffset } = trajectory.properties;
+      const { coord, rotation: rotationIcon } = getVehiclePosition(
+        time - (timeOffset || 0),
+        trajectory,
+        noInterpolate,
+        extrapolationDuration,
+      );
+
+      // We store  the current vehicle position to the trajectory.
+      trajectories[i].properties.coordinate = coord;
+      trajectories[i].properties.rotation = rotationIcon;
+
+      if (!coord) {
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      const px = apply(coordinateToPixelTransform, [...coord]).map(
+        (p) => p * pixelRatio,
+      );
+
+      if (
+        px[0] < 0 ||
+        px[0] > canvas.width ||
+        px[1] < 0 ||
+        px[1] > canvas.height
+      ) {
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      const vehicleImg = this.style(trajectory, viewState, options);
+      if (!vehicleImg) {
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      const texRect = this.atlas.getRect(vehicleImg);
+      if (!texRect) {
+        if (!isAtlasCleared) {
+          // The atlas is full, we start a new one with only the current images.
+          this.atlas.clear();
+          return this.getInstances(trajectories, viewState, options, true);
+        }
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      const instance = [
+        px[0],
+        px[1],
+        vehicleImg.width,
+        vehicleImg.height,
+        ...texRect,
+        vehicleImg.rotation || 0,
+      ];
+
+      if (id === selectedVehicleId) {
+        onTop.unshift([trajectory, instance]);
+      } else if (id === hoverVehicleId) {
+        onTop.push([trajectory, instance]);
+      } else {
+        instances.push([trajectory, instance]);
+      }
+    }
+
+    const ordered = [...instances, ...onTop];
+    this.hitIndex.clear(coordinateToPixelTransform, pixelRatio);
+    ordered.forEach(([trajectory, [x, y, width, height]]) => {
+      this.hitIndex.add(trajectory, [x, y], width, height);
+    });
+    this.hitIndex.commit();
+
+    return new Float32Array(ordered.map(([, instance]) => instance).flat());
+  }
+
+  /**
+   * Draw all the trajectories available to the canvas.
+   * @param {Array<TralisTrajectory>} trajectories An array of trajectories.
+   * @param {ViewState} viewState The view state of the map.
+   * @param {Object} options Same options as Tracker.renderTrajectories.
+   * @private
+   */
+  renderTrajectories(trajectories, viewState, options) {
+    const { size = [], pixelRatio } = viewState;
+    const { canvas, gl, instancing, locations } = this;
+
+    const [width, height] = size;
+    if (
+      width &&
+      height &&
+      (canvas.width !== width * pixelRatio ||
+        canvas.height !== height * pixelRatio)
+    ) {
+      [canvas.width, canvas.height] = [width * pixelRatio, height * pixelRatio];
+    }
+
+    // Offscreen canvas has not style attribute
+    if (canvas.style) {
+      canvas.style.width = `${canvas.width / pixelRatio}px`;
+      canvas.style.height = `${canvas.height / pixelRatio}px`;
+    }
+
+    const instances = this.getInstances(trajectories, viewState, options);
+    const nbRendered = instances.length / INSTANCE_SIZE;
+
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    if (!nbRendered) {
+      return { nbTrajectoriesRendered: 0 };
+    }
+
+    gl.useProgram(this.program);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    if (this.atlas.dirty) {
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        gl.RGBA,
+        gl.RGBA,
+        gl.UNSIGNED_BYTE,
+        this.atlas.canvas,
+      );
+      this.atlas.dirty = false;
+    }
+    gl.uniform1i(locations.atlas, 0);
+    gl.uniform2f(locations.resolution, canvas.width, canvas.height);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.enableVertexAttribArray(locations.corner);
+    gl.vertexAttribPointer(locations.corner, 2, gl.FLOAT, false, 0, 0);
+    instancing.vertexAttribDivisorANGLE(locations.corner, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, instances, gl.DYNAMIC_DRAW);
+    const stride = INSTANCE_SIZE * 4;
+    [
+      [locations.center, 2, 0],
+      [locations.size, 2, 2],
+      [locations.texRect, 4, 4],
+      [locations.rotation, 1, 8],
+    ].forEach(([location, nbFloats, offset]) => {
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(
+        location,
+        nbFloats,
+        gl.FLOAT,
+        false,
+        stride,
+        offset * 4,
+      );
+      instancing.vertexAttribDivisorANGLE(location, 1);
+    });
+
+    instancing.drawArraysInstancedANGLE(gl.TRIANGLES, 0, 6, nbRendered);
+
+    return {
+      nbTrajectoriesRendered: nbRendered,
+    };
+  }
+
+  /**
+   * Clear the canvas.
+   * @private
+   */
+  clear() {
+    const { gl } = this;
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+
+  /**
+   * Clear the canvas and release the WebGL resources.
+   * @private
+   */
+  destroy() {
+    const { gl } = this;
+    this.clear();
+    gl.deleteBuffer(this.cornerBuffer);
+    gl.deleteBuffer(this.instanceBuffer);
+    gl.deleteTexture(this.texture);
+    gl.deleteProgram(this.program);
+  }
+}
@@ -0,0 +1,127 @@
+import Point from 'ol/geom/Point';
+import WebGLTracker from './WebGLTracker';
+import TextureAtlas from './TextureAtlas';
+
+// WebGL is not available in jsdom, every method of the context is a mock.
+const createGl = () => {
+  const gl = {
+    getExtension: jest.fn(() => ({
+      vertexAttribDivisorANGLE: jest.fn(),
+      drawArraysInstancedANGLE: jest.fn(),
+    })),
+    getShaderParameter: jest.fn(() => true),
+    getProgramParameter: jest.fn(() => true),
+  };
+  return new Proxy(gl, {
+    get: (target, key) => {
+      if (!(key in target)) {
+        // eslint-disable-next-line no-param-reassign
+        target[key] = jest.fn();
+      }
+      return target[key];
+    },
+  });
+};
+
+const createImage = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const viewState = {
+  size: [100, 100],
+  center: [50, 50],
+  resolution: 1,
+  pixelRatio: 1,
+};
+
+describe('TextureAtlas', () => {
+  test('packs the images in rows.', () => {
+    const atlas = new TextureAtlas(100);
+    const img1 = createImage(60, 20);
+    const img2 = createImage(60, 30);
+    expect(atlas.getRect(img1)).toEqual([0, 0, 0.6, 0.2]);
+    expect(atlas.getRect(img2)).toEqual([0, 0.2, 0.6, 0.5]);
+    expect(atlas.getRect(img1)).toEqual([0, 0, 0.6, 0.2]);
+    expect(atlas.rects.size).toBe(2);
+  });
+
+  test('returns null when the atlas is full.', () => {
+    const atlas = new TextureAtlas(100);
+    atlas.getRect(createImage(100, 80));
+    expect(atlas.getRect(createImage(10, 30))).toBe(null);
+    expect(atlas.getRect(createImage(200, 10))).toBe(null);
+    atlas.clear();
+    expect(atlas.getRect(createImage(10, 30))).toEqual([0, 0, 0.1, 0.3]);
+  });
+});
+
+describe('WebGLTracker', () => {
+  let canvas;
+  let gl;
+
+  beforeEach(() => {
+    gl = createGl();
+    canvas = { style: {}, getContext: jest.fn(() => gl) };
+  });
+
+  test('throws an error if WebGL is not supported.', () => {
+    canvas.getContext.mockImplementation(() => null);
+    expect(() => new WebGLTracker({ canvas })).toThrow(
+      'WebGLTracker: WebGL is not supported.',
+    );
+  });
+
+  test('draws all the vehicles in one call.', () => {
+    const img = createImage(10, 10);
+    const style = jest.fn(() => img);
+    const tracker = new WebGLTracker({ canvas, style });
+    const trajectories = [
+      { properties: { train_id: 1, olGeometry: new Point([10, 10]) } },
+      { properties: { train_id: 2, olGeometry: new Point([20, 20]) } },
+      { properties: { train_id: 3, olGeometry: new Point([500, 500]) } },
+    ];
+    const { nbTrajectoriesRendered } = tracker.renderTrajectories(
+      trajectories,
+      viewState,
+      {},
+    );
+    expect(nbTrajectoriesRendered).toBe(2);
+    expect(style).toHaveBeenCalledTimes(2);
+    expect(trajectories[0].properties.coordinate).toEqual([10, 10]);
+    expect(gl.texImage2D).toHaveBeenCalledTimes(1);
+    expect(tracker.instancing.drawArraysInstancedANGLE).toHaveBeenCalledWith(
+      gl.TRIANGLES,
+      0,
+      6,
+      2,
+    );
+
+    // The atlas is only uploaded when it changes.
+    tracker.renderTrajectories(trajectories, viewState, {});
+    expect(gl.texImage2D).toHaveBeenCalledTimes(1);
+  });
+
+  test('draws the selected and hovered vehicles last.', () => {
+    const imgs = [
+      createImage(10, 10),
+      createImage(11, 11),
+      createImage(12, 12),
+    ];
+    const tracker = new WebGLTracker({
+      canvas,
+      style: (trajectory) => imgs[trajectory.properties.train_id],
+    });
+    const trajectories = [0, 1, 2].map((id) => ({
+      properties: { train_id: id, olGeometry: new Point([id, id]) },
+    }));
+    const instances = tracker.getInstances(trajectories, viewState, {
+      hoverVehicleId: 0,
+      selectedVehicleId: 2,
+    });
+    // The width of each instance is its 3rd value.
+    expect([instances[2], instances[11], instances[20]]).toEqual([11, 12, 10]);
+  });
+});
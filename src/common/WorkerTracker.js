@@ -0,0 +1,180 @@
+/**
+ * Returns a copy of the trajectory that can be posted to a worker.
+ * The OpenLayers geometry is replaced by its type and coordinates.
+ *
+ * @param {TralisTrajectory} trajectory A trajectory.
+ * @return {Object} A cloneable trajectory.
+ * @private
+ */
+const serializeTrajectory = (trajectory) => {
+  const { olGeometry, ...properties } = trajectory.properties;
+  return {
+    properties: {
+      ...properties,
+      olGeometry: olGeometry && {
+        type: olGeometry.getType(),
+        coordinates: olGeometry.getCoordinates(),
+      },
+    },
+  };
+};
+
+/**
+ * Tracker drawing the trajectories in a web worker, on an OffscreenCanvas.
+ * It has the same interface as the Tracker. Trajectories are kept in the
+ * worker, only the ones that changed since the last render are posted.
+ *
+ * The vehicles are styled in the worker with the delayTrackerStyle, custom
+ * style functions can't be posted to a worker.
+ *
+ * @class
+ * @param {Object} options
+ * @private
+ */
+export default class WorkerTracker {
+  /**
+   * @private
+   */
+  constructor(options = {}) {
+    /**
+     * HTML <canvas> element, controlled by the worker.
+     * @type {Canvas}
+     */
+    this.canvas = options.canvas || document.createElement('canvas');
+
+    /**
+     * Worker rendering the trajectories.
+     * @type {Worker}
+     */
+    this.worker = options.worker || WorkerTracker.createWorker();
+
+    /**
+     * Trajectories posted to the worker, by id.
+     * @type {Map<string, TralisTrajectory>}
+     */
+    this.trajectories = new Map();
+
+    /**
+     * Ids of the trajectories in the rendering order.
+     * @type {Array<string>}
+     */
+    this.order = [];
+
+    /**
+     * Result of the last rendering done by the worker.
+     * @type {Object}
+     */
+    this.renderState = { nbTrajectoriesRendered: 0 };
+
+    this.onMessage = this.onMessage.bind(this);
+    this.worker.addEventListener('message', this.onMessage);
+
+    const offscreenCanvas = this.canvas.transferControlToOffscreen();
+    this.worker.postMessage({ type: 'init', canvas: offscreenCanvas }, [
+      offscreenCanvas,
+    ]);
+  }
+
+  /**
+   * Create the worker. The worker script is only loaded when this renderer is used.
+   *
+   * @return {Worker} A worker.
+   * @private
+   */
+  static createWorker() {
+    // eslint-disable-next-line global-require
+    const TrackerWorker = require('./tracker.worker').default;
+    return new TrackerWorker();
+  }
+
+  /**
+   * Post the trajectories changes and the view state to the worker.
+   * @param {Array<TralisTrajectory>} trajectories An array of trajectories, in the rendering order.
+   * @param {ViewState} viewState The view state of the map.
+   * @param {Object} options Same options as Tracker.renderTrajectories.
+   * @return {Object} The result of the last rendering done by the worker.
+   * @private
+   */
+  renderTrajectories(trajectories, viewState, options) {
+    const added = [];
+    const order = [];
+    const current = new Map();
+
+    trajectories.forEach((trajectory) => {
+      const { train_id: id } = trajectory.properties;
+      order.push(id);
+      current.set(id, trajectory);
+      if (this.trajectories.get(id) !== trajectory) {
+        added.push(serializeTrajectory(trajectory));
+      }
+    });
+
+    const removed = [...this.trajectories.keys()].filter(
+      (id) => !current.has(id),
+    );
+    const isOrderChanged =
+      order.length !== this.order.length ||
+      order.some((id, idx) => id !== this.order[idx]);
+    this.trajectories = current;
+    this.order = order;
+
+    // The size of the canvas is set by the worker, only its style is set here.
+    const { size = [] } = viewState;
+    const [width, height] = size;
+    if (width && height) {
+      this.canvas.style.width = `${width}px`;
+      this.canvas.style.height = `${height}px`;
+    }
+
+    this.worker.postMessage({
+      type: 'render',
+      added,
+      removed,
+      order: isOrderChanged ? order : null,
+      viewState,
+      options,
+    });
+
+    return this.renderState;
+  }
+
+  /**
+   * Callback when the worker has rendered the trajectories.
+   * It stores the vehicles positions in the trajectories, used to find
+   * the vehicles at a coordinate.
+   *
+   * @private
+   */
+  onMessage({ data }) {
+    if (data.type !== 'rendered') {
+      return;
+    }
+    this.renderState = {
+      nbTrajectoriesRendered: data.nbTrajectoriesRendered,
+    };
+    data.positions.forEach(([id, coordinate, rotation]) => {
+      const trajectory = this.trajectories.get(id);
+      if (trajectory) {
+        trajectory.properties.coordinate = coordinate;
+        trajectory.properties.rotation = rotation;
+      }
+    });
+  }
+
+  /**
+   * Clear the canvas.
+   */
+  clear() {
+    this.worker.postMessage({ type: 'clear' });
+  }
+
+  /**
+   * Stop the worker.
+   */
+  destroy() {
+    this.worker.removeEventListener('message', this.onMessage);
+    this.worker.terminate();
+    this.trajectories = new Map();
+    this.order = [];
+  }
+}
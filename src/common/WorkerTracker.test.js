@@ -0,0 +1,108 @@
+import Point from 'ol/geom/Point';
+import WorkerTracker from './WorkerTracker';
+
+const createWorker = () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn(),
+  postMessage: jest.fn(),
+  terminate: jest.fn(),
+});
+
+const createCanvas = () => {
+  const canvas = document.createElement('canvas');
+  canvas.transferControlToOffscreen = jest.fn(() => ({ offscreen: true }));
+  return canvas;
+};
+
+const createTrajectory = (id) => ({
+  properties: { train_id: id, olGeometry: new Point([id, id]) },
+});
+
+const viewState = { size: [100, 50], center: [0, 0], resolution: 1 };
+
+describe('WorkerTracker', () => {
+  let worker;
+  let tracker;
+
+  beforeEach(() => {
+    worker = createWorker();
+    tracker = new WorkerTracker({ canvas: createCanvas(), worker });
+  });
+
+  test('transfers the canvas to the worker.', () => {
+    expect(worker.postMessage).toHaveBeenCalledWith(
+      { type: 'init', canvas: { offscreen: true } },
+      [{ offscreen: true }],
+    );
+    expect(worker.addEventListener).toHaveBeenCalledWith(
+      'message',
+      tracker.onMessage,
+    );
+  });
+
+  describe('#renderTrajectories()', () => {
+    test('posts only the trajectories changes.', () => {
+      const traj1 = createTrajectory(1);
+      const traj2 = createTrajectory(2);
+      tracker.renderTrajectories([traj1, traj2], viewState, {});
+      let [[message]] = worker.postMessage.mock.calls.slice(-1);
+      expect(message.type).toBe('render');
+      expect(message.added.length).toBe(2);
+      expect(message.added[0].properties.olGeometry).toEqual({
+        type: 'Point',
+        coordinates: [1, 1],
+      });
+      expect(message.removed).toEqual([]);
+      expect(message.order).toEqual([1, 2]);
+      expect(message.viewState).toBe(viewState);
+      expect(tracker.canvas.style.width).toBe('100px');
+      expect(tracker.canvas.style.height).toBe('50px');
+
+      const traj3 = createTrajectory(1);
+      tracker.renderTrajectories([traj3, traj2], viewState, {});
+      [[message]] = worker.postMessage.mock.calls.slice(-1);
+      expect(message.added.length).toBe(1);
+      expect(message.removed).toEqual([]);
+      expect(message.order).toBe(null);
+
+      tracker.renderTrajectories([traj2], viewState, {});
+      [[message]] = worker.postMessage.mock.calls.slice(-1);
+      expect(message.added).toEqual([]);
+      expect(message.removed).toEqual([1]);
+      expect(message.order).toEqual([2]);
+    });
+
+    test('returns the result of the last rendering.', () => {
+      const traj = createTrajectory(1);
+      expect(tracker.renderTrajectories([traj], viewState, {})).toEqual({
+        nbTrajectoriesRendered: 0,
+      });
+      tracker.onMessage({
+        data: {
+          type: 'rendered',
+          nbTrajectoriesRendered: 1,
+          positions: [[1, [5, 5], 0.5]],
+        },
+      });
+      expect(traj.properties.coordinate).toEqual([5, 5]);
+      expect(traj.properties.rotation).toBe(0.5);
+      expect(tracker.renderTrajectories([traj], viewState, {})).toEqual({
+        nbTrajectoriesRendered: 1,
+      });
+    });
+  });
+
+  test('#clear() posts a clear message.', () => {
+    tracker.clear();
+    expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'clear' });
+  });
+
+  test('#destroy() terminates the worker.', () => {
+    tracker.destroy();
+    expect(worker.removeEventListener).toHaveBeenCalledWith(
+      'message',
+      tracker.onMessage,
+    );
+    expect(worker.terminate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -12,10 +12,28 @@ import BaseObject from 'ol/Object';
  *   apiKey: [yourApiKey]
  * });
  *
+ * @example
+ * // In Node.js, where fetch is not available globally.
+ * import nodeFetch from 'node-fetch';
+ * import { StopsAPI } from 'mobility-toolbox-js/api';
+ *
+ * const api = new StopsAPI({
+ *   apiKey: [yourApiKey],
+ *   fetch: nodeFetch,
+ * });
+ *
  * @classproperty {string} url Url of the service.
  * @classproperty {string} apiKey Api key to access the service.
  */
 class API extends BaseObject {
+  /**
+   * Constructor
+   *
+   * @param {Object} options Options.
+   * @param {string} options.url Service url.
+   * @param {string} options.apiKey Access key for [geOps services](https://developer.geops.io/).
+   * @param {function} [options.fetch] The fetch implementation to use. Default to the global fetch.
+   */
   constructor(options = {}) {
     super();
     /** @ignore */
@@ -23,6 +41,9 @@ class API extends BaseObject {
 
     /** @ignore */
     this.apiKey = options.apiKey;
+
+    /** @ignore */
+    this.fetchImpl = options.fetch;
   }
 
   /**
@@ -43,7 +64,8 @@ class API extends BaseObject {
         new Error(`No apiKey defined for request to ${this.url}`),
       );
     }
-    return fetch(
+    const fetchImpl = this.fetchImpl || fetch;
+    return fetchImpl(
       `${this.url}${path || ''}?${qs.stringify(clone)}`,
       config,
     ).then((response) => {
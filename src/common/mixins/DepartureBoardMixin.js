@@ -0,0 +1,362 @@
+/* eslint-disable no-empty-function */
+/* eslint-disable no-useless-constructor */
+/* eslint-disable class-methods-use-this */
+/* eslint-disable max-classes-per-file */
+import TralisAPI from '../../api/tralis/TralisAPI';
+
+/**
+ * Departure board control interface.
+ *
+ * @classproperty {TralisAPI} api - The api used to subscribe to the departures.
+ * @classproperty {Object} station - The station displayed, an object with the uic and the name of the station. Read only.
+ * @classproperty {Departure[]} departures - The departures displayed. Read only.
+ */
+export class DepartureBoardInterface {
+  /**
+   * Constructor.
+   *
+   * @param {Object} options Control options.
+   * @param {TralisAPI} [options.api] Api used to subscribe to the departures. Pass the api of a TralisLayer to share its connection. If not defined, an api is created from the url and the apiKey, its connection is closed when the control is deactivated.
+   * @param {string} [options.url] Url of the [geOps realtime api](https://developer.geops.io/apis/realtime/). See TralisAPI.
+   * @param {string} [options.apiKey] Access key for [geOps apis](https://developer.geops.io/). See TralisAPI.
+   * @param {number} [options.uic] UIC of the station to display when the control is activated.
+   * @param {string} [options.name] Name of the station to display when the control is activated.
+   * @param {boolean} [options.sortByMinArrivalTime=false] Sort the departures by minimum arrival time.
+   * @param {DepartureFilterOptions} [options.filterOptions] Options to filter the departures, like the departure window or the platforms displayed.
+   * @param {boolean} [options.openOnStationClick=true] Open the board of a station when it's clicked on the map. A station is a feature with an uic property, like the ones received with TralisAPI.subscribeStations.
+   */
+  // eslint-disable-next-line no-unused-vars
+  constructor(options = {}) {}
+
+  /**
+   * Subscribe to the departures of a station and display them.
+   *
+   * @param {number} uic UIC of the station.
+   * @param {string} [name] Name of the station, displayed in the header of the board.
+   */
+  // eslint-disable-next-line no-unused-vars
+  setStation(uic, name) {}
+
+  /**
+   * Unsubscribe from the departures and close the board.
+   */
+  close() {}
+}
+
+/**
+ * Format a timestamp as HH:MM.
+ *
+ * @param {number} time Timestamp in ms.
+ * @return {string} The formatted time.
+ * @private
+ */
+const formatTime = (time) => {
+  const date = new Date(time);
+  return [date.getHours(), date.getMinutes()]
+    .map((n) => `${n}`.padStart(2, '0'))
+    .join(':');
+};
+
+/**
+ * Returns the planned and the estimated time of a departure.
+ *
+ * @param {Departure} departure A departure.
+ * @return {Object} An object with the planned and estimated timestamps in ms.
+ * @private
+ */
+const getDepartureTimes = (departure) => {
+  const planned = departure.ris_aimed_time || departure.time;
+  const estimated =
+    (departure.has_fzo && departure.fzo_estimated_time) ||
+    departure.ris_estimated_time ||
+    departure.time;
+  return { planned, estimated };
+};
+
+/**
+ * Labels of the departure states displayed on the board.
+ *
+ * @private
+ */
+const stateLabels = {
+  BOARDING: 'Boarding',
+  LEAVING: 'Leaving',
+};
+
+/**
+ * Mixin for DepartureBoardInterface.
+ *
+ * @param {Class} Base  A class to extend with {DepartureBoardInterface} functionnalities.
+ * @return {Class}  A class that implements <DepartureBoardInterface> class and extends Base;
+ * @private
+ */
+const DepartureBoardMixin = (Base) =>
+  class extends Base {
+    constructor(options = {}) {
+      super(options);
+      const { api, apiKey, url, uic, name } = options;
+
+      this.sortByMinArrivalTime = !!options.sortByMinArrivalTime;
+      this.filterOptions = options.filterOptions || {};
+      this.openOnStationClick = options.openOnStationClick !== false;
+      this.departures = [];
+      this.station = uic ? { uic, name } : null;
+
+      if (api) {
+        this.api = api;
+      } else {
+        const apiOptions = { apiKey };
+        if (url) {
+          apiOptions.url = url;
+        }
+        this.api = new TralisAPI(apiOptions);
+        this.ownApi = true;
+      }
+
+      this.onDepartures = this.onDepartures.bind(this);
+    }
+
+    activate() {
+      super.activate();
+      this.subscribeDepartures();
+    }
+
+    deactivate() {
+      this.unsubscribeDepartures();
+      if (this.ownApi && this.apiOpened) {
+        this.api.close();
+        this.apiOpened = false;
+      }
+      super.deactivate();
+    }
+
+    setStation(uic, name) {
+      this.station = uic ? { uic, name } : null;
+      this.departures = [];
+      if (this.active) {
+        this.subscribeDepartures();
+      }
+      this.render();
+    }
+
+    close() {
+      this.setStation(null);
+    }
+
+    /**
+     * Open the board of a clicked station.
+     *
+     * @param {StationProperties} properties Properties of the station.
+     * @private
+     */
+    onStationClick(properties) {
+      if (this.openOnStationClick && properties && properties.uic) {
+        this.setStation(properties.uic, properties.name);
+      }
+    }
+
+    /**
+     * @private
+     */
+    subscribeDepartures() {
+      this.unsubscribeDepartures();
+      if (!this.map || !this.station || !this.api) {
+        return;
+      }
+      if (this.ownApi && !this.apiOpened) {
+        this.api.open();
+        this.apiOpened = true;
+      }
+      this.subscription = this.api.subscribeDepartures(
+        this.station.uic,
+        {
+          sortByMinArrivalTime: this.sortByMinArrivalTime,
+          ...this.filterOptions,
+        },
+        this.onDepartures,
+      );
+    }
+
+    /**
+     * @private
+     */
+    unsubscribeDepartures() {
+      if (this.subscription) {
+        this.subscription.unsubscribe();
+        this.subscription = null;
+      }
+    }
+
+    /**
+     * @private
+     */
+    onDepartures(departures) {
+      this.departures = departures;
+      this.render();
+    }
+
+    render() {
+      if (!this.element || !this.listElt) {
+        return;
+      }
+
+      const visible = !!(this.active && this.station);
+      this.element.style.display = visible ? 'flex' : 'none';
+      this.titleElt.textContent = visible
+        ? this.station.name || `${this.station.uic}`
+        : '';
+      this.listElt.innerHTML = '';
+
+      if (!visible) {
+        return;
+      }
+
+      this.departures
+        .filter((departure) => departure.state !== 'HIDDEN')
+        .forEach((departure) => {
+          this.listElt.appendChild(this.createDepartureElement(departure));
+        });
+    }
+
+    /**
+     * Create the row of a departure.
+     *
+     * @param {Departure} departure A departure.
+     * @return {HTMLElement} The row element.
+     * @private
+     */
+    createDepartureElement(departure) {
+      const { line, to, platform, state, cancelled } = departure;
+      const { planned, estimated } = getDepartureTimes(departure);
+      const delayed = estimated - planned >= 60000;
+
+      const rowElt = document.createElement('div');
+      rowElt.className = 'mbt-departure';
+      Object.assign(rowElt.style, {
+        display: 'flex',
+        alignItems: 'center',
+        padding: '5px 12px',
+        borderTop: '1px solid #eee',
+        opacity: cancelled ? 0.6 : 1,
+      });
+
+      const lineElt = document.createElement('span');
+      lineElt.className = 'mbt-departure-line';
+      lineElt.textContent = (line && line.name) || '';
+      Object.assign(lineElt.style, {
+        minWidth: '40px',
+        marginRight: '10px',
+        padding: '2px 4px',
+        borderRadius: '3px',
+        textAlign: 'center',
+        fontWeight: 'bold',
+        backgroundColor: (line && line.color) || '#000',
+        color: (line && line.text_color) || '#fff',
+        border: `1px solid ${(line && (line.stroke || line.color)) || '#000'}`,
+      });
+      rowElt.appendChild(lineElt);
+
+      const toElt = document.createElement('span');
+      toElt.className = 'mbt-departure-to';
+      toElt.textContent = (to && to[0]) || '';
+      Object.assign(toElt.style, {
+        flex: 1,
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+        textDecoration: cancelled ? 'line-through' : 'none',
+      });
+      rowElt.appendChild(toElt);
+
+      const stateElt = document.createElement('span');
+      stateElt.className = 'mbt-departure-state';
+      stateElt.textContent = cancelled ? 'Cancelled' : stateLabels[state] || '';
+      Object.assign(stateElt.style, {
+        margin: '0 5px',
+        fontSize: '.8rem',
+        color: cancelled ? 'red' : 'green',
+      });
+      rowElt.appendChild(stateElt);
+
+      const platformElt = document.createElement('span');
+      platformElt.className = 'mbt-departure-platform';
+      platformElt.textContent = platform || '';
+      Object.assign(platformElt.style, {
+        minWidth: '30px',
+        textAlign: 'center',
+      });
+      rowElt.appendChild(platformElt);
+
+      const timeElt = document.createElement('span');
+      timeElt.className = 'mbt-departure-time';
+      Object.assign(timeElt.style, {
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'flex-end',
+        minWidth: '45px',
+        textDecoration: cancelled ? 'line-through' : 'none',
+      });
+      const plannedElt = document.createElement('span');
+      plannedElt.textContent = formatTime(planned);
+      timeElt.appendChild(plannedElt);
+      if (delayed) {
+        const estimatedElt = document.createElement('span');
+        estimatedElt.textContent = formatTime(estimated);
+        estimatedElt.style.color = 'red';
+        timeElt.appendChild(estimatedElt);
+      }
+      rowElt.appendChild(timeElt);
+
+      return rowElt;
+    }
+
+    createDefaultElement() {
+      /**
+       * Define a default element.
+       */
+      this.element = document.createElement('div');
+      this.element.id = 'mbt-departure-board';
+      Object.assign(this.element.style, {
+        display: 'none',
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        margin: '10px',
+        flexDirection: 'column',
+        width: '360px',
+        maxHeight: '50%',
+        backgroundColor: 'white',
+        fontSize: '.9rem',
+      });
+
+      // Create header element
+      const headerElt = document.createElement('div');
+      Object.assign(headerElt.style, {
+        display: 'flex',
+        alignItems: 'center',
+        padding: '5px 12px',
+        fontWeight: 'bold',
+      });
+      this.element.appendChild(headerElt);
+
+      this.titleElt = document.createElement('div');
+      this.titleElt.style.flex = 1;
+      headerElt.appendChild(this.titleElt);
+
+      this.closeElt = document.createElement('div');
+      this.closeElt.innerHTML = '×';
+      this.closeElt.onclick = () => this.close();
+      Object.assign(this.closeElt.style, {
+        fontSize: '150%',
+        cursor: 'pointer',
+      });
+      headerElt.appendChild(this.closeElt);
+
+      // Create departures list element
+      this.listElt = document.createElement('div');
+      this.listElt.style.overflowY = 'auto';
+      this.element.appendChild(this.listElt);
+    }
+  };
+
+export default DepartureBoardMixin;
@@ -0,0 +1,280 @@
+/* eslint-disable no-empty-function */
+/* eslint-disable no-useless-constructor */
+/* eslint-disable no-unused-vars */
+/* eslint-disable class-methods-use-this */
+/* eslint-disable max-classes-per-file */
+import { toLonLat } from 'ol/proj';
+import { TralisAPI, TralisModes } from '../../api';
+import normalizeNewsticker from '../utils/normalizeNewsticker';
+
+/**
+ * Default colors of the disruptions by severity.
+ *
+ * @ignore
+ */
+export const defaultSeverityColors = {
+  info: '#0079c7',
+  warning: '#f0a30a',
+  severe: '#eb0000',
+};
+
+/**
+ * Returns true if the disruption applies at the given time.
+ *
+ * @param {Disruption} disruption A disruption.
+ * @param {number} time Timestamp in ms.
+ * @return {boolean}
+ * @ignore
+ */
+export const isDisruptionValid = ({ validity }, time) =>
+  !validity ||
+  !validity.length ||
+  validity.some(
+    ({ from, to }) => (!from || from <= time) && (!to || time < to),
+  );
+
+/**
+ * Returns the text in the given language, or in the first language available.
+ *
+ * @param {string|Object<string,string>} texts A text, or texts by language.
+ * @param {string} language A language (ex: "de").
+ * @return {string} The text.
+ * @ignore
+ */
+export const getDisruptionText = (texts, language) => {
+  if (!texts) {
+    return '';
+  }
+  if (typeof texts === 'string') {
+    return texts;
+  }
+  return texts[language] || Object.values(texts)[0] || '';
+};
+
+/**
+ * DisruptionLayerInterface.
+ *
+ * @classproperty {TralisAPI} api - The api used to subscribe to the disruptions.
+ * @classproperty {Disruption[]} disruptions - The disruptions displayed, valid or not. Each message of the disruptions channel replaces them.
+ * @classproperty {string} language - Language of the titles of the disruptions features.
+ */
+export class DisruptionLayerInterface {
+  /**
+   * Constructor.
+   *
+   * @param {Object} options Layer options.
+   * @param {TralisAPI} [options.api] Api used to subscribe to the disruptions. Pass the api of a TralisLayer to share its connection. If not defined, an api is created from the url and the apiKey.
+   * @param {string} [options.url] Tralis service url.
+   * @param {string} [options.apiKey] Access key for [geOps services](https://developer.geops.io/).
+   * @param {Disruption[]} [options.disruptions] Disruptions to display. If defined, the layer doesn't subscribe to the disruptions channel.
+   * @param {TralisMode} [options.mode=TralisMode.TOPOGRAPHIC] Tralis's Mode of the stations used to locate the disrupted lines.
+   * @param {string} [options.language='de'] Language of the titles of the disruptions features.
+   * @param {Object<string,string>} [options.severityColors] Colors of the disruptions by severity. Default to blue for "info", orange for "warning" and red for "severe".
+   */
+  constructor(options = {}) {}
+
+  /**
+   * Initialize the layer and subscribe to the disruptions.
+   *
+   * @param {ol/Map~Map|mapboxgl.Map} map A map.
+   */
+  init(map) {}
+
+  /**
+   * Terminate the layer and unsubscribe from the disruptions.
+   */
+  terminate() {}
+
+  /**
+   * Subscribe to the disruptions channel and request the stations, to
+   * display the stations served by the disrupted lines.
+   */
+  start() {}
+
+  /**
+   * Unsubscribe from the disruptions channel. Close the connection if the api was created by the layer.
+   */
+  stop() {}
+
+  /**
+   * Returns the GeoJSON features of the affected stations and line segments,
+   * for the disruptions valid at the given time.
+   * Each feature has the properties disruptionId, type ("station" or "segment"),
+   * severity, color, title and name (station's name or line's name).
+   *
+   * @param {number} [time=Date.now()] Timestamp in ms.
+   * @return {Array<GeoJSONFeature>} Features in [EPSG:4326](http://epsg.io/4326).
+   */
+  getDisruptionFeatures(time) {}
+}
+
+/**
+ * Mixin for DisruptionLayerInterface.
+ *
+ * @param {Class} Base A class to extend with {DisruptionLayerInterface} functionnalities.
+ * @return {Class}  A class that implements {DisruptionLayerInterface} class and extends Base;
+ * @private
+ */
+const DisruptionLayerMixin = (Base) =>
+  class extends Base {
+    constructor(options = {}) {
+      super(options);
+      this.language = options.language || 'de';
+      this.severityColors = {
+        ...defaultSeverityColors,
+        ...(options.severityColors || {}),
+      };
+      this.isStatic = !!options.disruptions;
+      this.mode = options.mode || TralisModes.TOPOGRAPHIC;
+      this.stations = [];
+      this.newsticker = null;
+
+      if (options.api) {
+        this.api = options.api;
+      } else if (!this.isStatic) {
+        this.api = new TralisAPI(options);
+        this.ownApi = true;
+      }
+
+      this.onDisruptionMessage = this.onDisruptionMessage.bind(this);
+    }
+
+    defineProperties(options) {
+      super.defineProperties(options);
+      Object.defineProperties(this, {
+        disruptions: {
+          get: () => this.get('disruptions'),
+          set: (disruptions) => {
+            this.set('disruptions', disruptions || []);
+            this.renderDisruptions();
+          },
+        },
+      });
+      this.properties.disruptions = options.disruptions || [];
+    }
+
+    init(map) {
+      super.init(map);
+      if (!this.map) {
+        return;
+      }
+      if (!this.isStatic) {
+        this.start();
+      }
+
+      // Remove the disruptions which are not valid anymore.
+      this.validityInterval = setInterval(() => {
+        this.renderDisruptions();
+      }, 60000);
+    }
+
+    terminate() {
+      this.stop();
+      clearInterval(this.validityInterval);
+      super.terminate();
+    }
+
+    start() {
+      this.stop();
+      if (this.ownApi && !this.apiOpened) {
+        this.api.open();
+        this.apiOpened = true;
+      }
+      this.subscription = this.api.subscribeDisruptions(
+        this.onDisruptionMessage,
+      );
+      this.api
+        .getStations(this.mode)
+        .then((stations) => {
+          this.stations = stations.map(({ geometry, properties }) => ({
+            ...properties,
+            coordinate:
+              this.api.projection === 'EPSG:4326'
+                ? geometry.coordinates
+                : toLonLat(geometry.coordinates),
+          }));
+          this.onDisruptionMessage(this.newsticker);
+        })
+        .catch(() => {
+          // Without stations, only the disruptions are listed.
+        });
+    }
+
+    stop() {
+      if (this.subscription) {
+        this.subscription.unsubscribe();
+        this.subscription = null;
+      }
+      if (this.ownApi && this.apiOpened) {
+        this.api.close();
+        this.apiOpened = false;
+      }
+    }
+
+    /**
+     * Replace the disruptions by the news of the message, the closed news
+     * are missing from it.
+     *
+     * @param {Newsticker} content Content of the message.
+     * @private
+     */
+    onDisruptionMessage(content) {
+      this.newsticker = content;
+      this.disruptions = normalizeNewsticker(content, this.stations);
+    }
+
+    getDisruptionFeatures(time = Date.now()) {
+      const features = [];
+      this.disruptions
+        .filter((disruption) => isDisruptionValid(disruption, time))
+        .forEach((disruption) => {
+          const properties = {
+            disruptionId: disruption.id,
+            severity: disruption.severity,
+            color:
+              this.severityColors[disruption.severity] ||
+              this.severityColors.info,
+            title: getDisruptionText(disruption.title, this.language),
+          };
+          (disruption.segments || [])
+            .filter(({ geometry }) => geometry)
+            .forEach(({ line, geometry }) => {
+              features.push({
+                type: 'Feature',
+                geometry,
+                properties: { ...properties, type: 'segment', name: line },
+              });
+            });
+          (disruption.stations || [])
+            .filter(({ coordinate }) => coordinate)
+            .forEach(({ uic, name, coordinate }) => {
+              features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: coordinate },
+                properties: { ...properties, type: 'station', uic, name },
+              });
+            });
+        });
+      return features;
+    }
+
+    /**
+     * Returns the disruption of a feature returned by getDisruptionFeatures.
+     *
+     * @param {Object} properties Properties of the feature.
+     * @return {Disruption} The disruption.
+     * @private
+     */
+    getFeatureDisruption(properties) {
+      return this.disruptions.find(({ id }) => id === properties.disruptionId);
+    }
+
+    /**
+     * Draw the disruptions. To be defined in inherited classes.
+     *
+     * @private
+     */
+    renderDisruptions() {}
+  };
+
+export default DisruptionLayerMixin;
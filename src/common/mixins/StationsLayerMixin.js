@@ -0,0 +1,193 @@
+/* eslint-disable no-empty-function */
+/* eslint-disable no-useless-constructor */
+/* eslint-disable no-unused-vars */
+/* eslint-disable class-methods-use-this */
+/* eslint-disable max-classes-per-file */
+import GeoJSON from 'ol/format/GeoJSON';
+import { TralisAPI, TralisModes } from '../../api';
+
+/**
+ * Returns the importance of a station, from 1 (a stop served by one line)
+ * to 3 (a hub), depending on the number of lines serving it.
+ *
+ * @param {StationProperties} properties Properties of the station.
+ * @return {number} The importance of the station.
+ * @ignore
+ */
+export const getStationImportance = ({ networkLines, transfers }) => {
+  const nbLines =
+    (networkLines || []).length +
+    (transfers || []).reduce((nb, { lines }) => nb + (lines || []).length, 0);
+  if (nbLines >= 10) {
+    return 3;
+  }
+  return nbLines >= 3 ? 2 : 1;
+};
+
+/**
+ * StationsLayerInterface.
+ *
+ * @classproperty {TralisAPI} api - The api used to subscribe to the stations.
+ * @classproperty {TralisMode} mode - Tralis mode of the stations. Read-only, use setMode.
+ * @classproperty {Station[]} stations - The stations received.
+ */
+export class StationsLayerInterface {
+  /**
+   * Constructor.
+   *
+   * @param {Object} options Layer options.
+   * @param {TralisAPI} [options.api] Api used to subscribe to the stations. Pass the api of a TralisLayer to share its connection. If not defined, an api is created from the url and the apiKey.
+   * @param {string} [options.url] Tralis service url.
+   * @param {string} [options.apiKey] Access key for [geOps services](https://developer.geops.io/).
+   * @param {TralisMode} [options.mode=TralisMode.TOPOGRAPHIC] Tralis's Mode.
+   */
+  constructor(options = {}) {}
+
+  /**
+   * Initialize the layer and subscribe to the stations.
+   *
+   * @param {ol/Map~Map|mapboxgl.Map} map A map.
+   */
+  init(map) {}
+
+  /**
+   * Terminate the layer and unsubscribe from the stations. Close the connection if the api was created by the layer.
+   */
+  terminate() {}
+
+  /**
+   * Subscribe to the stations channel.
+   */
+  start() {}
+
+  /**
+   * Unsubscribe from the stations channel.
+   */
+  stop() {}
+
+  /**
+   * Set the Tralis mode and subscribe to the stations of this mode.
+   *
+   * @param {TralisMode} mode Tralis mode.
+   */
+  setMode(mode) {}
+
+  /**
+   * Returns the station with a given UIC.
+   *
+   * @param {number} uic UIC of the station.
+   * @return {Station} A station.
+   */
+  getStation(uic) {}
+}
+
+/**
+ * Mixin for StationsLayerInterface.
+ *
+ * @param {Class} Base A class to extend with {StationsLayerInterface} functionnalities.
+ * @return {Class}  A class that implements {StationsLayerInterface} class and extends Base;
+ * @private
+ */
+const StationsLayerMixin = (Base) =>
+  class extends Base {
+    constructor(options = {}) {
+      super(options);
+      this.mode = options.mode || TralisModes.TOPOGRAPHIC;
+      this.format = new GeoJSON();
+      this.stations = [];
+
+      if (options.api) {
+        this.api = options.api;
+      } else {
+        this.api = new TralisAPI(options);
+        this.ownApi = true;
+      }
+
+      this.onStationMessage = this.onStationMessage.bind(this);
+    }
+
+    init(map) {
+      super.init(map);
+      if (this.map) {
+        this.start();
+      }
+    }
+
+    terminate() {
+      this.stop();
+      // Changing the mode only restarts the subscription, the connection
+      // is closed once the layer is removed from the map.
+      if (this.ownApi && this.apiOpened) {
+        this.api.close();
+        this.apiOpened = false;
+      }
+      super.terminate();
+    }
+
+    start() {
+      this.stop();
+      if (this.ownApi && !this.apiOpened) {
+        this.api.open();
+        this.apiOpened = true;
+      }
+      this.subscription = this.api.subscribeStations(
+        this.mode,
+        this.onStationMessage,
+      );
+    }
+
+    stop() {
+      clearTimeout(this.renderTimeout);
+      if (this.subscription) {
+        this.subscription.unsubscribe();
+        this.subscription = null;
+      }
+    }
+
+    setMode(mode) {
+      if (this.mode === mode) {
+        return;
+      }
+      this.mode = mode;
+      this.stations = [];
+      this.renderStations();
+      if (this.subscription) {
+        this.start();
+      }
+    }
+
+    getStation(uic) {
+      return this.stations.find(({ properties }) => properties.uic === uic);
+    }
+
+    /**
+     * Add or replace a station. The stations are rendered once the
+     * messages stop coming, the channel sends one message per station.
+     *
+     * @param {Station} station A station.
+     * @private
+     */
+    onStationMessage(station) {
+      if (!station || !station.properties) {
+        return;
+      }
+      const { uic } = station.properties;
+      this.stations = [
+        ...this.stations.filter(({ properties }) => properties.uic !== uic),
+        station,
+      ];
+      clearTimeout(this.renderTimeout);
+      this.renderTimeout = setTimeout(() => {
+        this.renderStations();
+      }, 50);
+    }
+
+    /**
+     * Draw the stations. To be defined in inherited classes.
+     *
+     * @private
+     */
+    renderStations() {}
+  };
+
+export default StationsLayerMixin;
@@ -6,9 +6,18 @@ import qs from 'query-string';
 import debounce from 'lodash.debounce';
 import throttle from 'lodash.throttle';
 import Tracker from '../Tracker';
-import { timeSteps } from '../trackerConfig';
-import createFilters from '../utils/createTrackerFilters';
-import { delayTrackerStyle } from '../utils';
+import WorkerTracker from '../WorkerTracker';
+import WebGLTracker from '../WebGLTracker';
+import VehicleZones from '../VehicleZones';
+import { defaultModes, timeSteps } from '../trackerConfig';
+import createTrackerFilter from '../utils/createTrackerFilter';
+import getVehiclePosition from '../utils/getVehiclePosition';
+import {
+  readGeofence,
+  containsGeofenceCoordinate,
+  getTrajectoryCoordinate,
+} from '../utils/geofence';
+import { delayTrackerStyle, createTrackerStyle, vehicleIcons } from '../utils';
 
 /* Permalink parameter used to filters vehicles */
 const LINE_FILTER = 'publishedlinename';
@@ -26,11 +35,22 @@ const VEHICLETYPE_FILTER = 'vehicletype';
  * @classproperty {boolean} useRequestAnimationFrame - If true, encapsulates the renderTrajectories calls in a requestAnimationFrame. Experimental.
  * @classproperty {boolean} useThrottle - If true, encapsulates the renderTrajectories calls in a throttle function. Experimental.
  * @classproperty {boolean} useDebounce - If true, encapsulates the renderTrajectories calls in a debounce function. Experimental.
+ * @classproperty {string} renderer - Renderer used to draw the trajectories: 'canvas' draws on the main thread, 'worker' draws in a web worker on an OffscreenCanvas, 'webgl' draws with WebGL. The 'worker' renderer only supports the default style, an error is thrown if the style option is defined. Default to 'canvas'.
+ * @classproperty {number} clusterDistance - If set, the vehicles closer than this distance in css pixels are grouped in a cluster, drawn with the count of vehicles and the color of the dominant mode of transport. Not supported by the 'webgl' renderer.
+ * @classproperty {number} clusterMaxZoom - Maximal zoom level where the vehicles are clustered. Default to 11.
+ * @classproperty {function} clusterStyle - Style of a cluster, it receives the trajectories of the cluster. Default to clusterTrackerStyle.
+ * @classproperty {boolean} labels - If true, the line name, the destination and the delay are drawn next to the vehicles. The labels never overlap: the labels of the selected, hovered and most delayed vehicles are placed first, the others are hidden if there is no free place. Not supported by the 'webgl' renderer. Default to false.
+ * @classproperty {function} labelStyle - Style of a label, it receives the trajectory of the vehicle. Default to labelTrackerStyle.
+ * @classproperty {number} transitionDuration - Duration in ms of the animation from the last rendered position of a vehicle to its position in a new trajectory. Only supported by the Tralis layers, the Trajserv layers replace all the trajectories at each request. Default to 0, no animation.
+ * @classproperty {number} extrapolationDuration - Maximal time in ms during which the position of a vehicle is extrapolated along its last segment, when no new trajectory has been received. Default to 0, the vehicle stays at the last position known.
+ * @classproperty {number} trailDuration - If set, a fading trail of the positions rendered during the last `trailDuration` ms is drawn behind each vehicle, with the color of its mode of transport. Not supported by the 'webgl' renderer. Default to 0, no trail.
+ * @classproperty {Array<TrackerMode>} modes - Modes of transport used by the default styles: the first mode matching the type of a vehicle defines its colors, its radius by zoom level and if its line name is drawn. With the 'worker' renderer the match rules must be RegExp, an error is thrown otherwise. Default to the modes of trackerConfig.
  * @classproperty {boolean} isTrackerLayer - Property for duck typing since `instanceof` is not working when the instance was created on different bundles.
  * @classproperty {function} sort - Sort the trajectories.
- * @classproperty {function} style - Style of a trajectory.
+ * @classproperty {function} style - Style of a trajectory. The style option also accepts a style specification, compiled with createTrackerStyle.
  * @classproperty {Date} time - Time used to display the trajectories. The setter manages a Date or a number in ms representing a Date. If `live` property is true. The setter does nothing..
- * @classproperty {FilterFunction} filter - Filter the trajectories.
+ * @classproperty {GeoJSONFeature|GeoJSONGeometry} geofence - Only the vehicles inside this area are displayed: a GeoJSON Polygon or MultiPolygon, or a LineString buffered by `properties.distance` meters (default to 100). The coordinates are in EPSG:4326. The vehicles outside are purged and the extent requested to the server is limited to the area. Setting it dispatches a `change:geofence` event.
+ * @classproperty {FilterFunction|TrackerFilterSpecification} filter - Filter the trajectories, applied on each rendering. A filter specification is compiled with createTrackerFilter. Setting it dispatches a `change:filter` event.
  */
 export class TrackerLayerInterface {
   /**
@@ -71,6 +91,26 @@ export class TrackerLayerInterface {
   // eslint-disable-next-line no-unused-vars
   getVehicle(filterFc) {}
 
+  /**
+   * Register a zone. Each time a vehicle enters or leaves the zone, the layer
+   * dispatches a `zoneenter` or `zoneexit` event with the zoneId, the train_id,
+   * the line and the time of the rendering. The vehicles hidden by the filter
+   * or the geofence are also tracked.
+   *
+   * @param {string} id Identifier of the zone.
+   * @param {GeoJSONFeature|GeoJSONGeometry} zone A GeoJSON Polygon or MultiPolygon, or a LineString buffered by `properties.distance` meters, in EPSG:4326.
+   */
+  // eslint-disable-next-line no-unused-vars
+  addZone(id, zone) {}
+
+  /**
+   * Unregister a zone.
+   *
+   * @param {string} id Identifier of the zone.
+   */
+  // eslint-disable-next-line no-unused-vars
+  removeZone(id) {}
+
   /**
    * Returns the list of vehicles which are at the given coordinates.
    * Returns an empty array when no vehicle is located at the given
@@ -115,6 +155,24 @@ const TrackerLayerMixin = (Base) =>
   class extends Base {
     constructor(options) {
       super({ hitTolerance: 10, ...options });
+
+      // The render options are posted to the worker, functions can't be cloned.
+      if (
+        this.renderer === 'worker' &&
+        this.modes.some(({ match }) => typeof match === 'function')
+      ) {
+        throw new Error(
+          "TrackerLayer: the 'worker' renderer only supports modes with a RegExp match.",
+        );
+      }
+
+      // The worker always draws with the default style.
+      if (this.renderer === 'worker' && options.style) {
+        throw new Error(
+          "TrackerLayer: the 'worker' renderer doesn't support the style option.",
+        );
+      }
+
       this.onFeatureHover = this.onFeatureHover.bind(this);
       this.onFeatureClick = this.onFeatureClick.bind(this);
       this.renderTrajectoriesInternal =
@@ -140,10 +198,14 @@ const TrackerLayerMixin = (Base) =>
      */
     defineProperties(options) {
       // Tracker options use to build the tracker.
-      let { regexPublishedLineName, publishedLineName, tripNumber, operator, vehicleType } =
-        options;
+      let {
+        regexPublishedLineName,
+        publishedLineName,
+        tripNumber,
+        operator,
+        vehicleType,
+      } = options;
       const {
-        style,
         speed,
         pixelRatio,
         hoverVehicleId,
@@ -153,10 +215,21 @@ const TrackerLayerMixin = (Base) =>
         userLocationBbox,
         time,
         live,
+        renderer,
+        clusterStyle,
+        labelStyle,
       } = options;
 
+      // A style specification is compiled to a style function.
+      const style =
+        options.style && typeof options.style !== 'function'
+          ? createTrackerStyle(options.style)
+          : options.style;
+
       const initTrackerOptions = {
         style,
+        clusterStyle,
+        labelStyle,
       };
 
       Object.keys(initTrackerOptions).forEach(
@@ -167,6 +240,10 @@ const TrackerLayerMixin = (Base) =>
 
       let currSpeed = speed || 1;
       let currTime = time || new Date();
+      let currFilter = filter;
+      let currFilterFunction = createTrackerFilter(filter);
+      let currGeofence = options.geofence;
+      let currGeofenceArea = readGeofence(options.geofence);
 
       super.defineProperties(options);
 
@@ -193,11 +270,55 @@ const TrackerLayerMixin = (Base) =>
         },
 
         /**
-         * Function to filter which vehicles to display.
+         * Function or specification to filter which vehicles to display.
          */
         filter: {
-          value: filter,
-          writable: true,
+          get: () => currFilter,
+          set: (newFilter) => {
+            currFilter = newFilter;
+            currFilterFunction = createTrackerFilter(newFilter);
+            this.dispatchEvent({
+              type: 'change:filter',
+              target: this,
+              filter: newFilter,
+            });
+            if (this.tracker) {
+              this.renderTrajectories();
+            }
+          },
+        },
+
+        /**
+         * Function compiled from the filter property.
+         */
+        filterFunction: {
+          get: () => currFilterFunction,
+        },
+
+        /**
+         * GeoJSON area where the vehicles are displayed.
+         */
+        geofence: {
+          get: () => currGeofence,
+          set: (newGeofence) => {
+            currGeofence = newGeofence;
+            currGeofenceArea = readGeofence(newGeofence);
+            this.dispatchEvent({
+              type: 'change:geofence',
+              target: this,
+              geofence: newGeofence,
+            });
+            if (this.tracker) {
+              this.renderTrajectories();
+            }
+          },
+        },
+
+        /**
+         * Geofence read from the geofence property, in EPSG:3857.
+         */
+        geofenceArea: {
+          get: () => currGeofenceArea,
         },
 
         /**
@@ -216,6 +337,11 @@ const TrackerLayerMixin = (Base) =>
           writable: true,
         },
 
+        /**
+         * Zones where the vehicles entering and leaving are notified.
+         */
+        vehicleZones: { value: new VehicleZones() },
+
         /**
          * The tracker that renders the trajectories.
          */
@@ -294,6 +420,70 @@ const TrackerLayerMixin = (Base) =>
           writable: false,
         },
 
+        /**
+         * Renderer used to draw the trajectories: 'canvas', 'worker' or 'webgl'.
+         */
+        renderer: {
+          value: renderer || 'canvas',
+        },
+
+        /**
+         * Distance in css pixels under which the vehicles are grouped in a cluster.
+         */
+        clusterDistance: {
+          value: options.clusterDistance || 0,
+          writable: true,
+        },
+
+        /**
+         * Maximal zoom level where the vehicles are clustered.
+         */
+        clusterMaxZoom: {
+          value:
+            options.clusterMaxZoom !== undefined ? options.clusterMaxZoom : 11,
+          writable: true,
+        },
+
+        /**
+         * If true, labels are drawn next to the vehicles.
+         */
+        labels: {
+          value: options.labels || false,
+          writable: true,
+        },
+
+        /**
+         * Duration in ms of the animation between two trajectories of a vehicle.
+         */
+        transitionDuration: {
+          value: options.transitionDuration || 0,
+          writable: true,
+        },
+
+        /**
+         * Duration in ms of the trails drawn behind the vehicles.
+         */
+        trailDuration: {
+          value: options.trailDuration || 0,
+          writable: true,
+        },
+
+        /**
+         * Maximal time in ms during which the position of a vehicle is extrapolated.
+         */
+        extrapolationDuration: {
+          value: options.extrapolationDuration || 0,
+          writable: true,
+        },
+
+        /**
+         * Modes of transport used by the default styles.
+         */
+        modes: {
+          value: options.modes || defaultModes,
+          writable: true,
+        },
+
         /**
          * If true, encapsulates the renderTrajectories calls in a requestAnimationFrame.
          */
@@ -431,7 +621,12 @@ const TrackerLayerMixin = (Base) =>
     init(map, options = {}) {
       super.init(map);
 
-      this.tracker = new Tracker({
+      const TrackerClass =
+        {
+          worker: WorkerTracker,
+          webgl: WebGLTracker,
+        }[this.renderer] || Tracker;
+      this.tracker = new TrackerClass({
         style: (...args) => this.style(...args),
         ...this.initTrackerOptions,
         ...options,
@@ -441,6 +636,13 @@ const TrackerLayerMixin = (Base) =>
         this.start();
       }
 
+      // Render the vehicles again when a registered icon is loaded.
+      this.vehicleIconsRef = vehicleIcons.on('change', () => {
+        if (this.visible) {
+          this.renderTrajectories();
+        }
+      });
+
       this.visibilityRef = this.on('change:visible', (evt) => {
         if (evt.target.visible) {
           this.start();
@@ -456,10 +658,9 @@ const TrackerLayerMixin = (Base) =>
     terminate() {
       this.stop();
       unByKey(this.visibilityRef);
+      unByKey(this.vehicleIconsRef);
       if (this.tracker) {
-        const { canvas } = this.tracker;
-        const context = canvas.getContext('2d');
-        context.clearRect(0, 0, canvas.width, canvas.height);
+        this.tracker.destroy();
         this.tracker = null;
       }
       super.terminate();
@@ -508,9 +709,7 @@ const TrackerLayerMixin = (Base) =>
     stop() {
       this.stopUpdateTime();
       if (this.tracker) {
-        const { canvas } = this.tracker;
-        const context = canvas.getContext('2d');
-        context.clearRect(0, 0, canvas.width, canvas.height);
+        this.tracker.clear();
       }
     }
 
@@ -545,15 +744,26 @@ const TrackerLayerMixin = (Base) =>
 
       const time = this.live ? Date.now() : this.time;
 
-      const trajectories = Object.values(this.trajectories);
+      let trajectories = Object.values(this.trajectories);
+
+      if (this.filterFunction) {
+        trajectories = trajectories.filter(this.filterFunction);
+      }
+
+      if (this.geofenceArea) {
+        trajectories = trajectories.filter((trajectory) => {
+          const coordinate = getTrajectoryCoordinate(trajectory);
+          return (
+            !!coordinate &&
+            containsGeofenceCoordinate(this.geofenceArea, coordinate)
+          );
+        });
+      }
 
       // console.time('sort');
       if (this.sort) {
         trajectories.sort(this.sort);
       }
-      if(this.filter) {
-        trajectories.filter(this.filter);
-      }
 
       // console.timeEnd('sort');
       window.trajectories = trajectories;
@@ -570,13 +780,73 @@ const TrackerLayerMixin = (Base) =>
           delayDisplay: this.delayDisplay,
           delayOutlineColor: this.delayOutlineColor,
           useDelayStyle: this.useDelayStyle,
+          extrapolationDuration: this.extrapolationDuration,
+          trailDuration: this.trailDuration,
+          modes: this.modes,
+          labels: this.labels,
+          clusterDistance:
+            viewState.zoom <= this.clusterMaxZoom ? this.clusterDistance : 0,
         },
       );
 
+      if (this.vehicleZones.hasZones()) {
+        this.dispatchZoneEvents(trajectories, time);
+      }
+
       // console.timeEnd('render');
       return true;
     }
 
+    /**
+     * Dispatch the events of the vehicles entering or leaving the zones.
+     * All the vehicles are located, the filter and the geofence only hide
+     * vehicles, they don't change the zones they are in.
+     *
+     * @param {Array<TralisTrajectory>} rendered The rendered trajectories, already located by the tracker.
+     * @param {Date|number} time The time of the rendering.
+     * @private
+     */
+    dispatchZoneEvents(rendered, time) {
+      const coordinates = new Map();
+      rendered.forEach((trajectory) => {
+        coordinates.set(trajectory, trajectory.properties.coordinate);
+      });
+      const getCoordinate = (trajectory) => {
+        if (!coordinates.has(trajectory)) {
+          const { olGeometry, timeOffset, coordinate } = trajectory.properties;
+          coordinates.set(
+            trajectory,
+            olGeometry
+              ? getVehiclePosition(
+                  time - (timeOffset || 0),
+                  trajectory,
+                  false,
+                  this.extrapolationDuration,
+                ).coord
+              : coordinate,
+          );
+        }
+        return coordinates.get(trajectory);
+      };
+
+      this.vehicleZones
+        .update(Object.values(this.trajectories), getCoordinate)
+        .forEach(({ type, zoneId, trajectory }) => {
+          const { train_id: id, line } = trajectory.properties;
+          const coordinate = getCoordinate(trajectory);
+          this.dispatchEvent({
+            type,
+            target: this,
+            zoneId,
+            train_id: id,
+            line,
+            time: new Date(time).getTime(),
+            coordinate,
+            trajectory,
+          });
+        });
+    }
+
     /**
      * Render the trajectories requesting an animation frame and cancelling the previous one.
      * This function must be overrided by children to provide the correct parameters.
@@ -611,6 +881,25 @@ const TrackerLayerMixin = (Base) =>
       }
     }
 
+    /**
+     * Register a zone where the vehicles entering and leaving are notified.
+     *
+     * @param {string} id Identifier of the zone.
+     * @param {GeoJSONFeature|GeoJSONGeometry} zone A polygon or a corridor in EPSG:4326.
+     */
+    addZone(id, zone) {
+      this.vehicleZones.addZone(id, zone);
+    }
+
+    /**
+     * Unregister a zone.
+     *
+     * @param {string} id Identifier of the zone.
+     */
+    removeZone(id) {
+      this.vehicleZones.removeZone(id);
+    }
+
     /**
      * Get vehicle.
      * @param {function} filterFc A function use to filter results.
@@ -622,6 +911,9 @@ const TrackerLayerMixin = (Base) =>
 
     /**
      * Returns an array of vehicles located at the given coordinates and resolution.
+     * When the renderer indexes the drawn vehicles, the icons extents are used
+     * and the top-most vehicle is returned first. Otherwise the vehicles
+     * closer than the hitTolerance are returned.
      *
      * @param {number[2]} coordinate A coordinate ([x,y]).
      * @param {number} [resolution=1] The resolution of the map.
@@ -629,6 +921,9 @@ const TrackerLayerMixin = (Base) =>
      * @return {Array<ol/Feature~Feature>} Array of vehicle.
      */
     getVehiclesAtCoordinate(coordinate, resolution = 1, nb = Infinity) {
+      if (this.tracker && this.tracker.hitIndex) {
+        return this.tracker.hitIndex.getVehiclesAtCoordinate(coordinate, nb);
+      }
       const ext = buffer(
         [...coordinate, ...coordinate],
         this.hitTolerance * resolution,
@@ -638,7 +933,8 @@ const TrackerLayerMixin = (Base) =>
       for (let i = 0; i < trajectories.length; i += 1) {
         if (
           trajectories[i].properties.coordinate &&
-          containsCoordinate(ext, trajectories[i].properties.coordinate)
+          containsCoordinate(ext, trajectories[i].properties.coordinate) &&
+          (!this.filterFunction || this.filterFunction(trajectories[i]))
         ) {
           vehicles.push(trajectories[i]);
         }
@@ -745,15 +1041,21 @@ const TrackerLayerMixin = (Base) =>
       const { regexPublishedLineName } = this;
 
       // Only overrides filter function if one of this property exists.
-      if (publishedName || tripNumber || operator || vehicleType || regexPublishedLineName) {
+      if (
+        publishedName ||
+        tripNumber ||
+        operator ||
+        vehicleType ||
+        regexPublishedLineName
+      ) {
         // filter is the property in TrackerLayerMixin.
-        this.filter = createFilters(
-          publishedName,
-          tripNumber,
+        this.filter = {
+          line: publishedName,
+          route: tripNumber,
           operator,
-          vehicleType,
-          regexPublishedLineName,
-        );
+          type: vehicleType,
+          regexLine: regexPublishedLineName,
+        };
       }
     }
 
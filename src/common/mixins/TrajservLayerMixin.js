@@ -9,6 +9,7 @@ import {
   getBgColor,
   getDelayColor,
   getDelayText,
+  getLabelMinRadius,
   getTextColor,
   getTextSize,
 } from '../trackerConfig';
@@ -119,6 +120,14 @@ const TrajservLayerMixin = (TrackerLayer) =>
     defineProperties(options) {
       super.defineProperties(options);
 
+      if (options.transitionDuration) {
+        // eslint-disable-next-line no-console
+        console.warn(
+          'TrajservLayer: transitionDuration is only supported by the Tralis layers.',
+        );
+        this.transitionDuration = 0;
+      }
+
       let requestIntervalSeconds = 3;
       let defaultApi;
       if (!options.api) {
@@ -260,7 +269,7 @@ const TrajservLayerMixin = (TrackerLayer) =>
               });
             });
 
-            const lineColor = color ? `#${color}` : getBgColor(t);
+            const lineColor = color ? `#${color}` : getBgColor(t, this.modes);
             // Don't allow white lines, use red instead.
             const vehiculeColor = /#ffffff/i.test(lineColor)
               ? '#ff0000'
@@ -345,15 +354,20 @@ const TrajservLayerMixin = (TrackerLayer) =>
 
     updateTrajectories() {
       this.abortFetchTrajectories();
-      this.abortController = new AbortController();
+      const params = this.getParams({
+        attr_det: 1,
+      });
+
+      // The view is outside the geofence, no vehicle to request.
+      if (params.bbox === null) {
+        this.trajectories = [];
+        this.renderTrajectories();
+        return;
+      }
 
+      this.abortController = new AbortController();
       this.api
-        .fetchTrajectories(
-          this.getParams({
-            attr_det: 1,
-          }),
-          this.abortController,
-        )
+        .fetchTrajectories(params, this.abortController)
         .catch((err) => {
           if (err.name === 'AbortError') {
             // Ignore abort error
@@ -401,21 +415,23 @@ const TrajservLayerMixin = (TrackerLayer) =>
       const z = Math.min(Math.floor(zoom || 1), 16);
       const hover = this.hoverVehicleId === id;
       const selected = this.selectedVehicleId === id;
-      let key = `${z}${type}${name}${operatorProvidesRealtime}${delay}${hover}${selected}${cancelled}`;
 
       // Calcul the radius of the circle
-      let radius = getRadius(type, z) * this.pixelRatio;
+      let radius = getRadius(type, z, this.modes) * this.pixelRatio;
       const isDisplayStrokeAndDelay = radius >= 7 * this.pixelRatio;
       if (hover || selected) {
         radius = isDisplayStrokeAndDelay
           ? radius + 5 * this.pixelRatio
           : 14 * this.pixelRatio;
       }
-      const mustDrawText = radius > 10 * this.pixelRatio;
+      const mustDrawText =
+        radius > getLabelMinRadius(type, this.modes) * this.pixelRatio;
+      const modeBgColor = getBgColor(type, this.modes);
 
       // Optimize the cache key, very important in high zoom level
+      let key = `${radius}${type}${name}${modeBgColor}${operatorProvidesRealtime}${delay}${hover}${selected}${cancelled}`;
       if (!mustDrawText) {
-        key = `${z}${type}${color}${operatorProvidesRealtime}${delay}${hover}${selected}${cancelled}`;
+        key = `${radius}${type}${color}${modeBgColor}${operatorProvidesRealtime}${delay}${hover}${selected}${cancelled}`;
       }
 
       if (!this.styleCache[key]) {
@@ -474,7 +490,7 @@ const TrajservLayerMixin = (TrackerLayer) =>
         if (this.useDelayStyle) {
           circleFillColor = getDelayColor(delay, cancelled);
         } else {
-          circleFillColor = color || getBgColor(type);
+          circleFillColor = color || modeBgColor;
         }
 
         ctx.save();
@@ -525,7 +541,7 @@ const TrajservLayerMixin = (TrackerLayer) =>
           ctx.textBaseline = 'middle';
           ctx.textAlign = 'center';
           ctx.fillStyle = !this.useDelayStyle
-            ? textColor || getTextColor(type)
+            ? textColor || getTextColor(type, this.modes)
             : '#000000';
           ctx.font = `bold ${textSize}px Arial`;
           ctx.strokeStyle = circleFillColor;
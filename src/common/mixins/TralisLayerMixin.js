@@ -8,6 +8,7 @@ import Point from 'ol/geom/Point';
 import { intersects } from 'ol/extent';
 import { fromLonLat } from 'ol/proj';
 import { TralisAPI, TralisModes } from '../../api';
+import { getGeofenceBbox, intersectsGeofenceExtent } from '../utils/geofence';
 
 /**
  * TralisLayerInterface.
@@ -22,6 +23,9 @@ export class TralisLayerInterface {
    * @param {boolean} [options.debug=false] Display additional debug informations.
    * @param {TralisMode} [options.mode=TralisMode.TOPOGRAPHIC] Tralis's Mode.
    * @param {number} [options.minZoomNonTrain=9] Minimal zoom when non trains vehicles are allowed to be displayed.
+   * @param {GeoJSONFeature|GeoJSONGeometry} [options.geofence] Area where the vehicles are displayed, see TrackerLayerInterface.
+   * @param {boolean} [options.batchTrajectoryMessages=false] If true, trajectory messages are queued and processed once per animation frame. Only the last message of each vehicle is processed.
+   * @param {number} [options.transitionDuration=0] Duration in ms of the animation from the last rendered position of a vehicle to its position in a new trajectory.
    */
   constructor(options = {}) {}
 
@@ -38,7 +42,8 @@ export class TralisLayerInterface {
   terminate() {}
 
   /**
-   * Set the Tralis api's bbox.
+   * Set the Tralis api's bbox, limited to the geofence. When the extent is outside
+   * the geofence, the vehicles are removed and no area is requested anymore.
    *
    * @param {Array<number>} extent  Extent to request, [minX, minY, maxX, maxY, zoom].
    * @param {number} zoom  Zoom level to request. Must be an integer.
@@ -57,7 +62,7 @@ export class TralisLayerInterface {
    *
    * @param {string} id The vehicle identifier (the  train_id property).
    * @param {TralisMode} mode The mode to request. If not defined, the layer´s mode propetrty will be used.
-   * @return {Promise<{stopSequence: StopSequence, fullTrajectory: FullTrajectory>} A promise that will be resolved with the trajectory informations.
+   * @return {Promise<{stopSequence: StopSequence, fullTrajectory: FullTrajectory>} A promise that will be resolved with the trajectory informations. It is rejected if one of the requests gets no response before the requestTimeoutMs of the api.
    */
   getTrajectoryInfos(id, mode) {}
 
@@ -109,10 +114,23 @@ const TralisLayerMixin = (TrackerLayer) =>
       // This property will call api.setBbox on each movend event
       this.isUpdateBboxOnMoveEnd = options.isUpdateBboxOnMoveEnd !== false;
 
+      // Process the trajectory messages by animation frame.
+      this.batchTrajectoryMessages = options.batchTrajectoryMessages || false;
+      this.trajectoryMessages = {};
+      this.batchRequestId = null;
+
       // Bind callbacks
       this.onTrajectoryMessage = this.onTrajectoryMessage.bind(this);
       this.onDeleteTrajectoryMessage =
         this.onDeleteTrajectoryMessage.bind(this);
+      this.flushTrajectoryMessages = this.flushTrajectoryMessages.bind(this);
+
+      // Request the vehicles of the new area.
+      this.on('change:geofence', () => {
+        if (this.map && this.visible && this.isUpdateBboxOnMoveEnd) {
+          this.setBbox();
+        }
+      });
     }
 
     start() {
@@ -142,6 +160,9 @@ const TralisLayerMixin = (TrackerLayer) =>
 
     stop() {
       super.stop();
+      cancelAnimationFrame(this.batchRequestId);
+      this.batchRequestId = null;
+      this.trajectoryMessages = {};
       this.api.unsubscribeTrajectory(this.onTrajectoryMessage);
       this.api.unsubscribeDeletedVehicles(this.onDeleteTrajectoryMessage);
       this.api.close();
@@ -156,7 +177,19 @@ const TralisLayerMixin = (TrackerLayer) =>
       for (let i = keys.length - 1; i >= 0; i -= 1) {
         this.purgeTrajectory(this.trajectories[keys[i]], extent, zoom);
       }
-      const bbox = [...extent];
+      // Only request the vehicles inside the geofence.
+      const geofenceBbox = getGeofenceBbox(this.geofenceArea, extent);
+      let bbox;
+      if (geofenceBbox) {
+        bbox = [...geofenceBbox];
+      } else {
+        // The view is outside the geofence, there is no vehicle to display.
+        // A bbox reduced to a corner of the view (outside the geofence) stops
+        // the stream of the previous area.
+        this.trajectories = {};
+        this.renderTrajectories();
+        bbox = [extent[0], extent[1], extent[0], extent[1]];
+      }
 
       if (this.isUpdateBboxOnMoveEnd) {
         bbox.push(zoom);
@@ -200,7 +233,7 @@ const TralisLayerMixin = (TrackerLayer) =>
      * Request the stopSequence and the fullTrajectory informations for a vehicle.
      *
      * @param {string} id The vehicle identifier (the  train_id property).
-     * @return {Promise<{stopSequence: StopSequence, fullTrajectory: FullTrajectory>} A promise that will be resolved with the trajectory informations.
+     * @return {Promise<{stopSequence: StopSequence, fullTrajectory: FullTrajectory>} A promise that will be resolved with the trajectory informations, rejected if a request times out.
      */
     getTrajectoryInfos(id) {
       // When a vehicle is selected, we request the complete stop sequence and the complete full trajectory.
@@ -223,7 +256,8 @@ const TralisLayerMixin = (TrackerLayer) =>
      * Determine if the trajectory is useless and should be removed from the list or not.
      * By default, this function exclude vehicles:
      *  - that have their trajectory outside the current extent and
-     *  - that are not a train and zoom level is lower than layer's minZoomNonTrain property.
+     *  - that are not a train and zoom level is lower than layer's minZoomNonTrain property and
+     *  - that have their trajectory outside the geofence.
      *
      * @param {TralisTrajectory} trajectory
      * @param {Array<number>} extent
@@ -240,6 +274,10 @@ const TralisLayerMixin = (TrackerLayer) =>
         userLocationBbox = [...fromLonLat(userLocationBbox.southWestBound), ...fromLonLat(userLocationBbox.northEastBound)]
         condition = condition || !intersects(userLocationBbox, bounds)
       }
+      if (this.geofenceArea) {
+        condition =
+          condition || !intersectsGeofenceExtent(this.geofenceArea, bounds);
+      }
       if (condition) {
         this.removeTrajectory(id);
         return true;
@@ -250,14 +288,30 @@ const TralisLayerMixin = (TrackerLayer) =>
     /**
      * Add a trajectory to the tracker.
      * @param {TralisTrajectory} trajectory The trajectory to add.
+     * @param {boolean} [render=true] If false, the trajectories are not rendered.
      * @private
      */
-    addTrajectory(trajectory) {
-      if (this.filter && !this.filter(trajectory)) {
-        return;
+    addTrajectory(trajectory, render = true) {
+      const { properties } = trajectory;
+      const { train_id: id, timeOffset } = properties;
+      const previous = this.trajectories[id];
+      if (
+        this.transitionDuration &&
+        previous &&
+        previous.properties.coordinate
+      ) {
+        // Start the animation from the last position rendered.
+        const time = this.live ? Date.now() : new Date(this.time).getTime();
+        properties.transition = {
+          coordinate: previous.properties.coordinate,
+          start: time - (timeOffset || 0),
+          duration: this.transitionDuration,
+        };
+      }
+      this.trajectories[id] = trajectory;
+      if (render) {
+        this.renderTrajectories();
       }
-      this.trajectories[trajectory.properties.train_id] = trajectory;
-      this.renderTrajectories();
     }
 
     removeTrajectory(id) {
@@ -270,7 +324,8 @@ const TralisLayerMixin = (TrackerLayer) =>
 
     /**
      * Callback on websocket's trajectory channel events.
-     * It adds a trajectory to the list.
+     * It adds a trajectory to the list, or queues it when
+     * batchTrajectoryMessages is true.
      *
      * @private
      */
@@ -278,6 +333,44 @@ const TralisLayerMixin = (TrackerLayer) =>
       if (!data.content) {
         return;
       }
+
+      if (this.batchTrajectoryMessages) {
+        // A newer message of the same vehicle replaces the queued one.
+        this.trajectoryMessages[data.content.properties.train_id] = data;
+        if (!this.batchRequestId) {
+          this.batchRequestId = requestAnimationFrame(
+            this.flushTrajectoryMessages,
+          );
+        }
+        return;
+      }
+
+      this.processTrajectoryMessage(data);
+    }
+
+    /**
+     * Process the queued trajectory messages then render the trajectories once.
+     *
+     * @private
+     */
+    flushTrajectoryMessages() {
+      const messages = Object.values(this.trajectoryMessages);
+      this.trajectoryMessages = {};
+      this.batchRequestId = null;
+      messages.forEach((data) => this.processTrajectoryMessage(data, false));
+      if (messages.length) {
+        this.renderTrajectories();
+      }
+    }
+
+    /**
+     * Read a trajectory message and add the trajectory to the list.
+     *
+     * @param {Object} data A trajectory message.
+     * @param {boolean} [render=true] If false, the trajectories are not rendered.
+     * @private
+     */
+    processTrajectoryMessage(data, render = true) {
       const trajectory = data.content;
 
       const {
@@ -317,7 +410,7 @@ const TralisLayerMixin = (TrackerLayer) =>
 
       // TODO Make sure the timeOffset is useful. May be we can remove it.
       trajectory.properties.timeOffset = Date.now() - data.timestamp;
-      this.addTrajectory(trajectory);
+      this.addTrajectory(trajectory, render);
     }
 
     /**
@@ -332,6 +425,7 @@ const TralisLayerMixin = (TrackerLayer) =>
         return;
       }
 
+      delete this.trajectoryMessages[data.content];
       this.removeTrajectory(data.content);
     }
 
@@ -0,0 +1,82 @@
+/* eslint-disable no-restricted-globals */
+import Point from 'ol/geom/Point';
+import LineString from 'ol/geom/LineString';
+import GeomType from 'ol/geom/GeometryType';
+import Tracker from './Tracker';
+import delayTrackerStyle from './utils/delayTrackerStyle';
+
+/**
+ * Web worker used by the WorkerTracker. It stores the trajectories and
+ * draws them on the OffscreenCanvas transferred by the main thread.
+ * Only the last render request received is executed.
+ */
+let tracker = null;
+const trajectories = {};
+let order = [];
+let pendingRender = null;
+
+const readGeometry = ({ type, coordinates }) =>
+  type === GeomType.POINT
+    ? new Point(coordinates)
+    : new LineString(coordinates);
+
+const render = () => {
+  if (!tracker || !pendingRender) {
+    pendingRender = null;
+    return;
+  }
+  const { viewState, options } = pendingRender;
+  pendingRender = null;
+
+  const toRender = order.map((id) => trajectories[id]).filter((t) => t);
+  const { nbTrajectoriesRendered } = tracker.renderTrajectories(
+    toRender,
+    viewState,
+    options,
+  );
+
+  // Send the positions back to the main thread, used to find the vehicles at a coordinate.
+  self.postMessage({
+    type: 'rendered',
+    nbTrajectoriesRendered,
+    positions: toRender.map(({ properties }) => [
+      properties.train_id,
+      properties.coordinate,
+      properties.rotation,
+    ]),
+  });
+};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      tracker = new Tracker({ canvas: data.canvas, style: delayTrackerStyle });
+      break;
+    case 'render':
+      data.removed.forEach((id) => {
+        delete trajectories[id];
+      });
+      data.added.forEach((trajectory) => {
+        const { properties } = trajectory;
+        properties.olGeometry =
+          properties.olGeometry && readGeometry(properties.olGeometry);
+        trajectories[properties.train_id] = trajectory;
+      });
+      if (data.order) {
+        order = data.order;
+      }
+      if (!pendingRender) {
+        setTimeout(render, 0);
+      }
+      pendingRender = data;
+      break;
+    case 'clear':
+      pendingRender = null;
+      if (tracker) {
+        tracker.clear();
+      }
+      break;
+    default:
+      break;
+  }
+};
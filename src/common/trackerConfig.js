@@ -1,67 +1,103 @@
-const trackerRadiusMapping = {
-  0: [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
-  1: [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
-  2: [0, 0, 0, 0, 0, 2, 2, 3, 7, 7, 7, 12, 15, 15, 15, 15, 15],
-  3: [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
-  4: [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
-  5: [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
-  6: [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
-  7: [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
-  8: [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
-  9: [0, 0, 0, 0, 0, 2, 2, 3, 7, 7, 7, 12, 15, 15, 15, 15, 15],
-};
+const smallRadius = [0, 0, 0, 0, 0, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7];
+const largeRadius = [0, 0, 0, 0, 0, 2, 2, 3, 7, 7, 7, 12, 15, 15, 15, 15, 15];
 
 /**
+ * Default modes of transport, in the order of their index.
+ *
  * Trajserv value: 'Tram',  'Subway / Metro / S-Bahn',  'Train', 'Bus', 'Ferry', 'Cable Car', 'Gondola', 'Funicular', 'Long distance bus', 'Rail',
  * New endpoint use Rail instead of Train.
  * New tracker values:  null, "tram", "subway", "rail", "bus", "ferry", "cablecar", "gondola", "funicular", "coach".
  *
+ * @type {Array<TrackerMode>}
  * @ignore
  */
-export const types = [
-  /^Tram/i,
-  /^Subway( \/ Metro \/ S-Bahn)?/i,
-  /^Train/i,
-  /^Bus/i,
-  /^Ferry/i,
-  /^Cable ?Car/i,
-  /^Gondola/i,
-  /^Funicular/i,
-  /^(Long distance bus|coach)/i,
-  /^Rail/i, // New endpoint use Rail instead of Train.
+export const defaultModes = [
+  {
+    name: 'tram',
+    match: /^Tram/i,
+    bgColor: '#ffb400',
+    textColor: '#000000',
+    radius: smallRadius,
+  },
+  {
+    name: 'subway',
+    match: /^Subway( \/ Metro \/ S-Bahn)?/i,
+    bgColor: '#ff5400',
+    textColor: '#ffffff',
+    radius: smallRadius,
+  },
+  {
+    name: 'train',
+    match: /^Train/i,
+    bgColor: '#ff8080',
+    textColor: '#000000',
+    radius: largeRadius,
+  },
+  {
+    name: 'bus',
+    match: /^Bus/i,
+    bgColor: '#ea0000',
+    textColor: '#ffffff',
+    radius: smallRadius,
+  },
+  {
+    name: 'ferry',
+    match: /^Ferry/i,
+    bgColor: '#3000ff',
+    textColor: '#ffffff',
+    radius: smallRadius,
+  },
+  {
+    name: 'cablecar',
+    match: /^Cable ?Car/i,
+    bgColor: '#ffb400',
+    textColor: '#000000',
+    radius: smallRadius,
+  },
+  {
+    name: 'gondola',
+    match: /^Gondola/i,
+    bgColor: '#41a27b',
+    textColor: '#ffffff',
+    radius: smallRadius,
+  },
+  {
+    name: 'funicular',
+    match: /^Funicular/i,
+    bgColor: '#00d237',
+    textColor: '#000000',
+    radius: smallRadius,
+  },
+  {
+    name: 'coach',
+    match: /^(Long distance bus|coach)/i,
+    bgColor: '#b5b5b5',
+    textColor: '#000000',
+    radius: smallRadius,
+  },
+  {
+    name: 'rail',
+    match: /^Rail/i, // New endpoint use Rail instead of Train.
+    bgColor: '#ff8080',
+    textColor: '#000000',
+    radius: largeRadius,
+  },
 ];
 
 /**
  * @ignore
  */
-export const bgColors = [
-  '#ffb400',
-  '#ff5400',
-  '#ff8080',
-  '#ea0000',
-  '#3000ff',
-  '#ffb400',
-  '#41a27b',
-  '#00d237',
-  '#b5b5b5',
-  '#ff8080',
-];
+export const types = defaultModes.map(({ match }) => match);
 
 /**
  * @ignore
  */
-export const textColors = [
-  '#000000',
-  '#ffffff',
-  '#000000',
-  '#ffffff',
-  '#ffffff',
-  '#000000',
-  '#ffffff',
-  '#000000',
-  '#000000',
-  '#000000',
-];
+export const bgColors = defaultModes.map(({ bgColor }) => bgColor);
+
+/**
+ * @ignore
+ */
+export const textColors = defaultModes.map(({ textColor }) => textColor);
 
 /**
  * @ignore
@@ -71,35 +107,55 @@ export const timeSteps = [
   250, 180, 90, 60, 50, 50, 50, 50, 50,
 ];
 
+/**
+ * Returns true if the type matches the rule of the mode.
+ * @ignore
+ */
+const matchMode = ({ match }, type) =>
+  typeof match === 'function' ? match(type) : match.test(type);
+
 /**
  * @ignore
  */
-export const getTypeIndex = (type) => {
+export const getTypeIndex = (type, modes = defaultModes) => {
   if (typeof type === 'string') {
-    return types.findIndex((t) => t.test(type));
+    return modes.findIndex((mode) => matchMode(mode, type));
   }
   return type;
 };
 
 /**
+ * Returns the mode of transport matching a type, or undefined.
+ *
+ * @param {string|number} type The type of the vehicle, or the index of the mode.
+ * @param {Array<TrackerMode>} [modes=defaultModes] The modes of transport.
+ * @return {TrackerMode} A mode of transport.
  * @ignore
  */
-export const getRadius = (type, zoom) => {
-  try {
-    const typeIdx = getTypeIndex(type || 0);
-    return trackerRadiusMapping[typeIdx][zoom];
-  } catch (e) {
-    return 1;
-  }
+export const getMode = (type, modes = defaultModes) =>
+  modes[getTypeIndex(type, modes)];
+
+/**
+ * Returns the index of the mode designated by a key: the name of a mode,
+ * or a type matching one of the modes, like the keys of the sprites or of
+ * the registered icons.
+ *
+ * @param {string} key The name of a mode or a type.
+ * @param {Array<TrackerMode>} [modes=defaultModes] The modes of transport.
+ * @return {number} The index of the mode, -1 if no mode matches.
+ * @ignore
+ */
+export const getModeIndex = (key, modes = defaultModes) => {
+  const index = modes.findIndex(({ name }) => name === key);
+  return index !== -1 ? index : getTypeIndex(key, modes);
 };
 
 /**
  * @ignore
  */
-export const getBgColor = (type = 0) => {
+export const getRadius = (type, zoom, modes = defaultModes) => {
   try {
-    const typeIdx = getTypeIndex(type);
-    return bgColors[typeIdx];
+    return getMode(type || 0, modes).radius[zoom];
   } catch (e) {
     return 1;
   }
@@ -108,13 +164,34 @@ export const getBgColor = (type = 0) => {
 /**
  * @ignore
  */
-export const getTextColor = (type = 0) => {
-  try {
-    const typeIdx = getTypeIndex(type);
-    return textColors[typeIdx];
-  } catch (e) {
-    return 1;
+export const getBgColor = (type = 0, modes = defaultModes) => {
+  const mode = getMode(type, modes);
+  return mode && mode.bgColor;
+};
+
+/**
+ * @ignore
+ */
+export const getTextColor = (type = 0, modes = defaultModes) => {
+  const mode = getMode(type, modes);
+  return mode && mode.textColor;
+};
+
+/**
+ * Returns the minimal radius of the circle, in css pixels, from which the
+ * line name is drawn in it. Returns Infinity if the name is never drawn.
+ *
+ * @param {string|number} type The type of the vehicle.
+ * @param {Array<TrackerMode>} [modes=defaultModes] The modes of transport.
+ * @return {number} A radius.
+ * @ignore
+ */
+export const getLabelMinRadius = (type = 0, modes = defaultModes) => {
+  const mode = getMode(type, modes);
+  if (!mode || mode.label === undefined || mode.label === true) {
+    return 10;
   }
+  return mode.label === false ? Infinity : mode.label;
 };
 
 /**
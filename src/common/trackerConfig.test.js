@@ -1,4 +1,29 @@
-import { getTypeIndex } from './trackerConfig';
+import {
+  getTypeIndex,
+  getRadius,
+  getBgColor,
+  getTextColor,
+  getLabelMinRadius,
+} from './trackerConfig';
+
+const modes = [
+  {
+    name: 'night',
+    match: (type) => type === 'bus' || type === 'tram',
+    bgColor: '#000080',
+    textColor: '#ffffff',
+    radius: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 4, 4, 8, 8, 12, 12, 12],
+    label: false,
+  },
+  {
+    name: 'rail',
+    match: /^rail/i,
+    bgColor: '#00ff00',
+    textColor: '#000000',
+    radius: [0, 0, 0, 0, 0, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5],
+    label: 4,
+  },
+];
 
 describe('trackerConfig', () => {
   describe('#getTypeIndex()', () => {
@@ -35,4 +60,28 @@ describe('trackerConfig', () => {
       expect(getTypeIndex('rail')).toBe(9);
     });
   });
+
+  describe('with custom modes', () => {
+    test('uses the first mode matching the type.', () => {
+      expect(getTypeIndex('tram', modes)).toBe(0);
+      expect(getTypeIndex('bus', modes)).toBe(0);
+      expect(getTypeIndex('Rail', modes)).toBe(1);
+      expect(getTypeIndex('ferry', modes)).toBe(-1);
+    });
+
+    test('returns the colors and the radius of the mode.', () => {
+      expect(getBgColor('bus', modes)).toBe('#000080');
+      expect(getTextColor('rail', modes)).toBe('#000000');
+      expect(getRadius('tram', 12, modes)).toBe(8);
+      expect(getRadius('rail', 12, modes)).toBe(5);
+      expect(getBgColor('ferry', modes)).toBe(undefined);
+      expect(getRadius('ferry', 12, modes)).toBe(1);
+    });
+
+    test('returns the minimal radius to draw the line name.', () => {
+      expect(getLabelMinRadius('bus', modes)).toBe(Infinity);
+      expect(getLabelMinRadius('rail', modes)).toBe(4);
+      expect(getLabelMinRadius('rail')).toBe(10);
+    });
+  });
 });
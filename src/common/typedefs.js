@@ -3,6 +3,22 @@
  * @param {Object} vehicle Vehicle to filter.
  */
 
+/**
+ * @typedef {Object} TrackerFilterSpecification
+ * @property {string|Array<string>} [line] Names of the lines, see createTrackerFilters.
+ * @property {string|Array<string>} [route] Identifiers of the routes, see createTrackerFilters.
+ * @property {string|Array<string>} [operator] Operators, see createTrackerFilters.
+ * @property {string|Array<string>} [type] Types of the vehicles, see createTrackerFilters.
+ * @property {string|Array<string>} [regexLine] Regular expressions applied on the line names.
+ * @property {Array<number>} [delay] Range of the delay in ms: [min, max], null for an open bound.
+ * @property {boolean} [cancelled] Keep only the cancelled vehicles if true, exclude them if false.
+ * @property {number[4]} [bbox] Extent in map coordinates containing the vehicles.
+ * @property {Array<number[2]>} [polygon] Ring in map coordinates containing the vehicles.
+ * @property {Array<TrackerFilterSpecification>} [and] Specifications the vehicles must all fulfill.
+ * @property {Array<TrackerFilterSpecification>} [or] Specifications the vehicles must fulfill at least one.
+ * @property {TrackerFilterSpecification} [not] Specification the vehicles must not fulfill.
+ */
+
 /**
  * @typedef {Object} ViewState
  * @property {number} time A time in ms.
@@ -15,6 +31,27 @@
  * @property {number} pixelRatio A pixel ratio.
  */
 
+/**
+ * @typedef {Object} TrackerStyleSpecification
+ * @property {Array<Object>} layers Layers drawn in order. Each layer has a `type`
+ *   (circle, arrow, icon or label) and properties whose values can be expressions:
+ *   - circle: radius, fill, stroke, strokeWidth.
+ *   - arrow: size, offset, rotation (heading of the vehicle in radians, counter-clockwise from the east,
+ *     default to the rotation of the vehicle), fill. The map rotation is taken into account.
+ *   - icon: src, width, height, rotation.
+ *   - label: text, size, font, fill, halo, haloWidth, offset.
+ */
+
+/**
+ * @typedef {Object} TrackerMode
+ * @property {string} name Name of the mode of transport.
+ * @property {RegExp|function(type: string): boolean} match Rule matching the type of the vehicles.
+ * @property {string} bgColor Color of the circle and of the highlighted trajectory.
+ * @property {string} textColor Color of the line name drawn in the circle.
+ * @property {Array<number>} radius Radius of the circle in css pixels, by zoom level (0 to 16).
+ * @property {number|boolean} [label=10] Minimal radius of the circle, in css pixels, from which the line name is drawn. False to never draw it.
+ */
+
 /**
  * @typedef {Object} FeatureInfo
  * @property {Layer} layer A layer.
@@ -0,0 +1,36 @@
+/**
+ * Add the position of a vehicle rendered at a given time to its trail. The
+ * trail contains the positions rendered during the last `duration` ms, from
+ * the oldest to the current one. One position is kept every
+ * `duration / nbSteps` ms, so the trail follows the vehicle across the
+ * segments of its trajectory without interpolating its past positions.
+ *
+ * @param {Array<{time: number, coord: Array<number>}>} trail The trail of the vehicle, empty for a new vehicle.
+ * @param {number} time Time of the rendering. In ms.
+ * @param {Array<number>} coord Coordinate of the vehicle.
+ * @param {number} duration Duration of the trail. In ms.
+ * @param {number} [nbSteps=10] Number of segments of the trail.
+ * @return {Array<{time: number, coord: Array<number>}>} The new trail.
+ * @ignore
+ */
+const addTrailPosition = (trail, time, coord, duration, nbSteps = 10) => {
+  const last = trail[trail.length - 1];
+
+  // The time went back (the time of the layer has been changed), the trail
+  // starts again.
+  const positions = last && time < last.time ? [] : trail;
+
+  // The last position is kept only if it's one step after the one before.
+  const head = positions[positions.length - 1];
+  const previous = positions[positions.length - 2];
+  const sampled =
+    previous && head.time - previous.time < duration / nbSteps
+      ? positions.slice(0, -1)
+      : positions;
+
+  return [...sampled, { time, coord }].filter(
+    (position) => position.time >= time - duration,
+  );
+};
+
+export default addTrailPosition;
@@ -0,0 +1,41 @@
+import addTrailPosition from './addTrailPosition';
+
+describe('addTrailPosition', () => {
+  const render = (times, duration, nbSteps) =>
+    times.reduce(
+      (trail, time) =>
+        addTrailPosition(trail, time, [time / 10, 0], duration, nbSteps),
+      [],
+    );
+
+  test('keeps one position by step, and the current one.', () => {
+    const trail = render([1000, 1016, 1032, 1100, 1116, 1232], 400, 4);
+    expect(trail.map(({ time }) => time)).toEqual([1000, 1100, 1232]);
+    expect(trail[2].coord).toEqual([123.2, 0]);
+  });
+
+  test('removes the positions older than the duration.', () => {
+    const trail = render([1000, 1100, 1200, 1300, 1400, 1500], 400, 4);
+    expect(trail.map(({ time }) => time)).toEqual([
+      1100, 1200, 1300, 1400, 1500,
+    ]);
+  });
+
+  test('follows the vehicle on the previous segments of its trajectory.', () => {
+    const trail = [
+      { time: 1000, coord: [0, 0] },
+      { time: 1100, coord: [10, 0] },
+    ];
+    // A new segment starts at [10, 0].
+    expect(addTrailPosition(trail, 1200, [10, 10], 400, 4)).toEqual([
+      { time: 1000, coord: [0, 0] },
+      { time: 1100, coord: [10, 0] },
+      { time: 1200, coord: [10, 10] },
+    ]);
+  });
+
+  test('starts again when the time goes back.', () => {
+    const trail = render([1000, 1100, 1200, 500], 400, 4);
+    expect(trail).toEqual([{ time: 500, coord: [50, 0] }]);
+  });
+});
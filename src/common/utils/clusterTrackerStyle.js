@@ -0,0 +1,69 @@
+import { getBgColor } from '../trackerConfig';
+import createCanvas from './createCanvas';
+
+/**
+ * Returns the background color of the most represented mode of transport.
+ *
+ * @param {Array<TralisTrajectory>} trajectories Trajectories of a cluster.
+ * @param {Array<TrackerMode>} [modes] The modes of transport.
+ * @return {string} A color.
+ * @ignore
+ */
+export const getDominantBgColor = (trajectories, modes) => {
+  const counts = {};
+  let dominant;
+  trajectories.forEach(({ properties }) => {
+    const color = getBgColor(properties.type || 'Rail', modes);
+    counts[color] = (counts[color] || 0) + 1;
+    if (!dominant || counts[color] > counts[dominant]) {
+      dominant = color;
+    }
+  });
+  return dominant;
+};
+
+/**
+ * A tracker style function for the clusters: a circle filled with the
+ * color of the dominant mode of transport, showing the number of vehicles.
+ *
+ * @param {Array<TralisTrajectory>} trajectories Trajectories of the cluster.
+ * @param {*} viewState The view state of the map.
+ * @param {*} options Some options to change the rendering
+ * @return a canvas
+ */
+const styleCache = {};
+const style = (trajectories, viewState, options = {}) => {
+  const { pixelRatio = 1 } = viewState;
+  const count = trajectories.length;
+  const color = getDominantBgColor(trajectories, options.modes);
+  const key = `${count}${color}${pixelRatio}`;
+
+  if (!styleCache[key]) {
+    const text = count > 999 ? '999+' : `${count}`;
+    const radius = (10 + 2 * text.length) * pixelRatio;
+    const lineWidth = 2 * pixelRatio;
+    const size = (radius + lineWidth) * 2;
+    const origin = size / 2;
+
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    ctx.beginPath();
+    ctx.arc(origin, origin, radius, 0, 2 * Math.PI, false);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+
+    ctx.font = `bold ${12 * pixelRatio}px arial, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, origin, origin);
+
+    styleCache[key] = canvas;
+  }
+
+  return styleCache[key];
+};
+export default style;
@@ -0,0 +1,34 @@
+/**
+ * Group the vehicles drawn at less than `distance` pixels, using a grid
+ * of `distance` pixels cells. The clusters are returned in the order of
+ * their first vehicle, each one is located at the center of its vehicles.
+ *
+ * @param {Array<Object>} vehicles Vehicles to group: { trajectory, px }.
+ * @param {number} distance Size of a cell in pixels.
+ * @return {Array<Object>} Clusters: { px, trajectories }.
+ * @ignore
+ */
+const clusterVehicles = (vehicles, distance) => {
+  const cells = {};
+  const clusters = [];
+  vehicles.forEach(({ trajectory, px }) => {
+    const key = `${Math.floor(px[0] / distance)},${Math.floor(
+      px[1] / distance,
+    )}`;
+    if (!cells[key]) {
+      cells[key] = { px: [0, 0], pixels: [], trajectories: [] };
+      clusters.push(cells[key]);
+    }
+    cells[key].pixels.push(px);
+    cells[key].trajectories.push(trajectory);
+  });
+
+  return clusters.map(({ pixels, trajectories }) => ({
+    px: [0, 1].map(
+      (idx) => pixels.reduce((sum, px) => sum + px[idx], 0) / pixels.length,
+    ),
+    trajectories,
+  }));
+};
+
+export default clusterVehicles;
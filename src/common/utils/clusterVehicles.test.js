@@ -0,0 +1,28 @@
+import clusterVehicles from './clusterVehicles';
+import { getDominantBgColor } from './clusterTrackerStyle';
+import { getBgColor } from '../trackerConfig';
+
+describe('clusterVehicles', () => {
+  test('groups the vehicles in the same cell.', () => {
+    const [a, b, c] = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    const clusters = clusterVehicles(
+      [
+        { trajectory: a, px: [1, 1] },
+        { trajectory: b, px: [45, 5] },
+        { trajectory: c, px: [9, 19] },
+      ],
+      20,
+    );
+    expect(clusters).toEqual([
+      { px: [5, 10], trajectories: [a, c] },
+      { px: [45, 5], trajectories: [b] },
+    ]);
+  });
+
+  test('returns the color of the dominant mode of transport.', () => {
+    const trajectories = ['bus', 'tram', 'bus'].map((type) => ({
+      properties: { type },
+    }));
+    expect(getDominantBgColor(trajectories)).toBe(getBgColor('bus'));
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Create a canvas. In a web worker there is no document, an OffscreenCanvas is used.
+ *
+ * @param {number} width Width of the canvas.
+ * @param {number} height Height of the canvas.
+ * @return {Canvas} A canvas.
+ * @ignore
+ */
+const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+export default createCanvas;
@@ -0,0 +1,92 @@
+import { defaultModes, getModeIndex, getTypeIndex } from '../trackerConfig';
+import headingTrackerStyle, { getIconRotation } from './headingTrackerStyle';
+import createCanvas from './createCanvas';
+
+/**
+ * Create a tracker style drawing an image per mode of transport, rotated
+ * to the heading of the vehicle. The images must point to the east.
+ * Until an image is loaded, or for the modes without image, the vehicles
+ * are drawn with the headingTrackerStyle.
+ *
+ * @example
+ * import { createSpriteTrackerStyle } from 'mobility-toolbox-js/common/utils';
+ *
+ * const style = createSpriteTrackerStyle({
+ *   sprites: { tram: 'tram.svg', bus: 'bus.png', rail: 'train.svg', ferry: 'ferry.svg' },
+ *   size: 24,
+ * });
+ *
+ * @param {Object} options
+ * @param {Object<string,string>} options.sprites Url of the image of each mode of transport, by name of mode or by type. The keys are resolved with the modes of the layer.
+ * @param {number} [options.size=24] Width and height of the images in css pixels.
+ * @param {number} [options.nbRotations=36] Number of rotations cached per image.
+ * @return {function} A tracker style function.
+ */
+const createSpriteTrackerStyle = ({
+  sprites = {},
+  size = 24,
+  nbRotations = 36,
+}) => {
+  const images = Object.entries(sprites).map(([key, src]) => {
+    const image = new Image();
+    image.src = src;
+    return { key, image };
+  });
+  // Images by type index for each modes table, to match the types of
+  // tralis and trajserv.
+  const imagesByModes = new WeakMap();
+  const getImage = (type, modes = defaultModes) => {
+    if (!imagesByModes.has(modes)) {
+      const imagesByType = {};
+      images.forEach(({ key, image }) => {
+        const index = getModeIndex(key, modes);
+        if (index !== -1) {
+          imagesByType[index] = image;
+        }
+      });
+      imagesByModes.set(modes, imagesByType);
+    }
+    return imagesByModes.get(modes)[getTypeIndex(type, modes)];
+  };
+  const styleCache = {};
+
+  return (trajectory, viewState, options) => {
+    const { rotation: heading, type } = trajectory.properties;
+    const image = getImage(type || 'Rail', options.modes);
+    if (
+      !image ||
+      !image.complete ||
+      !image.naturalWidth ||
+      heading === null ||
+      heading === undefined
+    ) {
+      return headingTrackerStyle(trajectory, viewState, options);
+    }
+
+    const { pixelRatio, rotation: mapRotation } = viewState;
+    const rotation = getIconRotation(heading, mapRotation, nbRotations);
+    const key = `${image.src}${rotation}${pixelRatio}`;
+
+    if (!styleCache[key]) {
+      // The canvas is large enough to contain the rotated image.
+      const imageSize = size * pixelRatio;
+      const canvasSize = Math.ceil(imageSize * Math.SQRT2);
+      const canvas = createCanvas(canvasSize, canvasSize);
+      const ctx = canvas.getContext('2d');
+      ctx.translate(canvasSize / 2, canvasSize / 2);
+      ctx.rotate(rotation);
+      ctx.drawImage(
+        image,
+        -imageSize / 2,
+        -imageSize / 2,
+        imageSize,
+        imageSize,
+      );
+      styleCache[key] = canvas;
+    }
+
+    return styleCache[key];
+  };
+};
+
+export default createSpriteTrackerStyle;
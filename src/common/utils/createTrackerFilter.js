@@ -0,0 +1,122 @@
+import { containsCoordinate } from 'ol/extent';
+import Polygon from 'ol/geom/Polygon';
+import createFilters from './createTrackerFilters';
+import { getTrajectoryCoordinate as getCoordinate } from './geofence';
+
+/**
+ * Returns the filter functions of each property of a filter specification.
+ * @ignore
+ */
+const getFilterList = (spec) => {
+  const filterList = [];
+  const { line, route, operator, type, regexLine } = spec;
+  // eslint-disable-next-line no-use-before-define
+  const compile = (subSpec) => createTrackerFilter(subSpec) || (() => true);
+
+  const propertiesFilter = createFilters(
+    line,
+    route,
+    operator,
+    type,
+    regexLine,
+  );
+  if (propertiesFilter) {
+    filterList.push(propertiesFilter);
+  }
+
+  if (spec.delay) {
+    const [min, max] = spec.delay;
+    filterList.push(({ properties: { delay } }) => {
+      if (delay === null || delay === undefined) {
+        return false;
+      }
+      return (
+        (min === null || min === undefined || delay >= min) &&
+        (max === null || max === undefined || delay <= max)
+      );
+    });
+  }
+
+  if (spec.cancelled !== undefined) {
+    filterList.push(
+      ({ properties }) => !!properties.cancelled === !!spec.cancelled,
+    );
+  }
+
+  if (spec.bbox) {
+    filterList.push((item) => {
+      const coordinate = getCoordinate(item);
+      return !!coordinate && containsCoordinate(spec.bbox, coordinate);
+    });
+  }
+
+  if (spec.polygon) {
+    const polygon = new Polygon([spec.polygon]);
+    filterList.push((item) => {
+      const coordinate = getCoordinate(item);
+      return !!coordinate && polygon.intersectsCoordinate(coordinate);
+    });
+  }
+
+  if (spec.and) {
+    const filters = spec.and.map(compile);
+    filterList.push((item) => filters.every((filter) => filter(item)));
+  }
+
+  if (spec.or) {
+    const filters = spec.or.map(compile);
+    filterList.push((item) => filters.some((filter) => filter(item)));
+  }
+
+  if (spec.not) {
+    const filter = compile(spec.not);
+    filterList.push((item) => !filter(item));
+  }
+
+  return filterList;
+};
+
+/**
+ * Create a filter function from a filter specification.
+ * The specification is an object whose properties are conditions the
+ * vehicles must all fulfill, or a filter function:
+ *  - line, route, operator, type, regexLine: see createTrackerFilters.
+ *  - delay: [min, max] range of the delay in ms, null for an open bound. The vehicles without realtime data are excluded.
+ *  - cancelled: true to keep only the cancelled vehicles, false to exclude them.
+ *  - bbox: [minX, minY, maxX, maxY] extent in map coordinates containing the vehicles.
+ *  - polygon: [[x, y], ...] ring in map coordinates containing the vehicles.
+ *  - and, or: list of specifications, combined with a logical and/or.
+ *  - not: a specification the vehicles must not fulfill.
+ *
+ * @example
+ * import { createTrackerFilter } from 'mobility-toolbox-js/common/utils';
+ *
+ * // The delayed S-Bahn lines S1 and S2, and all the cancelled trains.
+ * const filter = createTrackerFilter({
+ *   or: [
+ *     { line: 'S1,S2', delay: [300000, null] },
+ *     { cancelled: true, not: { type: 'bus' } },
+ *   ],
+ * });
+ *
+ * @param {TrackerFilterSpecification|FilterFunction} spec The filter specification.
+ * @return {FilterFunction} A filter function, or null if the specification has no condition.
+ */
+const createTrackerFilter = (spec) => {
+  if (!spec) {
+    return null;
+  }
+  if (typeof spec === 'function') {
+    return spec;
+  }
+
+  const filterList = getFilterList(spec);
+
+  if (!filterList.length) {
+    return null;
+  }
+
+  return (item) => filterList.every((filter) => filter(item));
+};
+
+export default createTrackerFilter;
@@ -0,0 +1,83 @@
+import Point from 'ol/geom/Point';
+import createTrackerFilter from './createTrackerFilter';
+
+const createVehicle = (id, properties) => ({
+  properties: { train_id: id, ...properties },
+});
+
+const s1 = createVehicle('s1', {
+  line: { name: 'S1' },
+  type: 'rail',
+  delay: 60000,
+  coordinate: [5, 5],
+});
+const s2 = createVehicle('s2', {
+  line: { name: 'S2' },
+  type: 'rail',
+  delay: 600000,
+  olGeometry: new Point([15, 5]),
+});
+const bus = createVehicle('bus', {
+  line: { name: '31' },
+  type: 'bus',
+  delay: null,
+  cancelled: true,
+  coordinate: [2, 15],
+});
+const vehicles = [s1, s2, bus];
+
+const filterIds = (spec) =>
+  vehicles
+    .filter(createTrackerFilter(spec))
+    .map(({ properties }) => properties.train_id);
+
+describe('createTrackerFilter', () => {
+  test('returns null without condition.', () => {
+    expect(createTrackerFilter()).toBe(null);
+    expect(createTrackerFilter({})).toBe(null);
+  });
+
+  test('returns the filter function.', () => {
+    const fn = () => true;
+    expect(createTrackerFilter(fn)).toBe(fn);
+  });
+
+  test('filters by properties.', () => {
+    expect(filterIds({ line: 'S1,31' })).toEqual(['s1', 'bus']);
+    expect(filterIds({ type: 'rail', line: 'S1,31' })).toEqual(['s1']);
+    expect(filterIds({ cancelled: true })).toEqual(['bus']);
+    expect(filterIds({ cancelled: false })).toEqual(['s1', 's2']);
+  });
+
+  test('filters by delay range.', () => {
+    expect(filterIds({ delay: [300000, null] })).toEqual(['s2']);
+    expect(filterIds({ delay: [0, 300000] })).toEqual(['s1']);
+  });
+
+  test('filters by bbox and polygon.', () => {
+    expect(filterIds({ bbox: [0, 0, 20, 10] })).toEqual(['s1', 's2']);
+    expect(
+      filterIds({
+        polygon: [
+          [0, 0],
+          [10, 0],
+          [0, 20],
+          [0, 0],
+        ],
+      }),
+    ).toEqual(['s1', 'bus']);
+  });
+
+  test('combines the filters.', () => {
+    expect(filterIds({ or: [{ line: 'S2' }, { cancelled: true }] })).toEqual([
+      's2',
+      'bus',
+    ]);
+    expect(
+      filterIds({ and: [{ type: 'rail' }, { not: { line: 'S2' } }] }),
+    ).toEqual(['s1']);
+    expect(
+      filterIds({ not: { or: [{ type: 'bus' }, { line: 'S1' }] } }),
+    ).toEqual(['s2']);
+  });
+});
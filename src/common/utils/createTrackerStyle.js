@@ -0,0 +1,410 @@
+import {
+  getBgColor,
+  getDelayColor,
+  getDelayText,
+  getRadius,
+  getTextColor,
+} from '../trackerConfig';
+import createCanvas from './createCanvas';
+import { drawArrow, getIconRotation } from './headingTrackerStyle';
+import { getIconImage } from './vehicleIcons';
+
+/**
+ * Returns the value of a property, nested properties are separated by a dot: 'line.color'.
+ * @ignore
+ */
+const getProperty = (properties, path) =>
+  path
+    .split('.')
+    .reduce(
+      (value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined,
+      properties,
+    );
+
+/**
+ * Returns the output of the stops ([input1, output1, input2, output2, ...])
+ * interpolated linearly for the input value.
+ * @ignore
+ */
+const interpolate = (input, stops) => {
+  if (input <= stops[0]) {
+    return stops[1];
+  }
+  for (let i = 2; i < stops.length; i += 2) {
+    if (input <= stops[i]) {
+      const fraction = (input - stops[i - 2]) / (stops[i] - stops[i - 2]);
+      return stops[i - 1] + (stops[i + 1] - stops[i - 1]) * fraction;
+    }
+  }
+  return stops[stops.length - 1];
+};
+
+/**
+ * Evaluate an expression of a style specification.
+ * An expression is a literal value or an array: [operator, ...arguments].
+ *
+ * @param {*} expression The expression to evaluate.
+ * @param {Object} context The properties of the vehicle, the zoom, and the hover and selected states.
+ * @return {*} The value of the expression.
+ * @ignore
+ */
+export const evaluate = (expression, context) => {
+  if (!Array.isArray(expression)) {
+    return expression;
+  }
+  const [operator, ...args] = expression;
+  const value = (idx) => evaluate(args[idx], context);
+
+  switch (operator) {
+    case 'literal':
+      return args[0];
+    case 'get':
+      return getProperty(context.properties, value(0));
+    case 'zoom':
+      return context.zoom;
+    case 'hover':
+      return context.hover;
+    case 'selected':
+      return context.selected;
+    case '!':
+      return !value(0);
+    case '==':
+      return value(0) === value(1);
+    case '!=':
+      return value(0) !== value(1);
+    case '<':
+      return value(0) < value(1);
+    case '<=':
+      return value(0) <= value(1);
+    case '>':
+      return value(0) > value(1);
+    case '>=':
+      return value(0) >= value(1);
+    case 'all':
+      return args.every((arg) => evaluate(arg, context));
+    case 'any':
+      return args.some((arg) => evaluate(arg, context));
+    case '+':
+      return args.reduce((sum, arg) => sum + evaluate(arg, context), 0);
+    case '*':
+      return args.reduce((product, arg) => product * evaluate(arg, context), 1);
+    case 'concat':
+      return args.map((arg) => evaluate(arg, context)).join('');
+    case 'coalesce':
+      for (let i = 0; i < args.length; i += 1) {
+        const result = value(i);
+        if (result !== null && result !== undefined) {
+          return result;
+        }
+      }
+      return null;
+    case 'case':
+      for (let i = 0; i < args.length - 1; i += 2) {
+        if (value(i)) {
+          return value(i + 1);
+        }
+      }
+      return value(args.length - 1);
+    case 'match': {
+      const input = value(0);
+      for (let i = 1; i < args.length - 1; i += 2) {
+        const labels = Array.isArray(args[i]) ? args[i] : [args[i]];
+        if (labels.includes(input)) {
+          return value(i + 1);
+        }
+      }
+      return value(args.length - 1);
+    }
+    case 'step': {
+      const input = value(0);
+      let result = value(1);
+      for (let i = 2; i < args.length - 1; i += 2) {
+        if (input < value(i)) {
+          break;
+        }
+        result = value(i + 1);
+      }
+      return result;
+    }
+    case 'interpolate':
+      // ['interpolate', ['linear'], input, stop1, output1, ...]
+      return interpolate(
+        value(1),
+        args.slice(2).map((arg) => evaluate(arg, context)),
+      );
+    case 'color': {
+      // Colors of the api are sometimes defined without #.
+      const color = value(0);
+      return color && color[0] !== '#' ? `#${color}` : color;
+    }
+    case 'mode-color':
+      return getBgColor(value(0), context.modes);
+    case 'mode-text-color':
+      return getTextColor(value(0), context.modes);
+    case 'mode-radius':
+      return getRadius(
+        value(0),
+        Math.min(Math.floor(context.zoom || 1), 16),
+        context.modes,
+      );
+    case 'delay-color':
+      return getDelayColor(value(0), value(1), value(2));
+    case 'delay-text':
+      return getDelayText(value(0), value(1));
+    default:
+      throw new Error(`TrackerStyle: unknown operator ${operator}`);
+  }
+};
+
+// Context used to measure the labels.
+let measureContext;
+const measureText = (text, font) => {
+  if (!measureContext) {
+    measureContext = createCanvas(1, 1).getContext('2d');
+  }
+  measureContext.font = font;
+  return measureContext.measureText(text).width;
+};
+
+// Properties of each layer type, with their default values.
+const layerProperties = {
+  circle: { radius: 5, fill: '#000000', stroke: null, strokeWidth: 1 },
+  arrow: {
+    size: 6,
+    offset: 8,
+    rotation: ['get', 'rotation'],
+    fill: '#000000',
+  },
+  icon: { src: null, width: 16, height: 16, rotation: 0 },
+  label: {
+    text: '',
+    size: 12,
+    font: 'bold {size}px arial, sans-serif',
+    fill: '#000000',
+    halo: null,
+    haloWidth: 2,
+    offset: ['literal', [0, 0]],
+  },
+};
+
+/**
+ * Evaluate the properties of a layer. Sizes are multiplied by the pixel ratio.
+ * @ignore
+ */
+const resolveLayer = (layer, context) => {
+  const { pixelRatio } = context;
+  const resolved = { type: layer.type };
+  Object.entries(layerProperties[layer.type]).forEach(([key, defaultValue]) => {
+    const result = evaluate(
+      layer[key] !== undefined ? layer[key] : defaultValue,
+      context,
+    );
+    resolved[key] = result;
+  });
+
+  if (layer.type === 'circle') {
+    if (!resolved.radius) {
+      return null;
+    }
+    resolved.radius *= pixelRatio;
+    resolved.strokeWidth *= pixelRatio;
+  } else if (layer.type === 'arrow') {
+    if (resolved.rotation === null || resolved.rotation === undefined) {
+      return null;
+    }
+    // The rotation is rounded to a bucket, used in the cache key.
+    resolved.rotation = getIconRotation(resolved.rotation, context.rotation);
+    resolved.size *= pixelRatio;
+    resolved.offset *= pixelRatio;
+  } else if (layer.type === 'icon') {
+    resolved.width *= pixelRatio;
+    resolved.height *= pixelRatio;
+    resolved.loaded = !!getIconImage(resolved.src);
+  } else if (layer.type === 'label') {
+    if (
+      resolved.text === null ||
+      resolved.text === undefined ||
+      resolved.text === ''
+    ) {
+      return null;
+    }
+    resolved.text = `${resolved.text}`;
+    resolved.size *= pixelRatio;
+    resolved.font = resolved.font.replace('{size}', resolved.size);
+    resolved.offset = resolved.offset.map((o) => o * pixelRatio);
+    resolved.haloWidth *= pixelRatio;
+  }
+  return resolved;
+};
+
+/**
+ * Returns the cache key of a resolved layer: the values of its properties.
+ * @ignore
+ */
+const getLayerKey = (layer) =>
+  [
+    layer.type,
+    layer.loaded,
+    ...Object.keys(layerProperties[layer.type]).map((key) => layer[key]),
+  ].join('\u0001');
+
+/**
+ * Returns the distance from the center of the canvas to the farthest pixel
+ * drawn by a resolved layer. Only called when a canvas is created, the
+ * labels are measured here.
+ * @ignore
+ */
+const getLayerExtent = (layer) => {
+  switch (layer.type) {
+    case 'circle':
+      return layer.radius + (layer.stroke ? layer.strokeWidth : 0);
+    case 'arrow':
+      return layer.offset + layer.size;
+    case 'icon':
+      return Math.hypot(layer.width, layer.height) / 2;
+    case 'label': {
+      const halfWidth = measureText(layer.text, layer.font) / 2;
+      const halfHeight = layer.size / 2;
+      return (
+        Math.max(
+          Math.abs(layer.offset[0]) + halfWidth,
+          Math.abs(layer.offset[1]) + halfHeight,
+        ) + layer.haloWidth
+      );
+    }
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Draw a resolved layer centered on the origin.
+ * @ignore
+ */
+const drawLayer = (ctx, layer, origin) => {
+  ctx.save();
+  ctx.translate(origin, origin);
+  switch (layer.type) {
+    case 'circle':
+      ctx.beginPath();
+      ctx.arc(0, 0, layer.radius, 0, 2 * Math.PI, false);
+      ctx.fillStyle = layer.fill;
+      ctx.fill();
+      if (layer.stroke) {
+        ctx.lineWidth = layer.strokeWidth;
+        ctx.strokeStyle = layer.stroke;
+        ctx.stroke();
+      }
+      break;
+    case 'arrow':
+      drawArrow(ctx, 0, layer.rotation, layer.offset, layer.size, layer.fill);
+      break;
+    case 'icon':
+      if (layer.loaded) {
+        ctx.rotate(layer.rotation);
+        ctx.drawImage(
+          getIconImage(layer.src),
+          -layer.width / 2,
+          -layer.height / 2,
+          layer.width,
+          layer.height,
+        );
+      }
+      break;
+    case 'label':
+      ctx.font = layer.font;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      if (layer.halo) {
+        ctx.lineWidth = layer.haloWidth;
+        ctx.strokeStyle = layer.halo;
+        ctx.strokeText(layer.text, ...layer.offset);
+      }
+      ctx.fillStyle = layer.fill;
+      ctx.fillText(layer.text, ...layer.offset);
+      break;
+    default:
+      break;
+  }
+  ctx.restore();
+};
+
+/**
+ * Create a tracker style function from a style specification.
+ * The specification is a JSON object with a list of layers drawn in order.
+ * Each layer has a type (circle, arrow, icon or label) and properties
+ * whose values can be expressions evaluated on the properties of each vehicle.
+ * The canvases are cached by the values of the evaluated properties.
+ *
+ * Supported expressions:
+ *  - ['get', 'line.color'], ['zoom'], ['hover'], ['selected'], ['literal', value] (array values, like the label offset, must be literals)
+ *  - ['==', a, b], ['!=', a, b], ['<', a, b], ['<=', a, b], ['>', a, b], ['>=', a, b], ['!', a], ['all', ...], ['any', ...]
+ *  - ['+', ...], ['*', ...], ['concat', ...], ['coalesce', ...]
+ *  - ['case', condition1, output1, ..., fallback], ['match', input, label1, output1, ..., fallback]
+ *  - ['step', input, output0, stop1, output1, ...], ['interpolate', ['linear'], input, stop1, output1, ...]
+ *  - ['color', color] adds the missing # to a color.
+ *  - ['mode-color', type], ['mode-text-color', type], ['mode-radius', type], ['delay-color', delay, cancelled], ['delay-text', delay, cancelled]
+ *
+ * @example
+ * import { createTrackerStyle } from 'mobility-toolbox-js/common/utils';
+ *
+ * const style = createTrackerStyle({
+ *   layers: [
+ *     {
+ *       type: 'circle',
+ *       radius: ['interpolate', ['linear'], ['zoom'], 8, 3, 14, 10],
+ *       fill: ['coalesce', ['color', ['get', 'line.color']], ['mode-color', ['get', 'type']]],
+ *       stroke: ['case', ['get', 'cancelled'], '#ff0000', '#000000'],
+ *     },
+ *     {
+ *       type: 'label',
+ *       text: ['step', ['zoom'], '', 12, ['get', 'line.name']],
+ *       fill: '#ffffff',
+ *     },
+ *   ],
+ * });
+ *
+ * @param {TrackerStyleSpecification} spec The style specification.
+ * @return {function} A tracker style function.
+ */
+const createTrackerStyle = (spec) => {
+  const styleCache = {};
+
+  return (trajectory, viewState, options = {}) => {
+    const { zoom, pixelRatio = 1, rotation = 0 } = viewState;
+    const { train_id: id } = trajectory.properties;
+    const context = {
+      properties: trajectory.properties,
+      zoom,
+      pixelRatio,
+      rotation,
+      modes: options.modes,
+      hover: !!options.hoverVehicleId && options.hoverVehicleId === id,
+      selected: !!options.selectedVehicleId && options.selectedVehicleId === id,
+    };
+
+    const layers = spec.layers
+      .map((layer) => resolveLayer(layer, context))
+      .filter((layer) => layer);
+    const key = layers.map(getLayerKey).join('\u0002');
+
+    if (styleCache[key] === undefined) {
+      const extent = Math.max(0, ...layers.map(getLayerExtent));
+      if (!extent) {
+        styleCache[key] = null;
+        return null;
+      }
+      const size = Math.ceil(extent * 2);
+      const canvas = createCanvas(size, size);
+      const ctx = canvas.getContext('2d');
+      layers.forEach((layer) => drawLayer(ctx, layer, size / 2));
+      // The key of an icon not loaded yet changes once it's loaded.
+      styleCache[key] = canvas;
+    }
+
+    return styleCache[key];
+  };
+};
+
+export default createTrackerStyle;
@@ -0,0 +1,136 @@
+import createTrackerStyle, { evaluate } from './createTrackerStyle';
+import { vehicleIcons } from './vehicleIcons';
+import { getBgColor } from '../trackerConfig';
+
+const context = {
+  properties: { type: 'bus', delay: 120000, line: { color: 'ff0000' } },
+  zoom: 10,
+};
+
+describe('createTrackerStyle', () => {
+  describe('#evaluate()', () => {
+    test('evaluates the expressions.', () => {
+      expect(evaluate(5, context)).toBe(5);
+      expect(evaluate(['get', 'line.color'], context)).toBe('ff0000');
+      expect(evaluate(['get', 'foo.bar'], context)).toBe(undefined);
+      expect(evaluate(['color', ['get', 'line.color']], context)).toBe(
+        '#ff0000',
+      );
+      expect(evaluate(['>=', ['get', 'delay'], 60000], context)).toBe(true);
+      expect(
+        evaluate(['case', ['==', ['get', 'type'], 'tram'], 1, 2], context),
+      ).toBe(2);
+      expect(
+        evaluate(['match', ['get', 'type'], ['bus', 'coach'], 1, 2], context),
+      ).toBe(1);
+      expect(evaluate(['step', ['zoom'], 0, 8, 1, 12, 2], context)).toBe(1);
+      expect(
+        evaluate(['interpolate', ['linear'], ['zoom'], 8, 2, 12, 10], context),
+      ).toBe(6);
+      expect(evaluate(['mode-color', ['get', 'type']], context)).toBe(
+        getBgColor('bus'),
+      );
+      expect(evaluate(['concat', 'a', ['zoom']], context)).toBe('a10');
+    });
+
+    test('throws an error for an unknown operator.', () => {
+      expect(() => evaluate(['foo'], context)).toThrow(
+        'TrackerStyle: unknown operator foo',
+      );
+    });
+  });
+
+  describe('style function', () => {
+    const style = createTrackerStyle({
+      layers: [
+        {
+          type: 'circle',
+          radius: ['case', ['hover'], 10, ['get', 'radius']],
+          fill: ['mode-color', ['get', 'type']],
+          stroke: '#000000',
+        },
+        {
+          type: 'label',
+          text: ['get', 'name'],
+        },
+      ],
+    });
+    const viewState = { zoom: 10, pixelRatio: 2 };
+    const trajectory = (properties) => ({
+      properties: { train_id: 'foo', type: 'bus', radius: 5, ...properties },
+    });
+
+    test('draws a canvas sized by the layers.', () => {
+      const canvas = style(trajectory(), viewState);
+      // (radius + strokeWidth) * pixelRatio * 2
+      expect(canvas.width).toBe(24);
+      expect(canvas.height).toBe(24);
+      expect(
+        style(trajectory(), viewState, { hoverVehicleId: 'foo' }).width,
+      ).toBe(44);
+    });
+
+    test('caches the canvases by evaluated values.', () => {
+      const canvas = style(trajectory({ delay: 5 }), viewState);
+      expect(style(trajectory({ delay: 6 }), viewState)).toBe(canvas);
+      expect(style(trajectory({ name: 'S1' }), viewState)).not.toBe(canvas);
+    });
+
+    test('measures the labels only when a canvas is created.', () => {
+      const measureText = jest.fn(() => ({ width: 20 }));
+      jest.resetModules();
+      jest.doMock('./createCanvas', () => {
+        const createCanvas = jest.requireActual('./createCanvas').default;
+        return {
+          __esModule: true,
+          default: (...args) => {
+            const canvas = createCanvas(...args);
+            const ctx = canvas.getContext('2d');
+            ctx.measureText = measureText;
+            canvas.getContext = () => ctx;
+            return canvas;
+          },
+        };
+      });
+      // eslint-disable-next-line global-require
+      const labelStyle = require('./createTrackerStyle').default({
+        layers: [{ type: 'label', text: ['get', 'name'] }],
+      });
+      const canvas = labelStyle(trajectory({ name: 'IC 5' }), viewState);
+      expect(measureText).toHaveBeenCalledTimes(1);
+      expect(labelStyle(trajectory({ name: 'IC 5' }), viewState)).toBe(canvas);
+      expect(measureText).toHaveBeenCalledTimes(1);
+      jest.dontMock('./createCanvas');
+    });
+
+    test('draws the icons once loaded by the vehicle icons registry.', () => {
+      const images = [];
+      const spy = jest.spyOn(window, 'Image').mockImplementation(() => {
+        const image = document.createElement('img');
+        images.push(image);
+        return image;
+      });
+      const onChange = jest.fn();
+      vehicleIcons.on('change', onChange);
+      const iconStyle = createTrackerStyle({
+        layers: [{ type: 'icon', src: 'bus-icon.png' }],
+      });
+      const canvas = iconStyle(trajectory(), viewState);
+      expect(images.length).toBe(1);
+      expect(images[0].src).toMatch('bus-icon.png');
+      expect(iconStyle(trajectory(), viewState)).toBe(canvas);
+
+      images[0].onload();
+      expect(onChange).toHaveBeenCalledTimes(1);
+      const loadedCanvas = iconStyle(trajectory(), viewState);
+      expect(loadedCanvas).not.toBe(canvas);
+      expect(images.length).toBe(1);
+      vehicleIcons.un('change', onChange);
+      spy.mockRestore();
+    });
+
+    test('returns null when nothing is drawn.', () => {
+      expect(style(trajectory({ radius: 0 }), viewState)).toBe(null);
+    });
+  });
+});
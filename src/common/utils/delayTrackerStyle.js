@@ -3,16 +3,12 @@ import {
   getBgColor,
   getDelayColor,
   getDelayText,
+  getLabelMinRadius,
   getTextColor,
   getTextSize,
 } from '../trackerConfig';
-
-const createCanvas = (width, height) => {
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
-  return canvas;
-};
+import createCanvas from './createCanvas';
+import { getVehicleIcon } from './vehicleIcons';
 
 // Draw circle delay background
 const cacheDelayBg = {};
@@ -139,6 +135,31 @@ export const getTextCanvas = (
   return cacheText[key];
 };
 
+/**
+ * Returns the radius of the circle drawn for a vehicle, in canvas pixels.
+ *
+ * @param {string} type The type of the vehicle.
+ * @param {number} zoom The zoom level, between 1 and 16.
+ * @param {number} pixelRatio The pixel ratio.
+ * @param {boolean} highlighted True if the vehicle is hovered or selected.
+ * @param {Array<TrackerMode>} [modes] The modes of transport.
+ * @return {number} A radius.
+ * @ignore
+ */
+export const getVehicleRadius = (
+  type,
+  zoom,
+  pixelRatio,
+  highlighted,
+  modes,
+) => {
+  const radius = getRadius(type, zoom, modes) * pixelRatio;
+  if (highlighted) {
+    return radius >= 7 * pixelRatio ? radius + 5 * pixelRatio : 14 * pixelRatio;
+  }
+  return radius;
+};
+
 /**
  * A tracker style that take in account the delay.
  *
@@ -155,6 +176,7 @@ const style = (trajectory, viewState, options) => {
     useDelayStyle,
     delayOutlineColor,
     delayDisplay,
+    modes,
   } = options;
 
   const { zoom, pixelRatio } = viewState;
@@ -197,17 +219,26 @@ const style = (trajectory, viewState, options) => {
   const selected = selectedVehicleId && selectedVehicleId === id;
 
   // Calcul the radius of the circle
-  let radius = getRadius(type, z) * pixelRatio;
-  const isDisplayStrokeAndDelay = radius >= 7 * pixelRatio;
-  if (hover || selected) {
-    radius = isDisplayStrokeAndDelay
-      ? radius + 5 * pixelRatio
-      : 14 * pixelRatio;
-  }
-  const mustDrawText = radius > 10 * pixelRatio;
+  const radius = getVehicleRadius(
+    type,
+    z,
+    pixelRatio,
+    hover || selected,
+    modes,
+  );
+  const isDisplayStrokeAndDelay = getRadius(type, z, modes) >= 7;
+  // A registered icon replaces the circle and the text.
+  const icon = getVehicleIcon(trajectory.properties, radius * 2, modes);
+  const mustDrawText =
+    !icon && radius > getLabelMinRadius(type, modes) * pixelRatio;
+  const modeBgColor = getBgColor(type, modes);
 
   // Optimize the cache key, very important in high zoom level
-  let key = `${radius}${type}${color}${hover}${selected}${cancelled}${delay}`;
+  let key = `${radius}${type}${color}${modeBgColor}${hover}${selected}${cancelled}${delay}`;
+
+  if (icon) {
+    key += icon.id;
+  }
 
   if (useDelayStyle) {
     key += `${operatorProvidesRealtime}`;
@@ -280,7 +311,7 @@ const style = (trajectory, viewState, options) => {
     if (useDelayStyle) {
       circleFillColor = getDelayColor(delay, cancelled);
     } else {
-      circleFillColor = color || getBgColor(type);
+      circleFillColor = color || modeBgColor;
     }
 
     const hasStroke = isDisplayStrokeAndDelay || hover || selected;
@@ -291,23 +322,27 @@ const style = (trajectory, viewState, options) => {
       delay === null &&
       operatorProvidesRealtime === 'yes';
 
-    const circle = getCircleCanvas(
-      origin,
-      radius,
-      circleFillColor,
-      hasStroke,
-      hasDash,
-      pixelRatio,
-    );
+    if (icon) {
+      ctx.drawImage(icon.canvas, origin - radius, origin - radius);
+    } else {
+      const circle = getCircleCanvas(
+        origin,
+        radius,
+        circleFillColor,
+        hasStroke,
+        hasDash,
+        pixelRatio,
+      );
 
-    ctx.drawImage(circle, 0, 0);
+      ctx.drawImage(circle, 0, 0);
+    }
 
     // Draw text in the circle
     if (mustDrawText) {
       const fontSize = Math.max(radius, 10);
       const textSize = getTextSize(ctx, markerSize, name, fontSize);
       const textColor2 = !useDelayStyle
-        ? textColor || getTextColor(type)
+        ? textColor || getTextColor(type, modes)
         : '#000000';
       const hasStroke2 =
         useDelayStyle && delay === null && operatorProvidesRealtime === 'yes';
@@ -0,0 +1,128 @@
+import GeoJSON from 'ol/format/GeoJSON';
+import {
+  buffer,
+  getCenter,
+  getIntersection,
+  intersects,
+  containsCoordinate,
+} from 'ol/extent';
+import { toLonLat } from 'ol/proj';
+
+const format = new GeoJSON();
+
+/**
+ * Returns the factor to convert a distance in meters to a distance in
+ * EPSG:3857 units at the latitude of a coordinate.
+ * @ignore
+ */
+const getScale = (coordinate) =>
+  1 / Math.cos((toLonLat(coordinate)[1] * Math.PI) / 180);
+
+/**
+ * Returns the current coordinate of a vehicle, or the first coordinate
+ * of its trajectory if it has not been rendered yet.
+ *
+ * @param {TralisTrajectory} trajectory The trajectory of the vehicle.
+ * @return {ol/coordinate~Coordinate} A coordinate.
+ * @ignore
+ */
+export const getTrajectoryCoordinate = ({ properties }) =>
+  properties.coordinate ||
+  (properties.olGeometry && properties.olGeometry.getFirstCoordinate());
+
+/**
+ * Read a geofence: a GeoJSON Polygon or MultiPolygon, or a LineString or
+ * MultiLineString buffered by `properties.distance` meters (a corridor).
+ * The GeoJSON coordinates are in EPSG:4326.
+ *
+ * @param {GeoJSONFeature|GeoJSONGeometry} geojson A GeoJSON feature or geometry.
+ * @return {Object} The geofence: { geometry, distance, extent }, in EPSG:3857. Null if no geojson is defined.
+ * @ignore
+ */
+export const readGeofence = (geojson) => {
+  if (!geojson) {
+    return null;
+  }
+  const geometry = format.readGeometry(geojson.geometry || geojson, {
+    dataProjection: 'EPSG:4326',
+    featureProjection: 'EPSG:3857',
+  });
+  const isLine = /LineString$/.test(geometry.getType());
+  const distance = isLine ? (geojson.properties || {}).distance || 100 : 0;
+  const extent = geometry.getExtent();
+
+  // The extent is buffered with the largest scale of the corridor.
+  const maxScale = Math.max(
+    getScale([extent[0], extent[1]]),
+    getScale([extent[2], extent[3]]),
+  );
+  return {
+    geometry,
+    distance,
+    extent: buffer(extent, distance * maxScale),
+  };
+};
+
+/**
+ * Returns true if the coordinate is inside the geofence.
+ *
+ * @param {Object} geofence A geofence returned by readGeofence.
+ * @param {ol/coordinate~Coordinate} coordinate A coordinate in EPSG:3857.
+ * @return {boolean}
+ * @ignore
+ */
+export const containsGeofenceCoordinate = (geofence, coordinate) => {
+  const { geometry, distance, extent } = geofence;
+  if (!containsCoordinate(extent, coordinate)) {
+    return false;
+  }
+  if (!distance) {
+    return geometry.intersectsCoordinate(coordinate);
+  }
+  const closest = geometry.getClosestPoint(coordinate);
+  return (
+    Math.hypot(coordinate[0] - closest[0], coordinate[1] - closest[1]) <=
+    distance * getScale(coordinate)
+  );
+};
+
+/**
+ * Returns true if the extent intersects the geofence.
+ *
+ * @param {Object} geofence A geofence returned by readGeofence.
+ * @param {ol/extent~Extent} extent An extent in EPSG:3857.
+ * @return {boolean}
+ * @ignore
+ */
+export const intersectsGeofenceExtent = (geofence, extent) => {
+  const { geometry, distance } = geofence;
+  if (!intersects(geofence.extent, extent)) {
+    return false;
+  }
+  if (!distance) {
+    return geometry.intersectsExtent(extent);
+  }
+  return geometry.intersectsExtent(
+    buffer(extent, distance * getScale(getCenter(extent))),
+  );
+};
+
+/**
+ * Returns the extent to request to the server: the intersection of the
+ * extent and the geofence's extent. Returns null if they don't intersect,
+ * no vehicle has to be requested.
+ *
+ * @param {Object} geofence A geofence returned by readGeofence, or null.
+ * @param {ol/extent~Extent} extent An extent in EPSG:3857.
+ * @return {ol/extent~Extent} An extent, or null.
+ * @ignore
+ */
+export const getGeofenceBbox = (geofence, extent) => {
+  if (!geofence) {
+    return extent;
+  }
+  if (!intersects(geofence.extent, extent)) {
+    return null;
+  }
+  return getIntersection(extent, geofence.extent);
+};
@@ -0,0 +1,104 @@
+import Point from 'ol/geom/Point';
+import { fromLonLat } from 'ol/proj';
+import {
+  readGeofence,
+  containsGeofenceCoordinate,
+  intersectsGeofenceExtent,
+  getGeofenceBbox,
+  getTrajectoryCoordinate,
+} from './geofence';
+
+const polygon = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [7, 46],
+      [8, 46],
+      [8, 47],
+      [7, 47],
+      [7, 46],
+    ],
+  ],
+};
+
+const corridor = {
+  type: 'Feature',
+  properties: { distance: 1000 },
+  geometry: {
+    type: 'LineString',
+    coordinates: [
+      [7, 46],
+      [8, 46],
+    ],
+  },
+};
+
+describe('geofence', () => {
+  test('returns null without geojson.', () => {
+    expect(readGeofence()).toBe(null);
+  });
+
+  test('contains the coordinates inside the polygon.', () => {
+    const geofence = readGeofence(polygon);
+    expect(geofence.distance).toBe(0);
+    expect(containsGeofenceCoordinate(geofence, fromLonLat([7.5, 46.5]))).toBe(
+      true,
+    );
+    expect(containsGeofenceCoordinate(geofence, fromLonLat([9, 46.5]))).toBe(
+      false,
+    );
+  });
+
+  test('contains the coordinates inside the corridor.', () => {
+    const geofence = readGeofence(corridor);
+    expect(geofence.distance).toBe(1000);
+    // 0.005° is about 550 m, 0.015° about 1650 m.
+    expect(
+      containsGeofenceCoordinate(geofence, fromLonLat([7.5, 46.005])),
+    ).toBe(true);
+    expect(
+      containsGeofenceCoordinate(geofence, fromLonLat([7.5, 45.995])),
+    ).toBe(true);
+    expect(
+      containsGeofenceCoordinate(geofence, fromLonLat([7.5, 46.015])),
+    ).toBe(false);
+  });
+
+  test('intersects the extents overlapping the area.', () => {
+    const geofence = readGeofence(corridor);
+    const extent = [...fromLonLat([7.4, 46.005]), ...fromLonLat([7.6, 46.1])];
+    expect(intersectsGeofenceExtent(geofence, extent)).toBe(true);
+    const farExtent = [...fromLonLat([7.4, 46.05]), ...fromLonLat([7.6, 46.1])];
+    expect(intersectsGeofenceExtent(geofence, farExtent)).toBe(false);
+  });
+
+  test('limits the bbox to the area.', () => {
+    const geofence = readGeofence(polygon);
+    const extent = [...fromLonLat([7.5, 45]), ...fromLonLat([10, 46.5])];
+    const bbox = getGeofenceBbox(geofence, extent);
+    expect(bbox[0]).toBe(extent[0]);
+    expect(bbox[1]).toBeCloseTo(fromLonLat([7, 46])[1]);
+    expect(bbox[2]).toBeCloseTo(fromLonLat([8, 46])[0]);
+    expect(bbox[3]).toBe(extent[3]);
+    expect(getGeofenceBbox(null, extent)).toBe(extent);
+  });
+
+  test("doesn't return a bbox if the extent is outside the area.", () => {
+    const geofence = readGeofence(polygon);
+    const extent = [...fromLonLat([9, 45]), ...fromLonLat([10, 46.5])];
+    expect(getGeofenceBbox(geofence, extent)).toBe(null);
+  });
+
+  test('returns the coordinate of a trajectory.', () => {
+    expect(
+      getTrajectoryCoordinate({
+        properties: { olGeometry: new Point([1, 2]) },
+      }),
+    ).toEqual([1, 2]);
+    expect(
+      getTrajectoryCoordinate({
+        properties: { coordinate: [3, 4], olGeometry: new Point([1, 2]) },
+      }),
+    ).toEqual([3, 4]);
+  });
+});
@@ -1,17 +1,59 @@
 import GeomType from 'ol/geom/GeometryType';
 
+/**
+ * Extrapolate the position of a vehicle after the end of its trajectory,
+ * along the last segment, at the speed of the last time interval.
+ *
+ * @param {ol/geom/LineString~LineString} geometry The geometry of the trajectory.
+ * @param {Array<Array<number>>} intervals The time intervals of the trajectory.
+ * @param {number} duration Time elapsed since the end of the trajectory. In ms.
+ * @return {Array<number>} The extrapolated coordinate, undefined if it can't be computed.
+ * @private
+ */
+const extrapolate = (geometry, intervals, duration) => {
+  const [prevTime, prevFrac] = intervals[intervals.length - 2];
+  const [lastTime, lastFrac] = intervals[intervals.length - 1];
+  const coords = geometry.getCoordinates();
+  if (lastTime <= prevTime || lastFrac <= prevFrac || coords.length < 2) {
+    return undefined;
+  }
+  const speed =
+    (geometry.getLength() * (lastFrac - prevFrac)) / (lastTime - prevTime);
+  const [x1, y1] = coords[coords.length - 2];
+  const [x2, y2] = coords[coords.length - 1];
+  const length = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+  if (!length) {
+    return undefined;
+  }
+  const ratio = (speed * duration) / length;
+  return [x2 + (x2 - x1) * ratio, y2 + (y2 - y1) * ratio];
+};
+
 /**
  * Interpolate or not the vehicle position from a trajectory at a specific date.
  *
+ * When the trajectory has a `transition` property ({ coordinate, start, duration }),
+ * the position moves from the transition coordinate to the interpolated one
+ * during the transition duration.
+ *
  * @param {number} now Current date to interpolate a position with. In ms.
  * @param {TralisTrajectory} trajectory The trajectory to interpolate.
+ * @param {boolean} noInterpolate If true, the last position rendered is used.
+ * @param {number} [extrapolationDuration=0] Maximal time in ms during which the
+ *   position is extrapolated along the last segment after the end of the trajectory.
 @returns
  */
-const getVehiclePosition = (now, trajectory, noInterpolate) => {
+const getVehiclePosition = (
+  now,
+  trajectory,
+  noInterpolate,
+  extrapolationDuration = 0,
+) => {
   const {
     time_intervals: timeIntervals,
     olGeometry: geometry,
     coordinate,
+    transition,
   } = trajectory.properties;
 
   let coord;
@@ -37,9 +79,17 @@ const getVehiclePosition = (now, trajectory, noInterpolate) => {
       [, , rotation] = firstInterval;
       coord = geometry.getFirstCoordinate();
     } else if (now > lastInterval[0]) {
-      // Display last position known.
+      // Display last position known, or continue on the last segment
+      // until the next trajectory event.
       [, , rotation] = lastInterval;
-      coord = geometry.getLastCoordinate();
+      if (extrapolationDuration && intervals.length > 1) {
+        coord = extrapolate(
+          geometry,
+          intervals,
+          Math.min(now - lastInterval[0], extrapolationDuration),
+        );
+      }
+      coord = coord || geometry.getLastCoordinate();
     } else {
       // Interpolate position using time intervals.
       for (let j = 0; j < intervals.length - 1; j += 1) {
@@ -65,6 +115,22 @@ const getVehiclePosition = (now, trajectory, noInterpolate) => {
     );
   }
 
+  if (
+    coord &&
+    !noInterpolate &&
+    transition &&
+    now >= transition.start &&
+    now < transition.start + transition.duration
+  ) {
+    // Animate the vehicle from its previous position to avoid a jump.
+    const fraction = (now - transition.start) / transition.duration;
+    coord = [0, 1].map(
+      (idx) =>
+        transition.coordinate[idx] +
+        (coord[idx] - transition.coordinate[idx]) * fraction,
+    );
+  }
+
   return { coord, rotation };
 };
 
@@ -0,0 +1,49 @@
+import LineString from 'ol/geom/LineString';
+import getVehiclePosition from './getVehiclePosition';
+
+const createTrajectory = (properties) => ({
+  properties: {
+    olGeometry: new LineString([
+      [0, 0],
+      [100, 0],
+    ]),
+    time_intervals: [
+      [1000, 0, 0.5],
+      [2000, 1, 0.5],
+    ],
+    ...properties,
+  },
+});
+
+describe('getVehiclePosition', () => {
+  test('interpolates the position inside the time intervals.', () => {
+    const { coord, rotation } = getVehiclePosition(1500, createTrajectory());
+    expect(coord).toEqual([50, 0]);
+    expect(rotation).toBe(0.5);
+  });
+
+  test('displays the last position after the time intervals.', () => {
+    const { coord } = getVehiclePosition(2500, createTrajectory());
+    expect(coord).toEqual([100, 0]);
+  });
+
+  test('extrapolates the position along the last segment.', () => {
+    const trajectory = createTrajectory();
+    expect(getVehiclePosition(2200, trajectory, false, 500).coord).toEqual([
+      120, 0,
+    ]);
+    // The extrapolation stops after the extrapolation duration.
+    expect(getVehiclePosition(3000, trajectory, false, 500).coord).toEqual([
+      150, 0,
+    ]);
+  });
+
+  test('animates the position from the transition coordinate.', () => {
+    const trajectory = createTrajectory({
+      transition: { coordinate: [50, 100], start: 1500, duration: 1000 },
+    });
+    expect(getVehiclePosition(1500, trajectory).coord).toEqual([50, 100]);
+    expect(getVehiclePosition(2000, trajectory).coord).toEqual([75, 50]);
+    expect(getVehiclePosition(2500, trajectory).coord).toEqual([100, 0]);
+  });
+});
@@ -0,0 +1,93 @@
+import delayTrackerStyle, { getVehicleRadius } from './delayTrackerStyle';
+import createCanvas from './createCanvas';
+
+/**
+ * Returns the rotation to apply on the canvas to draw an icon pointing to
+ * the heading of a vehicle, taking the map rotation into account.
+ * The rotation is rounded to a bucket so the rotated canvases can be cached.
+ *
+ * @param {number} heading Heading of the vehicle in radians, counter-clockwise from the east,
+ *   as stored in `properties.rotation` by getVehiclePosition.
+ * @param {number} [mapRotation=0] Rotation of the map in radians.
+ * @param {number} [nbBuckets=36] Number of rotations between 0 and 2π.
+ * @return {number} A clockwise rotation in radians, for an icon pointing to the east.
+ * @ignore
+ */
+export const getIconRotation = (heading, mapRotation = 0, nbBuckets = 36) => {
+  const step = (2 * Math.PI) / nbBuckets;
+  const bucket = Math.round((mapRotation - heading) / step);
+  return (((bucket % nbBuckets) + nbBuckets) % nbBuckets) * step;
+};
+
+/**
+ * Draw an arrow pointing to the east, at `distance` pixels from the origin.
+ * @ignore
+ */
+export const drawArrow = (ctx, origin, rotation, distance, size, color) => {
+  ctx.save();
+  ctx.translate(origin, origin);
+  ctx.rotate(rotation);
+  ctx.beginPath();
+  ctx.moveTo(distance + size, 0);
+  ctx.lineTo(distance, -size / 2);
+  ctx.lineTo(distance, size / 2);
+  ctx.closePath();
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.restore();
+};
+
+/**
+ * A tracker style drawing the delay style with an arrow pointing to the
+ * heading of the vehicle. Vehicles without rotation are drawn without arrow.
+ *
+ * @param {*} trajectory The trajectory to render.
+ * @param {*} viewState The view state of the map.
+ * @param {*} options Some options to change the rendering
+ * @return a canvas
+ */
+const styleCache = new WeakMap();
+const style = (trajectory, viewState, options) => {
+  const canvas = delayTrackerStyle(trajectory, viewState, options);
+  const { rotation: heading, type, train_id: id } = trajectory.properties;
+  if (!canvas || heading === null || heading === undefined) {
+    return canvas;
+  }
+
+  const { zoom, pixelRatio, rotation: mapRotation } = viewState;
+  const rotation = getIconRotation(heading, mapRotation);
+
+  // The rotated canvases are cached for each canvas of the delay style.
+  if (!styleCache.has(canvas)) {
+    styleCache.set(canvas, {});
+  }
+  const rotatedCanvases = styleCache.get(canvas);
+
+  if (!rotatedCanvases[rotation]) {
+    const highlighted =
+      options.hoverVehicleId === id || options.selectedVehicleId === id;
+    const radius = getVehicleRadius(
+      type || 'Rail',
+      Math.min(Math.floor(zoom || 1), 16),
+      pixelRatio,
+      highlighted,
+      options.modes,
+    );
+    const arrowSize = Math.max(4, radius * 0.6);
+    const rotatedCanvas = createCanvas(canvas.width, canvas.height);
+    const ctx = rotatedCanvas.getContext('2d');
+    ctx.drawImage(canvas, 0, 0);
+    drawArrow(
+      ctx,
+      canvas.width / 2,
+      rotation,
+      radius + 1 * pixelRatio,
+      arrowSize,
+      '#000000',
+    );
+    rotatedCanvases[rotation] = rotatedCanvas;
+  }
+
+  return rotatedCanvases[rotation];
+};
+export default style;
@@ -0,0 +1,46 @@
+import headingTrackerStyle, { getIconRotation } from './headingTrackerStyle';
+import delayTrackerStyle from './delayTrackerStyle';
+
+describe('headingTrackerStyle', () => {
+  describe('#getIconRotation()', () => {
+    test('converts the heading to a canvas rotation.', () => {
+      expect(getIconRotation(0)).toBe(0);
+      // A vehicle going to the north points to the top of the canvas.
+      expect(getIconRotation(Math.PI / 2)).toBeCloseTo((3 * Math.PI) / 2);
+      expect(getIconRotation(-Math.PI / 2)).toBeCloseTo(Math.PI / 2);
+    });
+
+    test('takes the map rotation into account.', () => {
+      expect(getIconRotation(Math.PI / 2, Math.PI / 2)).toBe(0);
+    });
+
+    test('rounds the rotation to a bucket.', () => {
+      expect(getIconRotation(-0.1, 0, 4)).toBe(0);
+      expect(getIconRotation(-1, 0, 4)).toBeCloseTo(Math.PI / 2);
+    });
+  });
+
+  describe('style function', () => {
+    const viewState = { zoom: 14, pixelRatio: 1, rotation: 0 };
+    const trajectory = (rotation) => ({
+      properties: { train_id: 'foo', type: 'rail', delay: 0, rotation },
+    });
+
+    test('returns the delay style if the rotation is unknown.', () => {
+      expect(headingTrackerStyle(trajectory(null), viewState, {})).toBe(
+        delayTrackerStyle(trajectory(null), viewState, {}),
+      );
+    });
+
+    test('caches the canvases by rotation bucket.', () => {
+      const canvas = headingTrackerStyle(trajectory(1), viewState, {});
+      const delayCanvas = delayTrackerStyle(trajectory(1), viewState, {});
+      expect(canvas).not.toBe(delayCanvas);
+      expect(canvas.width).toBe(delayCanvas.width);
+      expect(headingTrackerStyle(trajectory(1.01), viewState, {})).toBe(canvas);
+      expect(headingTrackerStyle(trajectory(2), viewState, {})).not.toBe(
+        canvas,
+      );
+    });
+  });
+});
@@ -4,4 +4,16 @@ export { default as removeDuplicate } from './removeDuplicate';
 export { default as delayTrackerStyle } from './delayTrackerStyle';
 export * from './delayTrackerStyle';
 export { default as simpleTrackerStyle } from './simpleTrackerStyle';
+export { default as clusterTrackerStyle } from './clusterTrackerStyle';
+export { default as labelTrackerStyle } from './labelTrackerStyle';
+export { default as createTrackerFilter } from './createTrackerFilter';
+export { default as createTrackerStyle } from './createTrackerStyle';
+export { default as headingTrackerStyle } from './headingTrackerStyle';
+export { default as createSpriteTrackerStyle } from './createSpriteTrackerStyle';
+export { default as normalizeNewsticker } from './normalizeNewsticker';
 export * from './timeUtils';
+export {
+  vehicleIcons,
+  registerVehicleIcon,
+  unregisterVehicleIcon,
+} from './vehicleIcons';
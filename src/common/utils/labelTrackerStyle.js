@@ -0,0 +1,107 @@
+import { getDelayColor, getDelayText } from '../trackerConfig';
+import createCanvas from './createCanvas';
+
+/**
+ * Returns the priority of the label of a vehicle: the selected vehicle
+ * first, then the hovered one, the cancelled ones and the most delayed ones.
+ *
+ * @param {TralisTrajectory} trajectory The trajectory of the vehicle.
+ * @param {*} options Some options to change the rendering
+ * @return {number} The priority, the highest is placed first.
+ * @ignore
+ */
+export const getLabelPriority = (trajectory, options = {}) => {
+  const { train_id: id, delay, cancelled } = trajectory.properties;
+  if (options.selectedVehicleId && options.selectedVehicleId === id) {
+    return Infinity;
+  }
+  if (options.hoverVehicleId && options.hoverVehicleId === id) {
+    return Number.MAX_VALUE;
+  }
+  if (cancelled) {
+    return Number.MAX_SAFE_INTEGER;
+  }
+  return delay || 0;
+};
+
+/**
+ * A tracker style for the labels drawn next to the vehicles: the line name
+ * and the destination, and the delay below if it's displayed.
+ *
+ * @param {TralisTrajectory} trajectory The trajectory of the vehicle.
+ * @param {*} viewState The view state of the map.
+ * @param {*} options Some options to change the rendering
+ * @return a canvas
+ */
+const styleCache = {};
+const style = (trajectory, viewState, options = {}) => {
+  const { pixelRatio = 1 } = viewState;
+  const { delayDisplay = 300000, delayOutlineColor = '#000000' } = options;
+  const {
+    line,
+    name: trajectoryName,
+    destination,
+    delay,
+    cancelled = false,
+  } = trajectory.properties;
+  const name = (line && line.name) || trajectoryName;
+  const title = [name, destination].filter((text) => text).join(' ');
+  const hasDelay =
+    cancelled ||
+    (delay !== null && delay !== undefined && delay >= delayDisplay);
+  const delayText = hasDelay ? getDelayText(delay, cancelled) : '';
+
+  if (!title && !delayText) {
+    return null;
+  }
+
+  const key = `${title}${delayText}${delayOutlineColor}${pixelRatio}`;
+
+  if (!styleCache[key]) {
+    const fontSize = 12 * pixelRatio;
+    const lineHeight = fontSize * 1.25;
+    const haloWidth = 3 * pixelRatio;
+    const lines = [];
+    if (title) {
+      lines.push({ text: title, fill: '#000000', stroke: '#ffffff' });
+    }
+    if (delayText) {
+      lines.push({
+        text: delayText,
+        fill: getDelayColor(delay, cancelled, true),
+        stroke: delayOutlineColor,
+      });
+    }
+    const font = `bold ${fontSize}px arial, sans-serif`;
+
+    // Measure the text to size the canvas.
+    let canvas = createCanvas(1, 1);
+    let ctx = canvas.getContext('2d');
+    ctx.font = font;
+    const width = Math.max(...lines.map((l) => ctx.measureText(l.text).width));
+
+    canvas = createCanvas(
+      Math.ceil(width + haloWidth * 2),
+      Math.ceil(lineHeight * lines.length + haloWidth * 2),
+    );
+    ctx = canvas.getContext('2d');
+    ctx.font = font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = haloWidth;
+    ctx.lineJoin = 'round';
+
+    lines.forEach(({ text, fill, stroke }, idx) => {
+      const y = haloWidth + lineHeight * (idx + 0.5);
+      ctx.strokeStyle = stroke;
+      ctx.fillStyle = fill;
+      ctx.strokeText(text, haloWidth, y);
+      ctx.fillText(text, haloWidth, y);
+    });
+    styleCache[key] = canvas;
+  }
+
+  return styleCache[key];
+};
+
+export default style;
@@ -0,0 +1,42 @@
+/**
+ * Convert the content of a message of the newsticker channel to disruptions,
+ * one by news. The severity is "severe" during an incident program, "warning"
+ * otherwise. A station is affected if one of its network lines is affected.
+ *
+ * As each message contains all the current news, the disruptions returned
+ * replace the previous ones: a closed news is missing from the next message.
+ *
+ * @example
+ * api.subscribeDisruptions((newsticker) => {
+ *   layer.disruptions = normalizeNewsticker(newsticker);
+ * });
+ *
+ * @param {Newsticker} newsticker Content of a message of the newsticker channel.
+ * @param {Array<DisruptionStation>} [stations=[]] Stations with their networkLines property, used to find the affected stations.
+ * @return {Array<Disruption>} The disruptions.
+ */
+const normalizeNewsticker = (newsticker, stations = []) => {
+  const { incident_program: incidentProgram, messages } = newsticker || {};
+  return (messages || []).map(
+    ({ title, content, lines = [], updated }, index) => {
+      const lineIds = lines.map(({ id }) => id);
+      return {
+        id: index,
+        severity: incidentProgram ? 'severe' : 'warning',
+        title,
+        text: content,
+        updated: updated ? new Date(updated).getTime() : undefined,
+        validity: [],
+        lines,
+        stations: stations
+          .filter(({ networkLines }) =>
+            (networkLines || []).some(({ id }) => lineIds.includes(id)),
+          )
+          .map(({ uic, name, coordinate }) => ({ uic, name, coordinate })),
+        segments: [],
+      };
+    },
+  );
+};
+
+export default normalizeNewsticker;
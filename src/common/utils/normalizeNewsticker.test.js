@@ -0,0 +1,68 @@
+import newstickerMessage from '../../../data/newsticker.json';
+import normalizeNewsticker from './normalizeNewsticker';
+
+const stations = [
+  {
+    uic: 8000084,
+    name: 'Erding',
+    coordinate: [11.9049, 48.3068],
+    networkLines: [{ id: 2, name: 'S2' }],
+  },
+  {
+    uic: 8004733,
+    name: 'Pasing',
+    coordinate: [11.4616, 48.1496],
+    networkLines: [
+      { id: 3, name: 'S3' },
+      { id: 6, name: 'S6' },
+    ],
+  },
+  {
+    uic: 8004158,
+    name: 'Ostbahnhof',
+    coordinate: [11.6049, 48.1274],
+    networkLines: [{ id: 7, name: 'S7' }],
+  },
+];
+
+describe('normalizeNewsticker', () => {
+  test('returns one disruption by news.', () => {
+    const disruptions = normalizeNewsticker(newstickerMessage.content);
+    expect(disruptions.length).toBe(2);
+    expect(disruptions[0]).toEqual({
+      id: 0,
+      severity: 'warning',
+      title: 'S2: Bauarbeiten zwischen Erding und Altenerding',
+      text: '<p>Wegen Bauarbeiten verkehren zwischen Erding und Altenerding Busse statt S-Bahnen.</p>',
+      updated: new Date('2021-10-18T05:12:43Z').getTime(),
+      validity: [],
+      lines: newstickerMessage.content.messages[0].lines,
+      stations: [],
+      segments: [],
+    });
+  });
+
+  test('finds the stations of the affected lines.', () => {
+    const disruptions = normalizeNewsticker(
+      newstickerMessage.content,
+      stations,
+    );
+    expect(disruptions[0].stations).toEqual([
+      { uic: 8000084, name: 'Erding', coordinate: [11.9049, 48.3068] },
+    ]);
+    expect(disruptions[1].stations.map(({ name }) => name)).toEqual(['Pasing']);
+  });
+
+  test('uses the severe severity during an incident program.', () => {
+    const disruptions = normalizeNewsticker({
+      ...newstickerMessage.content,
+      incident_program: true,
+    });
+    expect(disruptions[0].severity).toBe('severe');
+  });
+
+  test('returns no disruption without news.', () => {
+    expect(normalizeNewsticker({ messages: [] })).toEqual([]);
+    expect(normalizeNewsticker(null)).toEqual([]);
+  });
+});
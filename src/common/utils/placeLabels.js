@@ -0,0 +1,65 @@
+import RBush from 'ol/structs/RBush';
+import { containsExtent } from 'ol/extent';
+
+/**
+ * Returns the boxes where a label can be placed around its vehicle,
+ * in the order of preference: right, left, above and below.
+ * @ignore
+ */
+const getCandidateBoxes = ([x, y], distance, width, height) =>
+  [
+    [x + distance, y - height / 2],
+    [x - distance - width, y - height / 2],
+    [x - width / 2, y - distance - height],
+    [x - width / 2, y + distance],
+  ].map(([minX, minY]) => [minX, minY, minX + width, minY + height]);
+
+/**
+ * Returns true if the boxes overlap, touching boxes don't overlap.
+ * @ignore
+ */
+const overlaps = (a, b) =>
+  a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+
+/**
+ * Place the labels next to their vehicle without overlapping each other
+ * nor the obstacles (the vehicles icons). The labels are placed greedily,
+ * in the order of the array, so the most important labels must be first.
+ * A label without free place is not returned.
+ *
+ * @param {Array<Object>} labels Labels to place: { px, distance, width, height }.
+ *   The label is placed at `distance` pixels of the vehicle's pixel `px`.
+ * @param {Array<Array<number>>} obstacles Extents the labels must not overlap.
+ * @param {Array<number>} [extent] If set, the labels must be contained in this extent.
+ * @return {Array<Object>} The placed labels, with their box: [minX, minY, maxX, maxY].
+ * @ignore
+ */
+const placeLabels = (labels, obstacles, extent) => {
+  const rbush = new RBush();
+  rbush.load(
+    obstacles,
+    obstacles.map((box) => ({ box })),
+  );
+  const placed = [];
+  labels.forEach((label) => {
+    const box = getCandidateBoxes(
+      label.px,
+      label.distance,
+      label.width,
+      label.height,
+    ).find(
+      (candidate) =>
+        (!extent || containsExtent(extent, candidate)) &&
+        !rbush
+          .getInExtent(candidate)
+          .some(({ box: placedBox }) => overlaps(placedBox, candidate)),
+    );
+    if (box) {
+      rbush.insert(box, { box });
+      placed.push({ ...label, box });
+    }
+  });
+  return placed;
+};
+
+export default placeLabels;
@@ -0,0 +1,86 @@
+import placeLabels from './placeLabels';
+import { getLabelPriority } from './labelTrackerStyle';
+
+const createLabel = (id, px) => ({
+  id,
+  px,
+  distance: 5,
+  width: 20,
+  height: 10,
+});
+
+describe('placeLabels', () => {
+  test('places the label on the right of the vehicle by default.', () => {
+    const [label] = placeLabels([createLabel('a', [50, 50])], []);
+    expect(label.id).toBe('a');
+    expect(label.box).toEqual([55, 45, 75, 55]);
+  });
+
+  test('moves a label colliding with a previous label.', () => {
+    const placed = placeLabels(
+      [createLabel('a', [50, 50]), createLabel('b', [52, 50])],
+      [],
+    );
+    expect(placed.map(({ id }) => id)).toEqual(['a', 'b']);
+    // The right side of b is taken by a, b is placed on the left.
+    expect(placed[1].box).toEqual([27, 45, 47, 55]);
+  });
+
+  test('hides a label without free place.', () => {
+    const placed = placeLabels(
+      [
+        createLabel('a', [50, 50]),
+        createLabel('b', [50, 50]),
+        createLabel('c', [50, 50]),
+        createLabel('d', [50, 50]),
+        createLabel('e', [50, 50]),
+      ],
+      [],
+    );
+    expect(placed.map(({ id }) => id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test("doesn't overlap the obstacles and stays in the extent.", () => {
+    const placed = placeLabels(
+      [createLabel('a', [50, 50])],
+      [[60, 40, 70, 60]],
+      [0, 0, 100, 58],
+    );
+    // Right is an obstacle, left is free.
+    expect(placed[0].box).toEqual([25, 45, 45, 55]);
+
+    const [label] = placeLabels(
+      [createLabel('a', [90, 50])],
+      [[20, 46, 85, 60]],
+      [0, 0, 100, 100],
+    );
+    // Right is out of the extent, left is an obstacle, above is free.
+    expect(label.box).toEqual([80, 35, 100, 45]);
+  });
+});
+
+describe('getLabelPriority', () => {
+  test('gives priority to the selected, hovered and delayed vehicles.', () => {
+    const options = { selectedVehicleId: 'selected', hoverVehicleId: 'hover' };
+    const ids = ['late', 'selected', 'cancelled', 'onTime', 'hover'];
+    const trajectories = ids.map((id) => ({
+      properties: {
+        train_id: id,
+        delay: id === 'late' ? 120000 : 0,
+        cancelled: id === 'cancelled',
+      },
+    }));
+    const sorted = trajectories
+      .sort(
+        (a, b) => getLabelPriority(b, options) - getLabelPriority(a, options),
+      )
+      .map(({ properties }) => properties.train_id);
+    expect(sorted).toEqual([
+      'selected',
+      'hover',
+      'cancelled',
+      'late',
+      'onTime',
+    ]);
+  });
+});
@@ -0,0 +1,160 @@
+import Observable from 'ol/Observable';
+import { defaultModes, getModeIndex, getTypeIndex } from '../trackerConfig';
+import createCanvas from './createCanvas';
+
+/**
+ * Registered icons by key.
+ * @ignore
+ */
+const icons = {};
+
+/**
+ * Keys of the modes of transport icons by type index, for each modes table.
+ * Emptied each time the registry changes.
+ * @ignore
+ */
+let typeKeysCache = new WeakMap();
+
+/**
+ * Observable dispatching a `change` event each time an icon is loaded,
+ * registered or unregistered. The tracker layers render again on this event.
+ *
+ * @type {ol/Observable~Observable}
+ */
+export const vehicleIcons = new Observable();
+
+/**
+ * Returns the registry key: lines and operators are case insensitive, modes
+ * of transport are stored as registered and resolved with the layer's modes.
+ * @ignore
+ */
+const normalizeKey = (key) => {
+  const [, prefix, name] = key.match(/^(line|operator):(.*)$/) || [];
+  if (prefix) {
+    return `${prefix}:${name.toUpperCase()}`;
+  }
+  return `type:${key}`;
+};
+
+/**
+ * Returns the registry key of the icon of a type, using a modes table.
+ * @ignore
+ */
+const getTypeKey = (type, modes = defaultModes) => {
+  if (!typeKeysCache.has(modes)) {
+    const typeKeys = {};
+    Object.keys(icons)
+      .filter((key) => /^type:/.test(key))
+      .forEach((key) => {
+        const index = getModeIndex(key.slice(5), modes);
+        if (index !== -1) {
+          typeKeys[index] = key;
+        }
+      });
+    typeKeysCache.set(modes, typeKeys);
+  }
+  return typeKeysCache.get(modes)[getTypeIndex(type, modes)];
+};
+
+/**
+ * Load an image in the registry. A change event is dispatched when it's loaded.
+ * @ignore
+ */
+const loadIcon = (registryKey, id, url) => {
+  const image = new Image();
+  const icon = { id, image, loaded: false, rasters: {} };
+  icons[registryKey] = icon;
+  typeKeysCache = new WeakMap();
+  image.onload = () => {
+    icon.loaded = true;
+    vehicleIcons.changed();
+  };
+  image.src = url;
+  return icon;
+};
+
+/**
+ * Register an image used by the delayTrackerStyle instead of the colored
+ * circle, for a mode of transport, an operator or a line. The image is
+ * loaded asynchronously, the circle is drawn until it's loaded.
+ * When several icons match a vehicle, the line icon is used first, then the
+ * operator icon, then the mode of transport icon.
+ *
+ * @example
+ * import { registerVehicleIcon } from 'mobility-toolbox-js/common/utils';
+ *
+ * registerVehicleIcon('bus', 'bus.svg');
+ * registerVehicleIcon('operator:SBB', 'sbb.png');
+ * registerVehicleIcon('line:S1', 's1.svg');
+ *
+ * @param {string} key A mode of transport (the name of a mode like 'bus' or
+ *   'tram', or a type matching a mode), an operator
+ *   prefixed by 'operator:' or a line name prefixed by 'line:'.
+ * @param {string} url Url of the image.
+ */
+export const registerVehicleIcon = (key, url) => {
+  loadIcon(normalizeKey(key), `${key}${url}`, url);
+};
+
+/**
+ * Returns the image of an url, loaded once in the registry. Returns null
+ * until it's loaded, the tracker layers render again at this moment.
+ *
+ * @param {string} url Url of the image.
+ * @return {HTMLImageElement} The image.
+ * @ignore
+ */
+export const getIconImage = (url) => {
+  if (!url || typeof Image === 'undefined') {
+    return null;
+  }
+  const key = `url:${url}`;
+  const icon = icons[key] || loadIcon(key, url, url);
+  return icon.loaded ? icon.image : null;
+};
+
+/**
+ * Remove an icon from the registry.
+ *
+ * @param {string} key The key used to register the icon.
+ */
+export const unregisterVehicleIcon = (key) => {
+  delete icons[normalizeKey(key)];
+  typeKeysCache = new WeakMap();
+  vehicleIcons.changed();
+};
+
+/**
+ * Returns the icon of a vehicle rasterized at a size, null if no icon is
+ * registered or if the icon is not loaded yet.
+ *
+ * @param {Object} properties The properties of a trajectory.
+ * @param {number} size The width and height of the icon in canvas pixels.
+ * @param {Array<TrackerMode>} [modes] The modes of transport of the layer.
+ * @return {Object} The icon: { id, canvas }.
+ * @ignore
+ */
+export const getVehicleIcon = (properties, size, modes) => {
+  const { line, name, operator, type } = properties;
+  const lineName = name || (line && line.name);
+  const icon = [
+    lineName && normalizeKey(`line:${lineName}`),
+    operator && normalizeKey(`operator:${operator}`),
+    getTypeKey(type || 'Rail', modes),
+  ]
+    .filter((key) => key)
+    .map((key) => icons[key])
+    .find((registered) => registered);
+
+  if (!icon || !icon.loaded || !size) {
+    return null;
+  }
+
+  // The image is rasterized once per size.
+  if (!icon.rasters[size]) {
+    const canvas = createCanvas(size, size);
+    canvas.getContext('2d').drawImage(icon.image, 0, 0, size, size);
+    icon.rasters[size] = canvas;
+  }
+  return { id: icon.id, canvas: icon.rasters[size] };
+};
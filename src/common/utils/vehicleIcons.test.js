@@ -0,0 +1,99 @@
+import {
+  vehicleIcons,
+  registerVehicleIcon,
+  unregisterVehicleIcon,
+  getVehicleIcon,
+  getIconImage,
+} from './vehicleIcons';
+import delayTrackerStyle from './delayTrackerStyle';
+import { defaultModes } from '../trackerConfig';
+
+describe('vehicleIcons', () => {
+  let images;
+
+  beforeEach(() => {
+    images = [];
+    jest.spyOn(window, 'Image').mockImplementation(() => {
+      const image = document.createElement('img');
+      images.push(image);
+      return image;
+    });
+  });
+
+  afterEach(() => {
+    ['bus', 'shuttle', 'operator:sbb', 'line:s1'].forEach(
+      unregisterVehicleIcon,
+    );
+    window.Image.mockRestore();
+  });
+
+  test('returns the icon once loaded.', () => {
+    const onChange = jest.fn();
+    vehicleIcons.on('change', onChange);
+    registerVehicleIcon('bus', 'bus.svg');
+    expect(images[0].src).toMatch('bus.svg');
+    expect(getVehicleIcon({ type: 'Bus' }, 20)).toBe(null);
+
+    images[0].onload();
+    expect(onChange).toHaveBeenCalledTimes(1);
+    const icon = getVehicleIcon({ type: 'Bus' }, 20);
+    expect(icon.canvas.width).toBe(20);
+    // The image is rasterized once per size.
+    expect(getVehicleIcon({ type: 'bus' }, 20).canvas).toBe(icon.canvas);
+    expect(getVehicleIcon({ type: 'bus' }, 40).canvas.width).toBe(40);
+    expect(getVehicleIcon({ type: 'tram' }, 20)).toBe(null);
+    vehicleIcons.un('change', onChange);
+  });
+
+  test('loads the image of an url once and notifies when it is loaded.', () => {
+    const onChange = jest.fn();
+    vehicleIcons.on('change', onChange);
+    expect(getIconImage('tram.png')).toBe(null);
+    expect(getIconImage('tram.png')).toBe(null);
+    expect(images.length).toBe(1);
+    images[0].onload();
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(getIconImage('tram.png')).toBe(images[0]);
+    expect(getIconImage(null)).toBe(null);
+    // The image isn't used as a vehicle icon.
+    expect(getVehicleIcon({ type: 'tram' }, 20)).toBe(null);
+    vehicleIcons.un('change', onChange);
+  });
+
+  test('uses the line icon first, then the operator icon.', () => {
+    registerVehicleIcon('bus', 'bus.svg');
+    registerVehicleIcon('operator:SBB', 'sbb.svg');
+    registerVehicleIcon('line:S1', 's1.svg');
+    images.forEach((image) => image.onload());
+    const properties = { type: 'bus', operator: 'sbb', line: { name: 's1' } };
+    expect(getVehicleIcon(properties, 20).id).toBe('line:S1s1.svg');
+    expect(getVehicleIcon({ ...properties, line: null }, 20).id).toBe(
+      'operator:SBBsbb.svg',
+    );
+  });
+
+  test('matches the icons of the modes of transport with the modes of the layer.', () => {
+    const modes = [
+      { ...defaultModes[3], name: 'shuttle', match: /^Shuttle/i },
+      ...defaultModes,
+    ];
+    registerVehicleIcon('shuttle', 'shuttle.svg');
+    registerVehicleIcon('bus', 'bus.svg');
+    images.forEach((image) => image.onload());
+    expect(getVehicleIcon({ type: 'Shuttle' }, 20, modes).id).toBe(
+      'shuttleshuttle.svg',
+    );
+    expect(getVehicleIcon({ type: 'Bus' }, 20, modes).id).toBe('busbus.svg');
+    expect(getVehicleIcon({ type: 'Shuttle' }, 20)).toBe(null);
+  });
+
+  test('replaces the circle in the delayTrackerStyle.', () => {
+    const trajectory = { properties: { train_id: 'foo', type: 'bus' } };
+    const viewState = { zoom: 14, pixelRatio: 1 };
+    const circleCanvas = delayTrackerStyle(trajectory, viewState, {});
+    registerVehicleIcon('bus', 'bus.svg');
+    expect(delayTrackerStyle(trajectory, viewState, {})).toBe(circleCanvas);
+    images[0].onload();
+    expect(delayTrackerStyle(trajectory, viewState, {})).not.toBe(circleCanvas);
+  });
+});
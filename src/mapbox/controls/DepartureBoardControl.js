@@ -0,0 +1,68 @@
+import Control from '../../common/controls/Control';
+import mixin from '../../common/mixins/DepartureBoardMixin';
+
+/**
+ * Display the departures of a station.
+ *
+ * @example
+ * import { Map, DepartureBoardControl } from 'mobility-toolbox-js/mapbox';
+ *
+ * const map = new Map({
+ *   container: 'map',
+ *   style: `https://maps.geops.io/styles/travic_v2/style.json?key=${window.apiKey}`,
+ *   controls: [
+ *     new DepartureBoardControl({
+ *       url: [yourUrl],
+ *       apiKey: [yourApiKey],
+ *       stationLayers: ['stations'],
+ *     })
+ *   ]
+ * });
+ *
+ * @extends {Control}
+ * @implements {DepartureBoardInterface}
+ */
+class DepartureBoardControl extends mixin(Control) {
+  /**
+   * Constructor.
+   *
+   * @param {Object} options Control options, see DepartureBoardInterface.
+   * @param {string[]} [options.stationLayers] Ids of the mapbox style layers queried for a clicked station. Default to all the layers.
+   */
+  constructor(options = {}) {
+    super(options);
+    this.stationLayers = options.stationLayers;
+    this.onClick = this.onClick.bind(this);
+  }
+
+  activate() {
+    super.activate();
+    if (this.map) {
+      this.map.on('click', this.onClick);
+    }
+  }
+
+  deactivate() {
+    if (this.map) {
+      this.map.off('click', this.onClick);
+    }
+    super.deactivate();
+  }
+
+  /**
+   * @private
+   */
+  onClick(evt) {
+    const station = this.map
+      .queryRenderedFeatures(
+        evt.point,
+        this.stationLayers ? { layers: this.stationLayers } : undefined,
+      )
+      .find((feature) => feature.properties && feature.properties.uic);
+    if (station) {
+      this.onStationClick(station.properties);
+    }
+  }
+}
+
+export default DepartureBoardControl;
@@ -2,4 +2,7 @@
 export { default as Map } from './Map';
 export { default as TralisLayer } from './layers/TralisLayer';
 export { default as TrajservLayer } from './layers/TrajservLayer';
+export { default as DisruptionLayer } from './layers/DisruptionLayer';
+export { default as StationsLayer } from './layers/StationsLayer';
 export { default as CopyrightControl } from './controls/CopyrightControl';
+export { default as DepartureBoardControl } from './controls/DepartureBoardControl';
@@ -0,0 +1,210 @@
+import { fromLonLat, toLonLat } from 'ol/proj';
+import { unByKey } from 'ol/Observable';
+import GeoJSON from 'ol/format/GeoJSON';
+import Layer from './Layer';
+import mixin from '../../common/mixins/DisruptionLayerMixin';
+
+/**
+ * Display the stations and the line segments affected by disruptions.
+ *
+ * @example
+ * import { DisruptionLayer } from 'mobility-toolbox-js/mapbox';
+ *
+ * const layer = new DisruptionLayer({
+ *   url: [yourUrl],
+ *   apiKey: [yourApiKey],
+ * });
+ *
+ * layer.onClick((features) => {
+ *   const disruption = features[0] && features[0].get('disruption');
+ * });
+ *
+ * @classproperty {mapboxgl.Map} map - The map where the layer is displayed.
+ * @extends {Layer}
+ * @implements {DisruptionLayerInterface}
+ */
+class DisruptionLayer extends mixin(Layer) {
+  constructor(options = {}) {
+    super(options);
+
+    this.format = new GeoJSON();
+
+    /** @ignore */
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+  }
+
+  /**
+   * Initialize the layer.
+   *
+   * @param {mapboxgl.Map} map A [mapbox Map](https://docs.mapbox.com/mapbox-gl-js/api/map/).
+   * @param {string} beforeId Layer's id before which we want to add the new layer.
+   * @override
+   */
+  init(map, beforeId) {
+    if (!map) {
+      return;
+    }
+
+    super.init(map);
+
+    const visibility = this.visible ? 'visible' : 'none';
+    this.layers = [
+      {
+        id: `${this.key}-segments`,
+        type: 'line',
+        source: this.key,
+        filter: ['==', ['get', 'type'], 'segment'],
+        layout: { visibility },
+        paint: {
+          'line-width': 5,
+          'line-color': ['get', 'color'],
+          'line-dasharray': [2, 2],
+        },
+      },
+      {
+        id: `${this.key}-stations`,
+        type: 'circle',
+        source: this.key,
+        filter: ['==', ['get', 'type'], 'station'],
+        layout: { visibility },
+        paint: {
+          'circle-radius': 7,
+          'circle-color': ['get', 'color'],
+          'circle-stroke-width': 2,
+          'circle-stroke-color': 'white',
+        },
+      },
+    ];
+    map.addSource(this.key, {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: [] },
+      attribution: this.copyrights && this.copyrights.join(', '),
+    });
+    this.layers.forEach((layer) => {
+      map.addLayer(layer, beforeId);
+    });
+
+    this.listeners = [this.on('change:visible', this.onVisibilityChange)];
+    this.renderDisruptions();
+  }
+
+  /**
+   * Remove the layers and the source from the Mapbox Map.
+   */
+  terminate() {
+    if (this.map) {
+      (this.listeners || []).forEach((listener) => {
+        unByKey(listener);
+      });
+      (this.layers || []).forEach(({ id }) => {
+        if (this.map.getLayer(id)) {
+          this.map.removeLayer(id);
+        }
+      });
+      if (this.map.getSource(this.key)) {
+        this.map.removeSource(this.key);
+      }
+    }
+    super.terminate();
+  }
+
+  /**
+   * @private
+   */
+  onVisibilityChange() {
+    this.layers.forEach(({ id }) => {
+      this.map.setLayoutProperty(
+        id,
+        'visibility',
+        this.visible ? 'visible' : 'none',
+      );
+    });
+  }
+
+  /**
+   * Draw the disruptions valid now.
+   *
+   * @private
+   */
+  renderDisruptions() {
+    const source = this.map && this.map.getSource(this.key);
+    if (source) {
+      source.setData({
+        type: 'FeatureCollection',
+        features: this.getDisruptionFeatures(),
+      });
+    }
+  }
+
+  /**
+   * Request feature information for a given coordinate.
+   * The disruption of each feature is available in its disruption property.
+   *
+   * @param {ol/coordinate~Coordinate} coordinate Coordinate in EPSG:3857 to request the information at.
+   * @return {Promise<FeatureInfo>} Promise with features, layer and coordinate.
+   */
+  getFeatureInfoAtCoordinate(coordinate) {
+    let features = [];
+
+    if (this.map && this.layers) {
+      const { x, y } = this.map.project(toLonLat(coordinate));
+      features = this.map
+        .queryRenderedFeatures(
+          [
+            [x - this.hitTolerance, y - this.hitTolerance],
+            [x + this.hitTolerance, y + this.hitTolerance],
+          ],
+          { layers: this.layers.map(({ id }) => id) },
+        )
+        .map((feature) => {
+          const olFeature = this.format.readFeature(feature, {
+            featureProjection: 'EPSG:3857',
+          });
+          olFeature.set(
+            'disruption',
+            this.getFeatureDisruption(feature.properties),
+          );
+          return olFeature;
+        });
+    }
+
+    return Promise.resolve({
+      features,
+      layer: this,
+      coordinate,
+    });
+  }
+
+  /**
+   * Function triggered when the user click the map.
+   * @private
+   */
+  onUserClickCallback(evt) {
+    super.onUserClickCallback({
+      coordinate: fromLonLat(evt.lngLat.toArray()),
+      ...evt,
+    });
+  }
+
+  /**
+   * Function triggered when the user moves the cursor over the map.
+   * @private
+   */
+  onUserMoveCallback(evt) {
+    super.onUserMoveCallback({
+      coordinate: fromLonLat(evt.lngLat.toArray()),
+      ...evt,
+    });
+  }
+
+  /**
+   * Create a copy of the DisruptionLayer.
+   * @param {Object} newOptions Options to override
+   * @return {DisruptionLayer} A DisruptionLayer
+   */
+  clone(newOptions) {
+    return new DisruptionLayer({ ...this.options, ...newOptions });
+  }
+}
+
+export default DisruptionLayer;
@@ -0,0 +1,73 @@
+import mapboxgl from 'mapbox-gl';
+import { toLonLat } from 'ol/proj';
+import DisruptionLayer from './DisruptionLayer';
+
+const disruption = {
+  id: 1,
+  severity: 'info',
+  title: { de: 'Bauarbeiten' },
+  stations: [{ uic: 8500218, name: 'Olten', coordinate: [7.9076, 47.3519] }],
+};
+
+describe('DisruptionLayer', () => {
+  let map;
+  let source;
+
+  beforeEach(() => {
+    map = new mapboxgl.Map({
+      container: document.createElement('div'),
+      style: `path/to/style`,
+      center: toLonLat([831634, 5933959]),
+      zoom: 9,
+    });
+    source = { setData: jest.fn() };
+    map.getSource = jest.fn(() => source);
+    map.setLayoutProperty = jest.fn();
+    map.removeSource = jest.fn();
+  });
+
+  test('adds the source and the layers and draws the disruptions.', () => {
+    const spy = jest.spyOn(map, 'addLayer');
+    const layer = new DisruptionLayer({
+      key: 'disruptions',
+      disruptions: [disruption],
+    });
+    layer.init(map, 'beforeId');
+    expect(spy.mock.calls.map(([{ id }, beforeId]) => [id, beforeId])).toEqual([
+      ['disruptions-segments', 'beforeId'],
+      ['disruptions-stations', 'beforeId'],
+    ]);
+    const { features } = source.setData.mock.calls[0][0];
+    expect(features.length).toBe(1);
+    expect(features[0].properties.color).toBe('#0079c7');
+
+    layer.setVisible(false);
+    expect(map.setLayoutProperty).toHaveBeenCalledWith(
+      'disruptions-stations',
+      'visibility',
+      'none',
+    );
+    layer.terminate();
+  });
+
+  test('returns the disruptions features at a coordinate.', async () => {
+    const layer = new DisruptionLayer({ disruptions: [disruption] });
+    layer.init(map);
+    map.project = jest.fn(() => ({ x: 10, y: 10 }));
+    map.queryRenderedFeatures = jest.fn(() => [
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [7.9076, 47.3519] },
+        properties: layer.getDisruptionFeatures()[0].properties,
+      },
+    ]);
+    const { features } = await layer.getFeatureInfoAtCoordinate([0, 0]);
+    expect(map.queryRenderedFeatures.mock.calls[0][0]).toEqual([
+      [5, 5],
+      [15, 15],
+    ]);
+    expect(features[0].get('name')).toBe('Olten');
+    expect(features[0].get('disruption')).toBe(disruption);
+    layer.terminate();
+  });
+});
@@ -0,0 +1,230 @@
+import { fromLonLat, toLonLat } from 'ol/proj';
+import { unByKey } from 'ol/Observable';
+import Layer from './Layer';
+import mixin, {
+  getStationImportance,
+} from '../../common/mixins/StationsLayerMixin';
+
+/**
+ * Display the stations of the [geOps realtime api](https://developer.geops.io/apis/realtime/),
+ * styled by importance and accessibility.
+ *
+ * @example
+ * import { StationsLayer } from 'mobility-toolbox-js/mapbox';
+ *
+ * const layer = new StationsLayer({
+ *   url: [yourUrl],
+ *   apiKey: [yourApiKey],
+ * });
+ *
+ * layer.onClick(([station]) => {
+ *   console.log(station && station.get('name'));
+ * });
+ *
+ * @classproperty {mapboxgl.Map} map - The map where the layer is displayed.
+ * @extends {Layer}
+ * @implements {StationsLayerInterface}
+ */
+class StationsLayer extends mixin(Layer) {
+  constructor(options = {}) {
+    super(options);
+
+    /** @ignore */
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+  }
+
+  /**
+   * Initialize the layer.
+   *
+   * @param {mapboxgl.Map} map A [mapbox Map](https://docs.mapbox.com/mapbox-gl-js/api/map/).
+   * @param {string} beforeId Layer's id before which we want to add the new layer.
+   * @override
+   */
+  init(map, beforeId) {
+    if (!map) {
+      return;
+    }
+
+    super.init(map);
+
+    const visibility = this.visible ? 'visible' : 'none';
+    this.layers = [
+      {
+        id: `${this.key}-stations`,
+        type: 'circle',
+        source: this.key,
+        layout: { visibility },
+        paint: {
+          'circle-radius': ['match', ['get', 'importance'], 3, 8, 2, 6, 4],
+          'circle-color': 'white',
+          'circle-stroke-width': ['match', ['get', 'importance'], 1, 2, 3],
+          'circle-stroke-color': [
+            'case',
+            ['get', 'hasAccessibility'],
+            '#0079c7',
+            '#333333',
+          ],
+        },
+      },
+      {
+        id: `${this.key}-elevator`,
+        type: 'circle',
+        source: this.key,
+        filter: ['==', ['get', 'elevatorOutOfOrder'], true],
+        layout: { visibility },
+        paint: {
+          'circle-radius': 4,
+          'circle-color': '#eb0000',
+          'circle-stroke-width': 1,
+          'circle-stroke-color': 'white',
+          'circle-translate': [6, -6],
+        },
+      },
+    ];
+    map.addSource(this.key, {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: [] },
+      attribution: this.copyrights && this.copyrights.join(', '),
+    });
+    this.layers.forEach((layer) => {
+      map.addLayer(layer, beforeId);
+    });
+
+    this.listeners = [this.on('change:visible', this.onVisibilityChange)];
+    this.renderStations();
+  }
+
+  /**
+   * Remove the layers and the source from the Mapbox Map.
+   */
+  terminate() {
+    if (this.map) {
+      (this.listeners || []).forEach((listener) => {
+        unByKey(listener);
+      });
+      (this.layers || []).forEach(({ id }) => {
+        if (this.map.getLayer(id)) {
+          this.map.removeLayer(id);
+        }
+      });
+      if (this.map.getSource(this.key)) {
+        this.map.removeSource(this.key);
+      }
+    }
+    super.terminate();
+  }
+
+  /**
+   * @private
+   */
+  onVisibilityChange() {
+    this.layers.forEach(({ id }) => {
+      this.map.setLayoutProperty(
+        id,
+        'visibility',
+        this.visible ? 'visible' : 'none',
+      );
+    });
+  }
+
+  /**
+   * Draw the stations received.
+   *
+   * @private
+   */
+  renderStations() {
+    const source = this.map && this.map.getSource(this.key);
+    if (!source) {
+      return;
+    }
+    // The stations are in EPSG:3857, mapbox needs EPSG:4326.
+    source.setData({
+      type: 'FeatureCollection',
+      features: this.stations.map((station) => {
+        const { properties, geometry } = station;
+        return {
+          type: 'Feature',
+          geometry: {
+            type: 'Point',
+            coordinates: toLonLat(geometry.coordinates),
+          },
+          properties: {
+            uic: properties.uic,
+            name: properties.name,
+            importance: getStationImportance(properties),
+            hasAccessibility: !!properties.hasAccessibility,
+            elevatorOutOfOrder: !!properties.elevatorOutOfOrder,
+          },
+        };
+      }),
+    });
+  }
+
+  /**
+   * Request feature information for a given coordinate.
+   *
+   * @param {ol/coordinate~Coordinate} coordinate Coordinate in EPSG:3857 to request the information at.
+   * @return {Promise<FeatureInfo>} Promise with the stations features, layer and coordinate.
+   */
+  getFeatureInfoAtCoordinate(coordinate) {
+    let features = [];
+
+    if (this.map && this.layers) {
+      const { x, y } = this.map.project(toLonLat(coordinate));
+      const uics = this.map
+        .queryRenderedFeatures(
+          [
+            [x - this.hitTolerance, y - this.hitTolerance],
+            [x + this.hitTolerance, y + this.hitTolerance],
+          ],
+          { layers: this.layers.map(({ id }) => id) },
+        )
+        .map(({ properties }) => properties.uic);
+
+      // Mapbox serializes the properties, the original stations are returned.
+      features = [...new Set(uics)]
+        .map((uic) => this.getStation(uic))
+        .filter((station) => station)
+        .map((station) => this.format.readFeature(station));
+    }
+
+    return Promise.resolve({
+      features,
+      layer: this,
+      coordinate,
+    });
+  }
+
+  /**
+   * Function triggered when the user click the map.
+   * @private
+   */
+  onUserClickCallback(evt) {
+    super.onUserClickCallback({
+      coordinate: fromLonLat(evt.lngLat.toArray()),
+      ...evt,
+    });
+  }
+
+  /**
+   * Function triggered when the user moves the cursor over the map.
+   * @private
+   */
+  onUserMoveCallback(evt) {
+    super.onUserMoveCallback({
+      coordinate: fromLonLat(evt.lngLat.toArray()),
+      ...evt,
+    });
+  }
+
+  /**
+   * Create a copy of the StationsLayer.
+   * @param {Object} newOptions Options to override
+   * @return {StationsLayer} A StationsLayer
+   */
+  clone(newOptions) {
+    return new StationsLayer({ ...this.options, ...newOptions });
+  }
+}
+
+export default StationsLayer;
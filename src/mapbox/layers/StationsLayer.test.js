@@ -0,0 +1,76 @@
+import mapboxgl from 'mapbox-gl';
+import { fromLonLat, toLonLat } from 'ol/proj';
+import StationsLayer from './StationsLayer';
+
+const station = {
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: fromLonLat([7.9076, 47.3519]) },
+  properties: {
+    uic: 8500218,
+    name: 'Olten',
+    networkLines: [{ name: 'S23' }],
+    transfers: [{ mot: 'Bus', lines: ['1', '2'] }],
+    elevatorOutOfOrder: true,
+  },
+};
+
+describe('StationsLayer', () => {
+  let map;
+  let api;
+  let source;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    map = new mapboxgl.Map({
+      container: document.createElement('div'),
+      style: `path/to/style`,
+      center: toLonLat([831634, 5933959]),
+      zoom: 9,
+    });
+    source = { setData: jest.fn() };
+    map.getSource = jest.fn(() => source);
+    map.removeSource = jest.fn();
+    api = { subscribeStations: jest.fn(() => ({ unsubscribe: () => {} })) };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('draws the stations in EPSG:4326.', () => {
+    const layer = new StationsLayer({ api, key: 'stations' });
+    const spy = jest.spyOn(map, 'addLayer');
+    layer.init(map);
+    expect(spy.mock.calls.map(([{ id }]) => id)).toEqual([
+      'stations-stations',
+      'stations-elevator',
+    ]);
+    api.subscribeStations.mock.calls[0][1](station);
+    jest.advanceTimersByTime(50);
+    const { features } = source.setData.mock.calls.pop()[0];
+    expect(features[0].geometry.coordinates[0]).toBeCloseTo(7.9076);
+    expect(features[0].properties).toEqual({
+      uic: 8500218,
+      name: 'Olten',
+      importance: 2,
+      hasAccessibility: false,
+      elevatorOutOfOrder: true,
+    });
+    layer.terminate();
+  });
+
+  test('returns the original station at a coordinate.', async () => {
+    const layer = new StationsLayer({ api });
+    layer.init(map);
+    api.subscribeStations.mock.calls[0][1](station);
+    map.project = jest.fn(() => ({ x: 10, y: 10 }));
+    map.queryRenderedFeatures = jest.fn(() => [
+      { properties: { uic: 8500218, networkLines: '[]' } },
+      { properties: { uic: 8500218 } },
+    ]);
+    const { features } = await layer.getFeatureInfoAtCoordinate([0, 0]);
+    expect(features.length).toBe(1);
+    expect(features[0].get('networkLines')).toEqual([{ name: 'S23' }]);
+    layer.terminate();
+  });
+});
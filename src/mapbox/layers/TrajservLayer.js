@@ -3,6 +3,7 @@ import { buffer, getWidth } from 'ol/extent';
 import { unByKey } from 'ol/Observable';
 import TrackerLayer from './TrackerLayer';
 import mixin from '../../common/mixins/TrajservLayerMixin';
+import { getGeofenceBbox } from '../../common/utils/geofence';
 
 /**
  * Responsible for loading and display data from a Trajserv service.
@@ -89,8 +90,12 @@ class TrajservLayer extends mixin(TrackerLayer) {
     bounds[1][1] = (bounds[1][1] < this.locationBBox.southWestBound[1]) ? this.locationBBox.southWestBound[1] : (this.locationBBox.northEastBound[1] < bounds[1][1]) ? this.locationBBox.northEastBound[1] : bounds[1][1];
     const southWest = fromLonLat(bounds[0]);
     const northEast = fromLonLat(bounds[1]);
-    const ext = [...southWest, ...northEast];
-    const bbox = buffer(ext, getWidth(ext) / 10).join(',');
+    const ext = getGeofenceBbox(this.geofenceArea, [
+      ...southWest,
+      ...northEast,
+    ]);
+    // No bbox if the view is outside the geofence.
+    const bbox = ext && buffer(ext, getWidth(ext) / 10).join(',');
     const zoom = this.map.getZoom();
 
     return super.getParams({
@@ -1,7 +1,7 @@
 import TrackerLayer from './TrackerLayer';
 import mixin from '../../common/mixins/TralisLayerMixin';
 import { toLonLat } from 'ol/proj';
-import {bgColors, types, getTypeIndex} from '../../common/trackerConfig';
+import {getBgColor, getTypeIndex} from '../../common/trackerConfig';
 
 /**
  * Responsible for loading and display data from a Tralis service.
@@ -98,7 +98,7 @@ class TralisLayer extends mixin(TrackerLayer) {
         .getFullTrajectory(id, this.mode, this.generalizationLevel)
         .then((fullTrajectory) => {
            const type = fullTrajectory.features[0].properties.type
-           fullTrajectory.features[0].properties.typeIdx = getTypeIndex(type)
+           fullTrajectory.features[0].properties.typeIdx = getTypeIndex(type, this.modes)
 
           let lineColor = fullTrajectory.features[0].properties.stroke
           if (lineColor && lineColor[0] !== '#') {
@@ -106,7 +106,7 @@ class TralisLayer extends mixin(TrackerLayer) {
             fullTrajectory.features[0].properties.stroke = lineColor;
           }
           else if(!lineColor){
-              lineColor = bgColors[types.findIndex((t) => t.test(type))]
+              lineColor = getBgColor(type, this.modes)
           }
 
           fullTrajectory.features[0].geometry.geometries.forEach(element => {
@@ -129,6 +129,12 @@ class TralisLayer extends mixin(TrackerLayer) {
           this.map.getSource("selectedLineTraject").setData(fullTrajectory);
           this.map.setPaintProperty('trajectoryLine', 'line-gradient', linePaintInterpolation);
         })
+        .catch(() => {
+          // No response from the server, nothing is highlighted.
+          this.map
+            .getSource('selectedLineTraject')
+            .setData({ type: 'FeatureCollection', features: [] });
+        });
     }
   }
 
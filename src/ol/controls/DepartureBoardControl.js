@@ -0,0 +1,67 @@
+import Control from '../../common/controls/Control';
+import mixin from '../../common/mixins/DepartureBoardMixin';
+
+/**
+ * Display the departures of a station.
+ *
+ * @example
+ * import { Map, DepartureBoardControl } from 'mobility-toolbox-js/ol';
+ *
+ * const map = new Map({
+ *   target: 'map',
+ *   controls: [
+ *     new DepartureBoardControl({
+ *       url: [yourUrl],
+ *       apiKey: [yourApiKey],
+ *       uic: 8500010,
+ *       name: 'Basel SBB',
+ *     })
+ *   ]
+ * });
+ *
+ * @extends {Control}
+ * @implements {DepartureBoardInterface}
+ */
+class DepartureBoardControl extends mixin(Control) {
+  /**
+   * Constructor.
+   *
+   * @param {Object} options Control options, see DepartureBoardInterface.
+   * @param {function} [options.layerFilter] Function called with each ol layer of the map, only the layers returning true are queried for a clicked station. Default to all the layers.
+   */
+  constructor(options = {}) {
+    super(options);
+    this.layerFilter = options.layerFilter;
+    this.onSingleClick = this.onSingleClick.bind(this);
+  }
+
+  activate() {
+    super.activate();
+    if (this.map) {
+      this.map.on('singleclick', this.onSingleClick);
+    }
+  }
+
+  deactivate() {
+    if (this.map) {
+      this.map.un('singleclick', this.onSingleClick);
+    }
+    super.deactivate();
+  }
+
+  /**
+   * @private
+   */
+  onSingleClick(evt) {
+    const station = this.map.forEachFeatureAtPixel(
+      evt.pixel,
+      (feature) => (feature.get('uic') ? feature : undefined),
+      { layerFilter: this.layerFilter },
+    );
+    if (station) {
+      this.onStationClick(station.getProperties());
+    }
+  }
+}
+
+export default DepartureBoardControl;
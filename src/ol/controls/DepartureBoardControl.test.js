@@ -0,0 +1,152 @@
+import View from 'ol/View';
+import Feature from 'ol/Feature';
+import Point from 'ol/geom/Point';
+import Map from '../Map';
+import DepartureBoardControl from './DepartureBoardControl';
+
+const departure = {
+  call_id: 1,
+  time: new Date(2021, 1, 1, 12, 3).getTime(),
+  ris_aimed_time: new Date(2021, 1, 1, 12, 0).getTime(),
+  ris_estimated_time: new Date(2021, 1, 1, 12, 3).getTime(),
+  to: ['Basel SBB'],
+  platform: '4',
+  line: { name: 'IC 1', color: 'red', text_color: 'white', stroke: 'black' },
+  state: 'BOARDING',
+};
+
+describe('DepartureBoardControl', () => {
+  let map;
+  let api;
+  let unsubscribe;
+
+  beforeEach(() => {
+    const target = document.createElement('div');
+    document.body.appendChild(target);
+    map = new Map({
+      target,
+      view: new View({
+        center: [0, 0],
+        zoom: 0,
+      }),
+    });
+    unsubscribe = jest.fn();
+    api = {
+      open: jest.fn(),
+      subscribeDepartures: jest.fn(() => ({ unsubscribe })),
+    };
+  });
+
+  afterEach(() => {
+    if (map) {
+      map.setTarget(null);
+      map = null;
+    }
+  });
+
+  test('should be activate by default', () => {
+    const control = new DepartureBoardControl({ api });
+    expect(control.active).toBe(true);
+  });
+
+  test('subscribes to the departures of the station and renders them.', () => {
+    const control = new DepartureBoardControl({
+      api,
+      uic: 8500010,
+      name: 'Olten',
+      filterOptions: { platforms: ['4'] },
+    });
+    control.map = map;
+    expect(api.subscribeDepartures).toHaveBeenCalledTimes(1);
+    expect(api.subscribeDepartures.mock.calls[0][0]).toBe(8500010);
+    expect(api.subscribeDepartures.mock.calls[0][1]).toEqual({
+      sortByMinArrivalTime: false,
+      platforms: ['4'],
+    });
+    expect(control.element.style.display).toBe('flex');
+
+    const onMessage = api.subscribeDepartures.mock.calls[0][2];
+    onMessage([
+      departure,
+      { ...departure, call_id: 2, state: 'HIDDEN' },
+      { ...departure, call_id: 3, state: null, cancelled: true },
+    ]);
+    const rows = control.element.querySelectorAll('.mbt-departure');
+    expect(rows.length).toBe(2);
+    expect(control.element.textContent).toContain('Olten');
+
+    const line = rows[0].querySelector('.mbt-departure-line');
+    expect(line.textContent).toBe('IC 1');
+    expect(line.style.backgroundColor).toBe('red');
+    expect(line.style.color).toBe('white');
+    expect(rows[0].querySelector('.mbt-departure-to').textContent).toBe(
+      'Basel SBB',
+    );
+    expect(rows[0].querySelector('.mbt-departure-platform').textContent).toBe(
+      '4',
+    );
+    expect(rows[0].querySelector('.mbt-departure-state').textContent).toBe(
+      'Boarding',
+    );
+    expect(rows[0].querySelector('.mbt-departure-time').textContent).toBe(
+      '12:0012:03',
+    );
+    expect(rows[1].querySelector('.mbt-departure-state').textContent).toBe(
+      'Cancelled',
+    );
+  });
+
+  test('unsubscribes when it is closed or deactivated.', () => {
+    const control = new DepartureBoardControl({ api, uic: 8500010 });
+    control.map = map;
+    control.active = false;
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(control.element.style.display).toBe('none');
+
+    control.active = true;
+    expect(api.subscribeDepartures).toHaveBeenCalledTimes(2);
+    control.close();
+    expect(unsubscribe).toHaveBeenCalledTimes(2);
+    expect(control.station).toBe(null);
+    expect(control.element.style.display).toBe('none');
+  });
+
+  test('closes the api it created when deactivated.', () => {
+    const control = new DepartureBoardControl({ apiKey: 'foo', uic: 8500010 });
+    expect(control.ownApi).toBe(true);
+    const open = jest.spyOn(control.api, 'open').mockImplementation(() => {});
+    const close = jest.spyOn(control.api, 'close').mockImplementation(() => {});
+    jest
+      .spyOn(control.api, 'subscribeDepartures')
+      .mockReturnValue({ unsubscribe });
+    control.map = map;
+    expect(open).toHaveBeenCalledTimes(1);
+
+    control.active = false;
+    expect(close).toHaveBeenCalledTimes(1);
+    expect(control.apiOpened).toBe(false);
+
+    control.active = true;
+    expect(open).toHaveBeenCalledTimes(2);
+    control.map = null;
+    expect(close).toHaveBeenCalledTimes(2);
+  });
+
+  test('opens the board of a clicked station.', () => {
+    const control = new DepartureBoardControl({ api });
+    control.map = map;
+    expect(api.subscribeDepartures).not.toHaveBeenCalled();
+
+    const station = new Feature({
+      geometry: new Point([0, 0]),
+      uic: 8500218,
+      name: 'Bern',
+    });
+    jest
+      .spyOn(map, 'forEachFeatureAtPixel')
+      .mockImplementation((pixel, callback) => callback(station));
+    map.dispatchEvent({ type: 'singleclick', pixel: [0, 0] });
+    expect(api.subscribeDepartures.mock.calls[0][0]).toBe(8500218);
+    expect(control.station).toEqual({ uic: 8500218, name: 'Bern' });
+  });
+});
@@ -1,13 +1,16 @@
 export { default as Map } from './Map';
 export { default as Layer } from './layers/Layer';
+export { default as DisruptionLayer } from './layers/DisruptionLayer';
 export { default as MapboxLayer } from './layers/MapboxLayer';
 export { default as MapboxStyleLayer } from './layers/MapboxStyleLayer';
 export { default as RoutingLayer } from './layers/RoutingLayer';
+export { default as StationsLayer } from './layers/StationsLayer';
 export { default as TrackerLayer } from './layers/TrackerLayer';
 export { default as TrajservLayer } from './layers/TrajservLayer';
 export { default as TralisLayer } from './layers/TralisLayer';
 export { default as VectorLayer } from './layers/VectorLayer';
 export { default as WMSLayer } from './layers/WMSLayer';
 export { default as CopyrightControl } from './controls/CopyrightControl';
+export { default as DepartureBoardControl } from './controls/DepartureBoardControl';
 export { default as RoutingControl } from './controls/RoutingControl';
 export { default as StopFinderControl } from './controls/StopFinderControl';
@@ -0,0 +1,134 @@
+import { Circle, Fill, Stroke, Style } from 'ol/style';
+import { Vector as VectorSource } from 'ol/source';
+import { Vector } from 'ol/layer';
+import GeoJSON from 'ol/format/GeoJSON';
+import Layer from './Layer';
+import mixin from '../../common/mixins/DisruptionLayerMixin';
+
+const styleCache = {};
+
+const defaultStyleFunction = (feature) => {
+  const type = feature.get('type');
+  const color = feature.get('color');
+  const key = `${type}${color}`;
+
+  if (!styleCache[key]) {
+    styleCache[key] =
+      type === 'station'
+        ? new Style({
+            image: new Circle({
+              radius: 7,
+              fill: new Fill({ color }),
+              stroke: new Stroke({ color: 'white', width: 2 }),
+            }),
+            zIndex: 1,
+          })
+        : [
+            new Style({ stroke: new Stroke({ color: 'white', width: 8 }) }),
+            new Style({
+              stroke: new Stroke({ color, width: 5, lineDash: [10, 10] }),
+            }),
+          ];
+  }
+  return styleCache[key];
+};
+
+/**
+ * Display the stations and the line segments affected by disruptions.
+ *
+ * @example
+ * import { DisruptionLayer } from 'mobility-toolbox-js/ol';
+ *
+ * const layer = new DisruptionLayer({
+ *   url: [yourUrl],
+ *   apiKey: [yourApiKey],
+ * });
+ *
+ * layer.onClick((features) => {
+ *   const disruption = features[0] && features[0].get('disruption');
+ * });
+ *
+ * @classproperty {ol/Map~Map} map - The map where the layer is displayed.
+ * @extends {Layer}
+ * @implements {DisruptionLayerInterface}
+ */
+class DisruptionLayer extends mixin(Layer) {
+  /**
+   * Constructor.
+   *
+   * @param {Object} [options] Layer options, see DisruptionLayerInterface.
+   * @param {ol/style/Style~StyleLike} [options.style] Style of the features returned by getDisruptionFeatures.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.format = new GeoJSON();
+    this.olLayer =
+      options.olLayer ||
+      new Vector({
+        source: new VectorSource(),
+        style: options.style || defaultStyleFunction,
+      });
+    this.renderDisruptions();
+  }
+
+  /**
+   * Draw the disruptions valid now.
+   *
+   * @private
+   */
+  renderDisruptions() {
+    const source = this.olLayer && this.olLayer.getSource();
+    if (!source) {
+      return;
+    }
+    const features = this.format.readFeatures(
+      { type: 'FeatureCollection', features: this.getDisruptionFeatures() },
+      { featureProjection: 'EPSG:3857' },
+    );
+    features.forEach((feature) => {
+      feature.set(
+        'disruption',
+        this.getFeatureDisruption(feature.getProperties()),
+      );
+    });
+    source.clear();
+    source.addFeatures(features);
+  }
+
+  /**
+   * Request feature information for a given coordinate.
+   * The disruption of each feature is available in its disruption property.
+   *
+   * @param {ol/coordinate~Coordinate} coordinate the coordinate to request the information at.
+   * @return {Promise<FeatureInfo>} Promise with features, layer and coordinate.
+   */
+  getFeatureInfoAtCoordinate(coordinate) {
+    let features = [];
+
+    if (this.map) {
+      const pixel = this.map.getPixelFromCoordinate(coordinate);
+      features = this.map.getFeaturesAtPixel(pixel, {
+        layerFilter: (l) => l === this.olLayer,
+        hitTolerance: this.hitTolerance,
+      });
+    }
+
+    return Promise.resolve({
+      features,
+      layer: this,
+      coordinate,
+    });
+  }
+
+  /**
+   * Create a copy of the DisruptionLayer.
+   * @param {Object} newOptions Options to override
+   * @return {DisruptionLayer} A DisruptionLayer
+   */
+  clone(newOptions) {
+    return new DisruptionLayer({ ...this.options, ...newOptions });
+  }
+}
+
+export default DisruptionLayer;
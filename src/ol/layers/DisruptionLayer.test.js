@@ -0,0 +1,198 @@
+import View from 'ol/View';
+import { fromLonLat } from 'ol/proj';
+import newstickerMessage from '../../../data/newsticker.json';
+import Map from '../Map';
+import DisruptionLayer from './DisruptionLayer';
+import { TralisAPI } from '../../api';
+import FakeTralisServer from '../../api/tralis/testUtils/FakeTralisServer';
+
+const now = Date.now();
+const disruption = {
+  id: 1,
+  severity: 'severe',
+  title: { de: 'Unterbruch', fr: 'Interruption' },
+  text: { de: 'Kein Zugverkehr zwischen Olten und Aarau.' },
+  validity: [{ from: now - 60000, to: now + 60000 }],
+  lines: [{ name: 'S23' }],
+  stations: [
+    { uic: 8500218, name: 'Olten', coordinate: [7.9076, 47.3519] },
+    { uic: 8502113, name: 'Aarau', coordinate: [8.0512, 47.3913] },
+    { uic: 8500000, name: 'Unknown' },
+  ],
+  segments: [
+    {
+      line: 'S23',
+      from: 8500218,
+      to: 8502113,
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [7.9076, 47.3519],
+          [8.0512, 47.3913],
+        ],
+      },
+    },
+  ],
+};
+const expired = {
+  ...disruption,
+  id: 2,
+  validity: [{ from: now - 120000, to: now - 60000 }],
+};
+
+describe('DisruptionLayer', () => {
+  let map;
+
+  beforeEach(() => {
+    map = new Map({
+      view: new View({ resolution: 5 }),
+      target: document.body,
+    });
+  });
+
+  afterEach(() => {
+    map.setTarget(null);
+  });
+
+  test('displays the stations and segments of the valid disruptions.', () => {
+    const layer = new DisruptionLayer({
+      disruptions: [disruption, expired],
+      language: 'fr',
+    });
+    expect(layer.api).toBe(undefined);
+    const features = layer.olLayer.getSource().getFeatures();
+    expect(features.length).toBe(3);
+    const station = features.find((f) => f.get('uic') === 8500218);
+    expect(station.get('type')).toBe('station');
+    expect(station.get('name')).toBe('Olten');
+    expect(station.get('title')).toBe('Interruption');
+    expect(station.get('color')).toBe('#eb0000');
+    expect(station.get('disruption')).toBe(disruption);
+    expect(station.getGeometry().getCoordinates()).toEqual(
+      fromLonLat([7.9076, 47.3519]),
+    );
+    const segment = features.find((f) => f.get('type') === 'segment');
+    expect(segment.get('name')).toBe('S23');
+  });
+
+  test('uses the first language available and the severity colors.', () => {
+    const layer = new DisruptionLayer({
+      disruptions: [{ ...disruption, severity: 'warning' }],
+      language: 'it',
+      severityColors: { warning: 'yellow' },
+    });
+    const [feature] = layer.getDisruptionFeatures();
+    expect(feature.properties.title).toBe('Unterbruch');
+    expect(feature.properties.color).toBe('yellow');
+  });
+
+  test('displays the stations of the lines of the news received.', async () => {
+    const server = new FakeTralisServer();
+    const station = (uic, name, coordinate, lineIds) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: fromLonLat(coordinate) },
+      properties: {
+        uic,
+        name,
+        networkLines: lineIds.map((id) => ({ id, name: `S${id}` })),
+      },
+    });
+    server.setData('station', [
+      station(8000084, 'Erding', [11.9049, 48.3068], [2]),
+      station(8004733, 'Pasing', [11.4616, 48.1496], [3, 6]),
+      station(8004158, 'Ostbahnhof', [11.6049, 48.1274], [7]),
+    ]);
+    const api = new TralisAPI({
+      url: 'ws://fake',
+      prefix: 'sbm_',
+      transport: server,
+    });
+    api.open();
+    const layer = new DisruptionLayer({ api });
+    layer.init(map);
+    const source = layer.olLayer.getSource();
+    const { content } = newstickerMessage;
+
+    // Wait for the stations.
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+    await server.publish(newstickerMessage.source, content);
+    expect(layer.disruptions.length).toBe(2);
+    const names = () =>
+      source
+        .getFeatures()
+        .map((f) => f.get('name'))
+        .sort();
+    expect(names()).toEqual(['Erding', 'Pasing']);
+    const [erding] = source
+      .getFeatures()
+      .filter((f) => f.get('uic') === 8000084);
+    expect(erding.get('title')).toBe(content.messages[0].title);
+    expect(erding.get('color')).toBe('#f0a30a');
+    expect(erding.getGeometry().getCoordinates()[0]).toBeCloseTo(
+      fromLonLat([11.9049, 48.3068])[0],
+    );
+
+    // The first news is closed.
+    await server.publish(newstickerMessage.source, {
+      ...content,
+      messages: content.messages.slice(1),
+    });
+    expect(layer.disruptions.length).toBe(1);
+    expect(names()).toEqual(['Pasing']);
+
+    await server.publish(newstickerMessage.source, {
+      incident_program: false,
+      messages: [],
+    });
+    expect(layer.disruptions).toEqual([]);
+    expect(source.getFeatures().length).toBe(0);
+
+    layer.terminate();
+    expect(server.messages).toContain('DEL sbm_newsticker');
+    api.close();
+  });
+
+  test('closes the api it created when terminated.', () => {
+    const layer = new DisruptionLayer({ url: 'ws://foo:1234', apiKey: 'foo' });
+    expect(layer.ownApi).toBe(true);
+    const open = jest.spyOn(layer.api, 'open').mockImplementation(() => {});
+    const close = jest.spyOn(layer.api, 'close').mockImplementation(() => {});
+    jest
+      .spyOn(layer.api, 'subscribeDisruptions')
+      .mockReturnValue({ unsubscribe: () => {} });
+    jest.spyOn(layer.api, 'getStations').mockResolvedValue([]);
+    layer.init(map);
+    expect(open).toHaveBeenCalledTimes(1);
+    layer.terminate();
+    expect(close).toHaveBeenCalledTimes(1);
+    expect(layer.apiOpened).toBe(false);
+    layer.init(map);
+    expect(open).toHaveBeenCalledTimes(2);
+    layer.terminate();
+  });
+
+  test('returns the disruptions features at a coordinate.', async () => {
+    const layer = new DisruptionLayer({ disruptions: [disruption] });
+    layer.init(map);
+    const features = layer.olLayer.getSource().getFeatures();
+    jest.spyOn(map, 'getPixelFromCoordinate').mockReturnValue([10, 10]);
+    const spy = jest
+      .spyOn(map, 'getFeaturesAtPixel')
+      .mockReturnValue([features[0]]);
+    const featureInfo = await layer.getFeatureInfoAtCoordinate([0, 0]);
+    expect(spy.mock.calls[0][1].layerFilter(layer.olLayer)).toBe(true);
+    expect(featureInfo.layer).toBe(layer);
+    expect(featureInfo.features[0].get('disruption')).toBe(disruption);
+    layer.terminate();
+  });
+
+  test('should clone', () => {
+    const layer = new DisruptionLayer({ name: 'layer', disruptions: [] });
+    const clone = layer.clone({ name: 'clone' });
+    expect(clone).not.toBe(layer);
+    expect(clone.name).toBe('clone');
+    expect(clone).toBeInstanceOf(DisruptionLayer);
+  });
+});
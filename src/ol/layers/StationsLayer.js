@@ -0,0 +1,137 @@
+import { Circle, Fill, Stroke, Style } from 'ol/style';
+import { Vector as VectorSource } from 'ol/source';
+import { Vector } from 'ol/layer';
+import Layer from './Layer';
+import mixin, {
+  getStationImportance,
+} from '../../common/mixins/StationsLayerMixin';
+
+const radiuses = [0, 4, 6, 8];
+const styleCache = {};
+
+const defaultStyleFunction = (feature) => {
+  const importance = getStationImportance(feature.getProperties());
+  const accessible = !!feature.get('hasAccessibility');
+  const elevatorOutOfOrder = !!feature.get('elevatorOutOfOrder');
+  const key = `${importance}${accessible}${elevatorOutOfOrder}`;
+
+  if (!styleCache[key]) {
+    const radius = radiuses[importance];
+    styleCache[key] = [
+      new Style({
+        image: new Circle({
+          radius,
+          fill: new Fill({ color: 'white' }),
+          stroke: new Stroke({
+            color: accessible ? '#0079c7' : '#333333',
+            width: importance > 1 ? 3 : 2,
+          }),
+        }),
+        zIndex: importance,
+      }),
+    ];
+
+    // Badge displayed at the top right of the station.
+    if (elevatorOutOfOrder) {
+      styleCache[key].push(
+        new Style({
+          image: new Circle({
+            radius: 4,
+            displacement: [radius, radius],
+            fill: new Fill({ color: '#eb0000' }),
+            stroke: new Stroke({ color: 'white', width: 1 }),
+          }),
+          zIndex: importance,
+        }),
+      );
+    }
+  }
+  return styleCache[key];
+};
+
+/**
+ * Display the stations of the [geOps realtime api](https://developer.geops.io/apis/realtime/),
+ * styled by importance and accessibility.
+ *
+ * @example
+ * import { StationsLayer } from 'mobility-toolbox-js/ol';
+ *
+ * const layer = new StationsLayer({
+ *   url: [yourUrl],
+ *   apiKey: [yourApiKey],
+ * });
+ *
+ * layer.onClick(([station]) => {
+ *   console.log(station && station.get('name'));
+ * });
+ *
+ * @classproperty {ol/Map~Map} map - The map where the layer is displayed.
+ * @extends {Layer}
+ * @implements {StationsLayerInterface}
+ */
+class StationsLayer extends mixin(Layer) {
+  /**
+   * Constructor.
+   *
+   * @param {Object} [options] Layer options, see StationsLayerInterface.
+   * @param {ol/style/Style~StyleLike} [options.style] Style of the stations.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.olLayer =
+      options.olLayer ||
+      new Vector({
+        source: new VectorSource(),
+        style: options.style || defaultStyleFunction,
+      });
+  }
+
+  /**
+   * Draw the stations received.
+   *
+   * @private
+   */
+  renderStations() {
+    const source = this.olLayer.getSource();
+    source.clear();
+    source.addFeatures(
+      this.stations.map((station) => this.format.readFeature(station)),
+    );
+  }
+
+  /**
+   * Request feature information for a given coordinate.
+   *
+   * @param {ol/coordinate~Coordinate} coordinate the coordinate to request the information at.
+   * @return {Promise<FeatureInfo>} Promise with the stations features, layer and coordinate.
+   */
+  getFeatureInfoAtCoordinate(coordinate) {
+    let features = [];
+
+    if (this.map) {
+      const pixel = this.map.getPixelFromCoordinate(coordinate);
+      features = this.map.getFeaturesAtPixel(pixel, {
+        layerFilter: (l) => l === this.olLayer,
+        hitTolerance: this.hitTolerance,
+      });
+    }
+
+    return Promise.resolve({
+      features,
+      layer: this,
+      coordinate,
+    });
+  }
+
+  /**
+   * Create a copy of the StationsLayer.
+   * @param {Object} newOptions Options to override
+   * @return {StationsLayer} A StationsLayer
+   */
+  clone(newOptions) {
+    return new StationsLayer({ ...this.options, ...newOptions });
+  }
+}
+
+export default StationsLayer;
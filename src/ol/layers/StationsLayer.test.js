@@ -0,0 +1,124 @@
+import View from 'ol/View';
+import { TralisModes } from '../../api';
+import Map from '../Map';
+import StationsLayer from './StationsLayer';
+
+const createStation = (uic, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [uic, uic] },
+  properties: { uic, name: `Station ${uic}`, networkLines: [], ...properties },
+});
+
+describe('StationsLayer', () => {
+  let map;
+  let api;
+  let unsubscribe;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    map = new Map({
+      view: new View({ resolution: 5 }),
+      target: document.body,
+    });
+    unsubscribe = jest.fn();
+    api = { subscribeStations: jest.fn(() => ({ unsubscribe })) };
+  });
+
+  afterEach(() => {
+    map.setTarget(null);
+    jest.useRealTimers();
+  });
+
+  test('keeps the stations received up to date.', () => {
+    const layer = new StationsLayer({ api });
+    layer.init(map);
+    expect(api.subscribeStations.mock.calls[0][0]).toBe(
+      TralisModes.TOPOGRAPHIC,
+    );
+    const onMessage = api.subscribeStations.mock.calls[0][1];
+    const source = layer.olLayer.getSource();
+
+    onMessage(createStation(1));
+    onMessage(createStation(2));
+    expect(source.getFeatures().length).toBe(0);
+    jest.advanceTimersByTime(50);
+    expect(source.getFeatures().length).toBe(2);
+
+    onMessage(createStation(1, { name: 'Olten' }));
+    jest.advanceTimersByTime(50);
+    expect(layer.stations.length).toBe(2);
+    expect(layer.getStation(1).properties.name).toBe('Olten');
+    expect(source.getFeatures().length).toBe(2);
+
+    layer.terminate();
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  test('subscribes to the stations of the new mode.', () => {
+    const layer = new StationsLayer({ api });
+    layer.init(map);
+    api.subscribeStations.mock.calls[0][1](createStation(1));
+    jest.advanceTimersByTime(50);
+
+    layer.setMode(TralisModes.SCHEMATIC);
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(api.subscribeStations.mock.calls[1][0]).toBe(TralisModes.SCHEMATIC);
+    expect(layer.olLayer.getSource().getFeatures().length).toBe(0);
+    layer.terminate();
+  });
+
+  test('closes the api it created when terminated.', () => {
+    const layer = new StationsLayer({ url: 'ws://foo:1234', apiKey: 'foo' });
+    expect(layer.ownApi).toBe(true);
+    const open = jest.spyOn(layer.api, 'open').mockImplementation(() => {});
+    const close = jest.spyOn(layer.api, 'close').mockImplementation(() => {});
+    jest.spyOn(layer.api, 'subscribeStations').mockReturnValue({ unsubscribe });
+    layer.init(map);
+    layer.setMode(TralisModes.SCHEMATIC);
+    expect(open).toHaveBeenCalledTimes(1);
+    expect(close).toHaveBeenCalledTimes(0);
+    layer.terminate();
+    expect(close).toHaveBeenCalledTimes(1);
+    expect(layer.apiOpened).toBe(false);
+  });
+
+  test('styles the stations by importance and accessibility.', () => {
+    const layer = new StationsLayer({ api });
+    const style = layer.olLayer.getStyle();
+    const feature = (properties) =>
+      layer.format.readFeature(createStation(1, properties));
+
+    const [stop] = style(feature({ networkLines: [{ name: 'S1' }] }));
+    expect(stop.getImage().getRadius()).toBe(4);
+    expect(stop.getImage().getStroke().getColor()).toBe('#333333');
+
+    const hub = style(
+      feature({
+        networkLines: [{ name: 'S1' }, { name: 'S2' }],
+        transfers: [
+          { mot: 'Tram', lines: ['1', '2', '3', '4', '5', '6', '7', '8'] },
+        ],
+        hasAccessibility: true,
+        elevatorOutOfOrder: true,
+      }),
+    );
+    expect(hub.length).toBe(2);
+    expect(hub[0].getImage().getRadius()).toBe(8);
+    expect(hub[0].getImage().getStroke().getColor()).toBe('#0079c7');
+    expect(hub[1].getImage().getFill().getColor()).toBe('#eb0000');
+  });
+
+  test('returns the stations at a coordinate.', async () => {
+    const layer = new StationsLayer({ api });
+    layer.init(map);
+    api.subscribeStations.mock.calls[0][1](createStation(1));
+    jest.advanceTimersByTime(50);
+    const features = layer.olLayer.getSource().getFeatures();
+    jest.spyOn(map, 'getPixelFromCoordinate').mockReturnValue([10, 10]);
+    const spy = jest.spyOn(map, 'getFeaturesAtPixel').mockReturnValue(features);
+    const featureInfo = await layer.getFeatureInfoAtCoordinate([1, 1]);
+    expect(spy.mock.calls[0][1].layerFilter(layer.olLayer)).toBe(true);
+    expect(featureInfo.features[0].get('uic')).toBe(1);
+    layer.terminate();
+  });
+});
@@ -70,9 +70,7 @@ class TrackerLayer extends mixin(Layer) {
 
                 if (renderedResolution / resolution >= 3) {
                   // Avoid having really big points when zooming fast.
-                  const { canvas } = this.tracker;
-                  const context = canvas.getContext('2d');
-                  context.clearRect(0, 0, canvas.width, canvas.height);
+                  this.tracker.clear();
                 } else {
                   const pixelCenterRendered =
                     this.map.getPixelFromCoordinate(renderedCenter);
@@ -144,6 +142,10 @@ class TrackerLayer extends mixin(Layer) {
    * @returns
    */
   hasFeatureInfoAtCoordinate(coordinate) {
+    if (this.renderer !== 'canvas') {
+      // The pixels of a canvas controlled by a worker or by WebGL can't be read.
+      return !!(this.map && this.tracker);
+    }
     if (this.map && this.tracker && this.tracker.canvas) {
       const context = this.tracker.canvas.getContext('2d');
       const pixel = this.map.getPixelFromCoordinate(coordinate);
@@ -1,5 +1,6 @@
 import Map from 'ol/Map';
 import View from 'ol/View';
+import { fromLonLat } from 'ol/proj';
 import TrackerLayer from './TrackerLayer';
 
 let layer;
@@ -18,6 +19,23 @@ describe('TrackerLayer', () => {
     expect(layer.clickCallbacks[0]).toBe(onClick);
   });
 
+  test("should throw if the 'worker' renderer is used with a mode matched by a function.", () => {
+    const modes = [{ name: 'bus', match: (type) => type === 'bus' }];
+    expect(() => new TrackerLayer({ renderer: 'worker', modes })).toThrow(
+      /only supports modes with a RegExp match/,
+    );
+    expect(() => new TrackerLayer({ modes })).not.toThrow();
+  });
+
+  test("should throw if the 'worker' renderer is used with a custom style.", () => {
+    const style = () => null;
+    expect(() => new TrackerLayer({ renderer: 'worker', style })).toThrow(
+      /doesn't support the style option/,
+    );
+    expect(() => new TrackerLayer({ renderer: 'worker' })).not.toThrow();
+    expect(() => new TrackerLayer({ style })).not.toThrow();
+  });
+
   test('should called terminate on initalization.', () => {
     const spy = jest.spyOn(layer, 'terminate');
     layer.init(
@@ -61,6 +79,189 @@ describe('TrackerLayer', () => {
     });
   });
 
+  describe('#filter', () => {
+    test('should filter the trajectories on each rendering.', () => {
+      layer.init(
+        new Map({
+          view: new View({
+            center: [831634, 5933959],
+            zoom: 9,
+          }),
+        }),
+      );
+      const bus = { properties: { train_id: 'bus', type: 'bus' } };
+      const tram = { properties: { train_id: 'tram', type: 'tram' } };
+      layer.trajectories = { bus, tram };
+      const spy = jest
+        .spyOn(layer.tracker, 'renderTrajectories')
+        .mockImplementation(() => ({}));
+      layer.filter = { type: 'tram' };
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(spy.mock.calls.pop()[0]).toEqual([tram]);
+
+      layer.filter = { not: { type: 'tram' } };
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(spy.mock.calls.pop()[0]).toEqual([bus]);
+      expect(layer.trajectories).toEqual({ bus, tram });
+    });
+
+    test('should dispatch a change:filter event.', () => {
+      const listener = jest.fn();
+      layer.on('change:filter', listener);
+      const filter = { line: 'S1' };
+      layer.filter = filter;
+      expect(layer.filter).toBe(filter);
+      expect(typeof layer.filterFunction).toBe('function');
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].filter).toBe(filter);
+
+      layer.filter = null;
+      expect(layer.filterFunction).toBe(null);
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('#geofence', () => {
+    test('should only render the vehicles inside the geofence.', () => {
+      layer.init(
+        new Map({
+          view: new View({
+            center: [831634, 5933959],
+            zoom: 9,
+          }),
+        }),
+      );
+      const inside = { properties: { coordinate: fromLonLat([7.5, 46.5]) } };
+      const outside = { properties: { coordinate: fromLonLat([9, 46.5]) } };
+      layer.trajectories = { inside, outside };
+      const spy = jest
+        .spyOn(layer.tracker, 'renderTrajectories')
+        .mockImplementation(() => ({}));
+      const listener = jest.fn();
+      layer.on('change:geofence', listener);
+      layer.geofence = {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [7, 46],
+            [8, 46],
+            [8, 47],
+            [7, 47],
+            [7, 46],
+          ],
+        ],
+      };
+      expect(listener).toHaveBeenCalledTimes(1);
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(spy.mock.calls.pop()[0]).toEqual([inside]);
+    });
+  });
+
+  describe('#addZone', () => {
+    test('should dispatch zoneenter and zoneexit events.', () => {
+      layer.init(
+        new Map({
+          view: new View({
+            center: [831634, 5933959],
+            zoom: 9,
+          }),
+        }),
+      );
+      const trajectory = {
+        properties: {
+          train_id: 'a',
+          line: { name: 'S1' },
+          coordinate: fromLonLat([7.5, 46.5]),
+        },
+      };
+      layer.trajectories = { a: trajectory };
+      jest
+        .spyOn(layer.tracker, 'renderTrajectories')
+        .mockImplementation(() => ({}));
+      layer.live = false;
+      layer.time = new Date(1000);
+      const onEnter = jest.fn();
+      const onExit = jest.fn();
+      layer.on('zoneenter', onEnter);
+      layer.on('zoneexit', onExit);
+      layer.addZone('depot', {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [7, 46],
+            [8, 46],
+            [8, 47],
+            [7, 46],
+          ],
+        ],
+      });
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(onEnter).toHaveBeenCalledTimes(1);
+      const [evt] = onEnter.mock.calls[0];
+      expect(evt.zoneId).toBe('depot');
+      expect(evt.train_id).toBe('a');
+      expect(evt.line).toEqual({ name: 'S1' });
+      expect(evt.time).toBe(1000);
+
+      trajectory.properties.coordinate = fromLonLat([9, 46.5]);
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(onExit).toHaveBeenCalledTimes(1);
+    });
+
+    test("shouldn't dispatch events when the filter hides a vehicle.", () => {
+      layer.init(
+        new Map({
+          view: new View({
+            center: [831634, 5933959],
+            zoom: 9,
+          }),
+        }),
+      );
+      const trajectory = {
+        properties: {
+          train_id: 'a',
+          line: { name: 'S1' },
+          coordinate: fromLonLat([7.5, 46.5]),
+        },
+      };
+      layer.trajectories = { a: trajectory };
+      jest
+        .spyOn(layer.tracker, 'renderTrajectories')
+        .mockImplementation(() => ({}));
+      const onEnter = jest.fn();
+      const onExit = jest.fn();
+      layer.on('zoneenter', onEnter);
+      layer.on('zoneexit', onExit);
+      layer.addZone('depot', {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [7, 46],
+            [8, 46],
+            [8, 47],
+            [7, 46],
+          ],
+        ],
+      });
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(onEnter).toHaveBeenCalledTimes(1);
+
+      layer.filter = () => false;
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(onExit).toHaveBeenCalledTimes(0);
+
+      layer.filter = null;
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(onEnter).toHaveBeenCalledTimes(1);
+
+      // A hidden vehicle leaving the zone is detected.
+      layer.filter = () => false;
+      trajectory.properties.coordinate = fromLonLat([9, 46.5]);
+      layer.renderTrajectoriesInternal({ zoom: 9 });
+      expect(onExit).toHaveBeenCalledTimes(1);
+    });
+  });
+
   test('should clone', () => {
     const clone = layer.clone({ name: 'clone' });
     expect(clone).not.toBe(layer);
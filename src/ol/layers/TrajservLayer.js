@@ -7,6 +7,7 @@ import { unByKey } from 'ol/Observable';
 import TrackerLayer from './TrackerLayer';
 
 import mixin from '../../common/mixins/TrajservLayerMixin';
+import { getGeofenceBbox } from '../../common/utils/geofence';
 
 /**
  * Responsible for loading and display data from a Trajserv service.
@@ -165,8 +166,12 @@ class TrajservLayer extends mixin(TrackerLayer) {
    * @private
    */
   getParams(extraParams = {}) {
-    const ext = this.map.getView().calculateExtent();
-    const bbox = buffer(ext, getWidth(ext) / 10).join(',');
+    const ext = getGeofenceBbox(
+      this.geofenceArea,
+      this.map.getView().calculateExtent(),
+    );
+    // No bbox if the view is outside the geofence.
+    const bbox = ext && buffer(ext, getWidth(ext) / 10).join(',');
     const zoom = this.map.getView().getZoom();
 
     return super.getParams({
@@ -31,6 +31,14 @@ describe('TrajservLayer', () => {
     expect(layer.clickCallbacks[0]).toBe(onClick);
   });
 
+  test('should ignore the transitionDuration option.', () => {
+    const spy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const trajserv = new TrajservLayer({ transitionDuration: 1000 });
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(trajserv.transitionDuration).toBe(0);
+    spy.mockRestore();
+  });
+
   test('should called terminate on initalization.', () => {
     const spy = jest.spyOn(layer, 'terminate');
 
@@ -122,7 +122,7 @@ class TralisLayer extends mixin(TrackerLayer) {
             stroke = `#${stroke}`;
           }
 
-          lineColor = stroke || getBgColor(type);
+          lineColor = stroke || getBgColor(type, this.modes);
 
           // Don't allow white lines, use red instead.
           lineColor = /#ffffff/i.test(lineColor) ? '#ff0000' : lineColor;
@@ -161,6 +161,10 @@ class TralisLayer extends mixin(TrackerLayer) {
           feature.setStyle(style);
         });
         this.vectorLayer.getSource().addFeatures(features);
+      })
+      .catch(() => {
+        // No response from the server, nothing is highlighted.
+        this.vectorLayer.getSource().clear();
       });
   }
 
@@ -3,6 +3,8 @@ import Map from 'ol/Map';
 import View from 'ol/View';
 import WS from 'jest-websocket-mock';
 import TralisLayer from './TralisLayer';
+import TralisAPI from '../../api/tralis/TralisAPI';
+import FakeTralisServer from '../../api/tralis/testUtils/FakeTralisServer';
 
 // create a WS instance, listening on port 1234 on localhost
 let layer;
@@ -73,7 +75,7 @@ describe('TrajservLayer', () => {
     expect(laye.sort).toBe(fn);
   });
 
-  test.only('should set a default sort function if useDelayStyle is used.', () => {
+  test('should set a default sort function if useDelayStyle is used.', () => {
     const laye = new TralisLayer({
       url: 'ws://localhost:1234',
       apiKey: 'apiKey',
@@ -143,3 +145,65 @@ describe('TrajservLayer', () => {
     expect(laye.filter).not.toBe(fn);
   });
 });
+
+describe('TralisLayer with a geofence', () => {
+  let fakeServer;
+  let tralisLayer;
+
+  beforeEach(() => {
+    fakeServer = new FakeTralisServer();
+    tralisLayer = new TralisLayer({
+      api: new TralisAPI({ url: 'ws://fake', transport: fakeServer }),
+      // Around [10, 10] in EPSG:3857.
+      geofence: {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [0, 0],
+            [0.0002, 0],
+            [0.0002, 0.0002],
+            [0, 0.0002],
+            [0, 0],
+          ],
+        ],
+      },
+    });
+    tralisLayer.api.open();
+  });
+
+  afterEach(() => {
+    fakeServer.close();
+  });
+
+  test('#setBbox() limits the bbox sent to the geofence.', () => {
+    tralisLayer.setBbox([-100, -100, 100, 100], 9);
+    const [minX, minY, maxX, maxY] = fakeServer.clients[0].bbox.map(Number);
+    expect(minX).toBeCloseTo(0);
+    expect(minY).toBeCloseTo(0);
+    expect(maxX).toBeCloseTo(22.26, 1);
+    expect(maxY).toBeCloseTo(22.26, 1);
+  });
+
+  test('#setBbox() stops the stream of the previous area when the view is outside the geofence.', () => {
+    tralisLayer.setBbox([-100, -100, 100, 100], 9);
+    tralisLayer.trajectories = {
+      foo: { properties: { train_id: 'foo', bounds: [5, 5, 6, 6] } },
+    };
+    const spy = jest
+      .spyOn(tralisLayer, 'renderTrajectories')
+      .mockImplementation(() => {});
+    tralisLayer.setBbox([1000, 1000, 2000, 2000], 9);
+    const [client] = fakeServer.clients;
+    expect(fakeServer.messages.pop()).toBe('BBOX 1000 1000 1000 1000 9 gen=30');
+    expect(client.bbox).toEqual([
+      '1000',
+      '1000',
+      '1000',
+      '1000',
+      '9',
+      'gen=30',
+    ]);
+    expect(tralisLayer.trajectories).toEqual({});
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+});